@@ -1,27 +1,97 @@
 import { file, dir } from 'tmp-promise';
-import { Duplex } from 'stream';
+import { pipeline, Transform } from 'stream';
+import { promisify } from 'util';
 import unzipper from 'unzipper';
+import zlib from 'zlib';
 import path from 'path';
-import { fork } from 'child_process';
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import { ApiSearch } from './ApiSearch.js';
+import { WorkerPool } from './WorkerPool.js';
+import { readTar, isTar } from './Tar.js';
+import { MemoryFileSystem } from './MemoryFileSystem.js';
+import {
+  AbortError,
+  ArchiveSecurityError,
+  NotPreparedError,
+  EntryPointNotFoundError,
+  InvalidOptionError,
+  ParseFailedError,
+  UnresolvedReferenceError,
+  UnsupportedFormatError,
+} from './Errors.js';
 
 /** @typedef {import('../types').AmfServiceProcessingOptions} AmfServiceProcessingOptions */
 /** @typedef {import('../types').ApiSearchTypeResult} ApiSearchTypeResult */
 /** @typedef {import('../types').ApiParseResult} ApiParseResult */
+/** @typedef {import('../types').ApiValidationReport} ApiValidationReport */
+/** @typedef {import('../types').ApiSourceLocation} ApiSourceLocation */
+/** @typedef {import('../types').ParserProcessResult} ParserProcessResult */
+/** @typedef {import('../types').ParserValidationProfile} ParserValidationProfile */
+/** @typedef {import('../types').ApiEntryPointCandidate} ApiEntryPointCandidate */
+/** @typedef {import('../types').ApiSearchOptions} ApiSearchOptions */
+/** @typedef {import('../types').WorkerPoolOptions} WorkerPoolOptions */
+/** @typedef {import('../types').ApiProcessingProgress} ApiProcessingProgress */
+/** @typedef {import('../types').ApiProcessingStage} ApiProcessingStage */
+/** @typedef {import('../types').ApiProgressCallback} ApiProgressCallback */
+/** @typedef {import('../types').ApiPackaging} ApiPackaging */
+/** @typedef {import('../types').TarEntry} TarEntry */
+/** @typedef {import('../types').ArchiveEntryExtractor} ArchiveEntryExtractor */
+/** @typedef {import('../types').ArchiveLimits} ArchiveLimits */
+/** @typedef {import('../types').ApiFileSystem} ApiFileSystem */
+/** @typedef {import('../types').ApiFileMap} ApiFileMap */
+/** @typedef {import('../types').RemoteReferencesOptions} RemoteReferencesOptions */
+/** @typedef {import('../types').UnresolvedReference} UnresolvedReference */
 /** @typedef {import('tmp-promise').FileResult} FileResult */
 /** @typedef {import('tmp-promise').DirectoryResult} DirectoryResult */
-/** @typedef {import('child_process').ChildProcess} ChildProcess */
+
+/**
+ * The names of the AMF's built-in validation profiles.
+ */
+const builtInProfiles = ['AMF', 'RAML', 'RAML08', 'OAS', 'OAS20', 'OAS30', 'ASYNC', 'ASYNC20'];
+
+/**
+ * Validation results severity levels, from the lowest.
+ */
+const severityLevels = ['Info', 'Warning', 'Violation'];
+
+const pipelineAsync = promisify(pipeline);
+const gunzipAsync = promisify(zlib.gunzip);
+
+/**
+ * The name of the folder with the Exchange dependencies.
+ */
+const exchangeModules = 'exchange_modules';
+
+/**
+ * The maximum depth of the archives nested in the `exchange_modules` folder.
+ */
+const maxNestingLevel = 5;
+
+/**
+ * The default parse timeout, in milliseconds.
+ */
+export const defaultParseTimeout = 180000;
+
+/**
+ * The default limits of the extracted archives.
+ * @type {Readonly<ArchiveLimits>}
+ */
+export const defaultArchiveLimits = Object.freeze({
+  maxSize: 512 * 1024 * 1024,
+  maxEntries: 10000,
+  maxRatio: 100,
+});
 
 /**
  * A class that handles parsing a file to AMF format.
  *
- * It unpacks zip files, searches for main entry point to the API and parses
+ * It unpacks zip and tar files, searches for main entry point to the API and parses
  * the data to AMF json-ld format.
  *
  * The process can be split into 3 parts:
  *
- * - prepare - unzips the file to a temporary location, sets paths
+ * - prepare - extracts the archive to a temporary location, sets paths
  * - resolve - in case when deterministic method of finding API main file fails, the application should aks a user to choose the main API file.
  * - parse - parsing API data and returning AMF model.
  *
@@ -48,11 +118,60 @@ import { ApiSearch } from './ApiSearch.js';
  */
 export class AmfService {
   /**
-   * True when tmp object represents a file and not a directory
+   * True when the working directory has a single file created from the buffer source.
    * @type {boolean}
    */
   #tmpIsFile = false;
 
+  /**
+   * True when the service created the parser pool.
+   * @type {boolean}
+   */
+  #ownsPool = false;
+
+  /**
+   * True when the job has been cancelled.
+   * @type {boolean}
+   */
+  #cancelled = false;
+
+  /**
+   * Resolved when the temporary directory is removed.
+   * @type {Promise<void>}
+   */
+  #cleaning;
+
+  /**
+   * True when the source is being unzipped.
+   * @type {boolean}
+   */
+  #unzipping = false;
+
+  /**
+   * The number of entries and bytes extracted from the source archives, including the nested archives.
+   * @type {{ entries: number, size: number }}
+   */
+  #extracted = { entries: 0, size: 0 };
+
+  /**
+   * The signal the job listens to, until the job is finished.
+   * @type {AbortSignal}
+   */
+  #abortSignal;
+
+  /**
+   * The `abort` event listener of the signal.
+   * @type {EventListener}
+   */
+  #abortHandler;
+
+  /**
+   * @return {boolean} True when the job has been cancelled. A cancelled job cannot be restarted.
+   */
+  get cancelled() {
+    return this.#cancelled;
+  }
+
   /**
    * @return {boolean} True when tmp object represents a file and not a directory
    */
@@ -60,17 +179,105 @@ export class AmfService {
     return this.#tmpIsFile;
   }
 
+  /**
+   * @param {WorkerPool=} pool The pool of the parser processes. When not set the service creates a pool with the default configuration.
+   * @param {string=} id The id of the processing job. Generated when not set.
+   */
+  constructor(pool, id) {
+    /**
+     * The id of the processing job.
+     * @type {string}
+     */
+    this.id = id || crypto.randomBytes(8).toString('hex');
+    /**
+     * The pool of the parser processes.
+     * @type {WorkerPool}
+     */
+    this.pool = pool;
+    if (!pool) {
+      this.pool = AmfService.createParserPool();
+      this.#ownsPool = true;
+    }
+  }
+
+  /**
+   * Creates a pool of the AMF parser processes.
+   * @param {WorkerPoolOptions=} opts Pool configuration.
+   * @return {WorkerPool}
+   */
+  static createParserPool(opts) {
+    return new WorkerPool(path.join(__dirname, 'amf-parser.js'), opts);
+  }
+
   /**
    * The same as with constructor but resets the sate.
-   * @param {Buffer|string} source Location of the API file on the disk or
-   * buffer of the file. If the source is a file and it's not a zip file then
-   * it must be the API file.
+   * @param {Buffer|string|ApiFileMap} source Location of the API file on the disk,
+   * buffer of the file, or the map of the API files contents by the path relative to the API root folder.
+   * If the source is a file and it's not an archive then it must be the API file.
    * @param {AmfServiceProcessingOptions=} [opts={}] Processing options
    */
   setSource(source, opts={}) {
     this.source = source;
-    this.isZip = opts.zip;
+    /**
+     * The packaging of the source. When not set the source is an API file or a directory.
+     * @type {ApiPackaging}
+     */
+    this.packaging = opts.packaging || (opts.zip ? 'zip' : undefined);
+    this.isZip = this.packaging === 'zip';
+    /**
+     * When set the archives in the `exchange_modules` folder are extracted as well.
+     * @type {boolean}
+     */
+    this.expandNestedArchives = !!opts.expandNestedArchives;
+    /**
+     * The limits of the extracted archives.
+     * @type {ArchiveLimits}
+     */
+    this.archiveLimits = { ...defaultArchiveLimits, ...opts.archiveLimits };
+    /**
+     * When set the buffer and archive sources are kept in memory instead of a temporary directory.
+     * @type {boolean}
+     */
+    this.inMemory = !!opts.inMemory;
+    /**
+     * The declared API type. When set the type is not detected from the API main file.
+     * @type {string}
+     */
+    this.apiType = opts.apiType;
+    /**
+     * The policy of the remote references. When set the unresolved remote references reject the parse.
+     * @type {RemoteReferencesOptions}
+     */
+    this.remoteReferences = opts.remoteReferences;
+    /**
+     * The options of the API main file search and the API type detection.
+     * @type {ApiSearchOptions}
+     */
+    this.searchOptions = {
+      detectionMode: opts.detectionMode,
+      maxScanSize: opts.maxScanSize,
+      ignore: opts.ignore,
+    };
+    /**
+     * The file system of the working directory.
+     * It is the `MemoryFileSystem` when the source is kept in memory.
+     * @type {ApiFileSystem}
+     */
+    this.fs = fs;
     this.validate = opts.validate;
+    this.validationProfile = opts.validationProfile;
+    this.failOnSeverity = this._readSeverity(opts.failOnSeverity);
+    /**
+     * Called with the processing progress.
+     * @type {ApiProgressCallback}
+     */
+    this.onProgress = opts.onProgress;
+    /**
+     * The parse timeout, in milliseconds. When `0` the parser has no timeout.
+     * @type {number}
+     */
+    this.timeout = typeof opts.timeout === 'number' ? opts.timeout : defaultParseTimeout;
+    this._listenAbort(opts.signal);
 
     /**
      * Temp folder data object.
@@ -94,9 +301,17 @@ export class AmfService {
    * Cleans up if the operation is canceled.
    * This must be called if `prepare()` was called or otherwise some temporary
    * files will be kept on the disk.
+   *
+   * It kills the parser process running this job, if any. The pending operation is rejected.
    * @return {Promise<void>}
    */
   async cancel() {
+    this.#cancelled = true;
+    this.pool.cancel(this.id);
+    if (this.#unzipping) {
+      // the temporary files are removed when the unzip stops.
+      return;
+    }
     await this._cleanTempFiles();
     this.tmpObj = undefined;
     this.workingDir = undefined;
@@ -104,22 +319,84 @@ export class AmfService {
   }
 
   /**
-   * Cleans up temporary directories and kills all child processes.
+   * Cleans up temporary directories and kills the job's parser process.
+   * When the service created the parser pool then all parser processes are killed.
    * @return {Promise<void>}
    */
   async cleanup() {
-    this._cancelMonitorParser();
-    this._cancelParseProcTimeout();
-    const proc = this._parserProc;
-    if (!proc) {
-      return this.cancel();
-    }
-    return new Promise((resolve) => {
-      this._killParser();
-      proc.on('exit', () => {
-        this.cancel().then(() => resolve());
-      });
+    await this.cancel();
+    if (this.#ownsPool) {
+      await this.pool.terminate();
+    }
+  }
+
+  /**
+   * Cancels the job when the signal is aborted.
+   * @param {AbortSignal=} signal
+   */
+  _listenAbort(signal) {
+    this._unlistenAbort();
+    if (!signal) {
+      return;
+    }
+    if (signal.aborted) {
+      this.#cancelled = true;
+      return;
+    }
+    this.#abortSignal = signal;
+    this.#abortHandler = () => this.cancel();
+    signal.addEventListener('abort', this.#abortHandler, { once: true });
+  }
+
+  /**
+   * Removes the listener added in `_listenAbort()` so a signal shared by many jobs
+   * does not keep the finished jobs in memory.
+   */
+  _unlistenAbort() {
+    const signal = this.#abortSignal;
+    if (!signal) {
+      return;
+    }
+    signal.removeEventListener('abort', this.#abortHandler);
+    this.#abortSignal = undefined;
+    this.#abortHandler = undefined;
+  }
+
+  /**
+   * Reports the processing progress to the `onProgress` callback.
+   * @param {ApiProcessingStage} stage The processing stage.
+   * @param {number=} loaded The number of processed items of the stage, like unzipped files.
+   * @param {number=} total The number of all items of the stage.
+   */
+  _notifyProgress(stage, loaded, total) {
+    const { onProgress } = this;
+    if (typeof onProgress !== 'function') {
+      return;
+    }
+    const progress = /** @type ApiProcessingProgress */ ({
+      id: this.id,
+      stage,
     });
+    if (typeof loaded === 'number') {
+      progress.loaded = loaded;
+    }
+    if (typeof total === 'number') {
+      progress.total = total;
+    }
+    onProgress(progress);
+  }
+
+  /**
+   * Removes the temporary files and throws when the job has been cancelled.
+   * @return {Promise<void>}
+   * @throws {AbortError} When the job has been cancelled.
+   */
+  async _checkCancelled() {
+    if (!this.#cancelled) {
+      return;
+    }
+    await this._cleanTempFiles();
+    throw new AbortError('The job was cancelled.');
   }
 
   /**
@@ -127,41 +404,152 @@ export class AmfService {
    * @return {Promise<void>}
    */
   async prepare() {
-    if (this.isZip) {
-      return this._prepareZip();
+    await this._checkCancelled();
+    if (this._isFileMap(this.source)) {
+      return this._prepareFiles();
+    }
+    if (!this.packaging || this.packaging === 'file') {
+      // The `file` packaging is a hint, the archive magic bytes take precedence.
+      await this._detectPackaging();
+    }
+    if (this.packaging && this.packaging !== 'file') {
+      return this._prepareArchive();
     }
     if (this.source instanceof Buffer) {
       return this._prepareBuffer();
     }
-    const stat = await fs.stat(this.source);
+    const location = /** @type string */ (this.source);
+    const stat = await fs.stat(location);
     if (stat.isDirectory()) {
-      this.workingDir = this.source;
+      this.workingDir = location;
     } else {
-      this.workingDir = path.dirname(this.source);
-      this.mainFile = path.basename(this.source);
+      this.workingDir = path.dirname(location);
+      this.mainFile = path.basename(location);
     }
   }
 
   /**
-   * Prepares zip files to be processed. Unzips un "unfolders" the
-   * content of the zip.
+   * Sets the packaging of the source when the source is a zip, gzip, or tar file.
+   * Otherwise the packaging is not changed.
    * @return {Promise<void>}
    */
-  async _prepareZip() {
+  async _detectPackaging() {
+    let header;
+    if (this.source instanceof Buffer) {
+      header = this.source;
+    } else {
+      header = await this._readFileHeader(/** @type string */ (this.source));
+    }
+    if (header) {
+      this.packaging = this._readPackaging(header) || this.packaging;
+      this.isZip = this.packaging === 'zip';
+    }
+  }
+
+  /**
+   * Reads the beginning of the file with the archive magic bytes.
+   * @param {string} location The file location.
+   * @param {ApiFileSystem=} [fileSystem=fs] The file system of the file.
+   * @return {Promise<Buffer|undefined>} The header or undefined when the location is a directory.
+   */
+  async _readFileHeader(location, fileSystem=fs) {
+    const stat = await fileSystem.stat(location);
+    if (stat.isDirectory()) {
+      return undefined;
+    }
+    const header = Buffer.alloc(Math.min(512, stat.size));
+    const fd = await fileSystem.open(location, 'r');
     try {
-      await this._unzipSource();
+      await fileSystem.read(fd, header, 0, header.length, 0);
+    } finally {
+      await fileSystem.close(fd);
+    }
+    return header;
+  }
+
+  /**
+   * Recognizes the archive type by the magic bytes.
+   * @param {Buffer} buffer The beginning of the file.
+   * @return {ApiPackaging|undefined} The packaging or undefined when the file is not an archive.
+   */
+  _readPackaging(buffer) {
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+      return 'zip';
+    }
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return 'tar.gz';
+    }
+    if (isTar(buffer)) {
+      return 'tar';
+    }
+    return undefined;
+  }
+
+  /**
+   * Prepares zip and tar files to be processed. Extracts and "unfolders" the
+   * content of the archive.
+   * @return {Promise<void>}
+   */
+  async _prepareArchive() {
+    try {
+      await this._extractSource();
     } catch (cause) {
       await this._cleanTempFiles();
       throw cause;
     }
   }
 
+  /**
+   * @param {any} source The processing source.
+   * @return {boolean} True when the source is the map of the API files.
+   */
+  _isFileMap(source) {
+    return !!source && typeof source === 'object' && !(source instanceof Buffer);
+  }
+
+  /**
+   * Writes the files of the file map source to the working directory.
+   * @return {Promise<void>}
+   * @throws {ArchiveSecurityError} When a file would be written outside the working directory.
+   */
+  async _prepareFiles() {
+    const files = /** @type ApiFileMap */ (this.source);
+    const destination = await this._createWorkingDir();
+    try {
+      await this._checkCancelled();
+      for (const [name, content] of Object.entries(files)) {
+        const target = this._entryTarget(name, destination);
+        await this.fs.ensureDir(path.dirname(target));
+        await this.fs.writeFile(target, content);
+      }
+    } catch (cause) {
+      await this._cleanTempFiles();
+      throw cause;
+    }
+    this.workingDir = destination;
+  }
+
+  /**
+   * Creates the directory for the source files, either in memory or on the disk.
+   * @return {Promise<string>} The location of the directory.
+   */
+  async _createWorkingDir() {
+    if (this.inMemory) {
+      const memory = new MemoryFileSystem();
+      this.fs = memory;
+      return memory.root;
+    }
+    this.tmpObj = await dir();
+    return this.tmpObj.path;
+  }
+
   /**
    * Prepares buffer data to be processed.
    * @return {Promise<void>}
    */
   async _prepareBuffer() {
-    const location = await this._tmpBuffer(/** @type Buffer */ (this.source));
+    const buffer = /** @type Buffer */ (this.source);
+    const location = this.inMemory ? await this._memoryBuffer(buffer) : await this._tmpBuffer(buffer);
     this.workingDir = path.dirname(location);
     this.mainFile = path.basename(location);
   }
@@ -170,33 +558,37 @@ export class AmfService {
    * Resolves the API structure and tries to find main API file.
    *
    * @param {string=} mainFile API main file if known.
-   * @return {Promise<string[]>} If promise resolves to an array it means that API type could not be determined automatically.
+   * @return {Promise<ApiEntryPointCandidate[]>} If promise resolves to an array it means that API type could not be determined automatically.
+   * The candidates are sorted by the score, from the best match.
    */
   async resolve(mainFile) {
+    await this._checkCancelled();
     if (this.#tmpIsFile) {
       return;
     }
     if (!this.workingDir) {
       await this._cleanTempFiles();
-      throw new Error(`prepare() function not called`);
+      throw new NotPreparedError(`prepare() function not called`);
     }
     if (this.mainFile) {
       return;
     }
     if (mainFile) {
       const file = path.join(this.workingDir, mainFile);
-      const exists = fs.pathExists(file);
+      const exists = await this.fs.pathExists(file);
       if (exists) {
         this.mainFile = mainFile;
         return;
       }
-      throw new Error('API main file does not exist.');
+      await this._cleanTempFiles();
+      throw new EntryPointNotFoundError('API main file does not exist.');
     }
-    const search = new ApiSearch(this.workingDir);
+    const search = this._createSearch();
+    this._notifyProgress('search');
     try {
       const result = await search.findApiFile();
       if (!result) {
-        throw new Error('Unable to find API files in the source location');
+        throw new EntryPointNotFoundError('Unable to find API files in the source location');
       }
       if (Array.isArray(result)) {
         return result;
@@ -208,53 +600,269 @@ export class AmfService {
     }
   }
 
+  /**
+   * @return {ApiSearch} The search of the API main file in the working directory, with the job's search options.
+   */
+  _createSearch() {
+    return new ApiSearch(this.workingDir, { ...this.searchOptions, fs: this.fs });
+  }
+
   /**
    * Parses API data using AMF parser.
    * @param {string=} mainFile Main API file to use.
    * @return {Promise<ApiParseResult>} A promise resolved to AMF model.
    */
   async parse(mainFile) {
+    await this._checkCancelled();
     if (!this.workingDir) {
       await this._cleanTempFiles();
-      throw new Error(`prepare() function not called`);
+      throw new NotPreparedError(`prepare() function not called`);
     }
     if (mainFile && typeof mainFile === 'string') {
       this.mainFile = mainFile;
     }
     if (!this.mainFile) {
       await this._cleanTempFiles();
-      throw new Error(`resolve() function not called`);
+      throw new NotPreparedError(`resolve() function not called`);
     }
-    const search = new ApiSearch(this.workingDir);
+    const search = this._createSearch();
     const apiLocation = path.join(this.workingDir, this.mainFile);
     try {
-      const type = await search._readApiType(apiLocation);
-      const model = await this._runParser(apiLocation, type);
+      const type = this.apiType ? await search._readDeclaredApiType(apiLocation, this.apiType) : await search._readApiType(apiLocation);
+      const profile = await this._readValidationProfile();
+      const asset = this.#tmpIsFile ? undefined : await search.readAssetMetadata();
+      await this._checkCancelled();
+      this._notifyProgress('parse');
+      const { api, kind, validation, memory, unresolvedReferences } = await this._runParser(apiLocation, type, profile);
       await this._cleanTempFiles();
-      return {
-        model,
+      this._checkUnresolvedReferences(unresolvedReferences);
+      const result = /** @type ApiParseResult */ ({
+        model: api,
         type,
-      };
+        kind,
+        memory,
+      });
+      if (validation) {
+        result.validation = this._relativeValidationReport(validation);
+        this._checkValidationSeverity(result.validation);
+      }
+      if (asset) {
+        result.asset = asset;
+      }
+      return result;
     } catch (cause) {
       await this._cleanTempFiles();
+      if (cause instanceof ParseFailedError && cause.location) {
+        cause.location = this._relativeLocation(cause.location);
+      }
       throw cause;
     }
   }
 
   /**
-   * Unzips the source to a tem folder.
+   * Reads the validation profile configuration to be passed to the parser process.
+   * @return {Promise<ParserValidationProfile>}
+   */
+  async _readValidationProfile() {
+    const { validationProfile } = this;
+    if (!validationProfile) {
+      return {};
+    }
+    if (builtInProfiles.includes(validationProfile)) {
+      return { validationProfile };
+    }
+    const file = path.join(this.workingDir, validationProfile);
+    const exists = await this.fs.pathExists(file);
+    if (!exists) {
+      throw new InvalidOptionError(`The validation profile ${validationProfile} does not exist.`, 'validationProfile');
+    }
+    return { validationProfileFile: file };
+  }
+
+  /**
+   * Reads the `failOnSeverity` option. The level name is case insensitive.
+   * @param {string=} value The option value.
+   * @return {string|undefined} The severity level, `Violation`, `Warning`, or `Info`, or undefined when not set.
+   * @throws {InvalidOptionError} When the value is not a severity level.
+   */
+  _readSeverity(value) {
+    if (!value) {
+      return undefined;
+    }
+    const level = severityLevels.find((item) => item.toLowerCase() === String(value).toLowerCase());
+    if (!level) {
+      throw new InvalidOptionError(`Unknown severity level ${value}. Use Violation, Warning, or Info.`, 'failOnSeverity');
+    }
+    return level;
+  }
+
+  /**
+   * Throws an error when the validation report contains a result with
+   * the severity at or above the `failOnSeverity` option.
+   * @param {ApiValidationReport} report The validation report.
+   * @throws {ParseFailedError} When the API does not pass the severity gate. The error has the `validation` property
+   * with the report and the `location` of the first failed result.
+   */
+  _checkValidationSeverity(report) {
+    const { failOnSeverity } = this;
+    if (!failOnSeverity) {
+      return;
+    }
+    const threshold = severityLevels.indexOf(failOnSeverity);
+    const failed = report.results.filter((item) => severityLevels.indexOf(item.level) >= threshold);
+    if (!failed.length) {
+      return;
+    }
+    const [first] = failed;
+    const message = `API validation failed. Found ${failed.length} issue(s) at the ${failOnSeverity} level or above.`;
+    const error = new ParseFailedError(message, first.message, first.location);
+    error.validation = report;
+    throw error;
+  }
+
+  /**
+   * Throws an error when the parser reports remote references that were not resolved.
+   * @param {UnresolvedReference[]=} references The unresolved references reported by the parser.
+   * @throws {UnresolvedReferenceError} When any of the remote references was not resolved.
+   */
+  _checkUnresolvedReferences(references) {
+    if (!references || !references.length) {
+      return;
+    }
+    const urls = references.map((item) => item.url).join(', ');
+    throw new UnresolvedReferenceError(`Unable to resolve ${references.length} remote reference(s): ${urls}.`, references);
+  }
+
+  /**
+   * Replaces absolute file locations in the validation report with paths
+   * relative to the working directory.
+   * @param {ApiValidationReport} report The report generated by the parser.
+   * @return {ApiValidationReport}
+   */
+  _relativeValidationReport(report) {
+    report.results.forEach((item) => {
+      if (item.location) {
+        item.location = this._relativeLocation(item.location);
+      }
+    });
+    return report;
+  }
+
+  /**
+   * Replaces the absolute file location with the path relative to the working directory.
+   * @param {ApiSourceLocation} location The location reported by the parser.
+   * @return {ApiSourceLocation}
+   */
+  _relativeLocation(location) {
+    let { file } = location;
+    if (!file) {
+      return location;
+    }
+    if (file.startsWith('file://')) {
+      file = decodeURI(file.substr(7));
+    }
+    if (path.isAbsolute(file)) {
+      file = path.relative(this.workingDir, file);
+    }
+    location.file = file;
+    return location;
+  }
+
+  /**
+   * Extracts the source archive to a tem folder.
    * @return {Promise<void>}
    */
-  async _unzipSource() {
+  async _extractSource() {
     let buffer;
     if (this.source instanceof Buffer) {
       buffer = this.source;
     } else {
-      buffer = await fs.readFile(this.source);
+      buffer = await fs.readFile(/** @type string */ (this.source));
     }
-    const location = await this._unzip(buffer);
+    const destination = await this._createWorkingDir();
+    await this._checkCancelled();
+    this.#extracted = { entries: 0, size: 0 };
+    this.#unzipping = true;
+    let location;
+    try {
+      await this._extractArchive(buffer, this.packaging, destination, true);
+      location = await this._readMainFolder(destination);
+      if (this.expandNestedArchives) {
+        await this._expandNestedArchives(path.join(location, exchangeModules));
+      }
+    } finally {
+      this.#unzipping = false;
+    }
+    await this._checkCancelled();
     this.workingDir = location;
-    await this._removeZipMainFolder(location);
+  }
+
+  /**
+   * Extracts the zip or the tar archive to the destination directory.
+   *
+   * @param {Buffer} buffer The archive data.
+   * @param {ApiPackaging} packaging The archive type.
+   * @param {string} destination The directory where the archive is extracted.
+   * @param {boolean=} reportProgress When set it reports the `unzip` progress.
+   * @return {Promise<void>}
+   */
+  async _extractArchive(buffer, packaging, destination, reportProgress) {
+    if (packaging === 'zip') {
+      await this._unzip(buffer, destination, reportProgress);
+    } else {
+      await this._untar(buffer, packaging === 'tar.gz', destination, reportProgress);
+    }
+  }
+
+  /**
+   * Extracts the archives found in the `exchange_modules` folder to the folder of the archive
+   * and removes the archive files. Archives extracted from the nested archives are extracted as well,
+   * up to the 5th level.
+   *
+   * @param {string} directory The directory to search for the archives.
+   * @param {number=} [level=1] The nesting level of the archives.
+   * @return {Promise<void>}
+   */
+  async _expandNestedArchives(directory, level=1) {
+    const exists = await this.fs.pathExists(directory);
+    if (!exists || level > maxNestingLevel) {
+      return;
+    }
+    const items = await this.fs.readdir(directory, { withFileTypes: true });
+    for (const item of items) {
+      await this._checkCancelled();
+      const location = path.join(directory, item.name);
+      if (item.isDirectory()) {
+        await this._expandNestedArchives(location, level);
+      } else if (item.isFile()) {
+        await this._expandNestedArchive(location, level);
+      }
+    }
+  }
+
+  /**
+   * Extracts the nested archive to the folder of the archive and removes the archive file.
+   * The archive is extracted to a staging folder first so the archives it contains can be expanded
+   * before its content is merged with the other files.
+   *
+   * @param {string} file The location of the file.
+   * @param {number} level The nesting level of the archive.
+   * @return {Promise<void>}
+   */
+  async _expandNestedArchive(file, level) {
+    const header = await this._readFileHeader(file, this.fs);
+    const packaging = this._readPackaging(header);
+    if (!packaging) {
+      return;
+    }
+    const buffer = await this.fs.readFile(file);
+    await this.fs.remove(file);
+    const staging = `${file}-${crypto.randomBytes(4).toString('hex')}`;
+    await this.fs.ensureDir(staging);
+    await this._extractArchive(buffer, packaging, staging);
+    await this._expandNestedArchives(staging, level + 1);
+    await this.fs.copy(staging, path.dirname(file));
+    await this.fs.remove(staging);
   }
 
   /**
@@ -263,163 +871,300 @@ export class AmfService {
    * @return {Promise<string>}
    */
   async _tmpBuffer(buffer) {
-    const tmp = await file();
+    // The descriptor is discarded as the `cleanup()` function of the tmp object
+    // would close it again, possibly closing a descriptor reused by a child process.
+    const tmp = await file({ discardDescriptor: true });
     this.tmpObj = tmp;
     this.#tmpIsFile = true;
-    const fd = tmp.fd;
-    await fs.write(fd, buffer);
-    await fs.close(fd);
+    await fs.writeFile(tmp.path, buffer);
     return tmp.path;
   }
 
   /**
-   * Unzips API folder and returns path to the folder in tmp location.
+   * Creates the in-memory file system with the buffer as the only file.
+   * @param {Buffer} buffer The API file data.
+   * @return {Promise<string>} The location of the file in the in-memory file system.
+   */
+  async _memoryBuffer(buffer) {
+    const memory = new MemoryFileSystem();
+    const location = path.join(memory.root, 'api');
+    await memory.writeFile(location, buffer);
+    this.fs = memory;
+    this.#tmpIsFile = true;
+    return location;
+  }
+
+  /**
+   * Unzips API folder to the destination directory.
    *
    * @param {Buffer} buffer Zip file data
-   * @return {Promise<string>}
+   * @param {string} destination The directory where the archive is extracted.
+   * @param {boolean=} reportProgress When set it reports the `unzip` progress with the number of extracted entries.
+   * @return {Promise<void>}
+   * @throws {ArchiveSecurityError} When the archive exceeds the archive limits.
    */
-  async _unzip(buffer) {
-    this.tmpObj = await dir();
-    return new Promise((resolve, reject) => {
-      const stream = new Duplex();
-      stream.push(buffer);
-      stream.push(null);
-      const extractor = unzipper.Extract({
-        path: this.tmpObj.path,
-      });
-      extractor.on('close', () => {
-        resolve(this.tmpObj.path);
-      });
-      extractor.on('error', (err) => {
-        reject(err);
-      });
-      stream.pipe(extractor);
-    });
+  async _unzip(buffer, destination, reportProgress) {
+    const directory = await unzipper.Open.buffer(buffer);
+    const { files } = directory;
+    const size = files.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+    this._checkArchiveLimits(files.length, size, buffer.length);
+    await this._extractEntries(files, (entry) => this._extractEntry(entry, destination), reportProgress);
   }
 
   /**
-   * The zip may have source files enclosed in a folder.
-   * This will look for a folder in the root path and will copy sources from it.
+   * Extracts a tar or a gzip compressed tar archive to the destination directory.
    *
-   * @param {string} destination A place where the zip sources has been extracted.
+   * @param {Buffer} buffer Tar file data
+   * @param {boolean} gzip Whether the archive is gzip compressed.
+   * @param {string} destination The directory where the archive is extracted.
+   * @param {boolean=} reportProgress When set it reports the `unzip` progress with the number of extracted entries.
    * @return {Promise<void>}
+   * @throws {UnsupportedFormatError} When the gzip data is not a tar archive.
+   * @throws {ArchiveSecurityError} When the archive exceeds the archive limits.
    */
-  async _removeZipMainFolder(destination) {
-    let files = await fs.readdir(destination);
-    files = files.filter((item) => item !== '__MACOSX');
-    if (files.length > 1) {
-      return;
+  async _untar(buffer, gzip, destination, reportProgress) {
+    const data = gzip ? await this._gunzip(buffer) : buffer;
+    if (!isTar(data)) {
+      throw new UnsupportedFormatError('The compressed file is not a tar archive.');
     }
-    const dirPath = path.join(destination, files[0]);
-    const stats = await fs.stat(dirPath);
-    if (stats.isDirectory()) {
-      await fs.copy(dirPath, destination);
+    const entries = readTar(data);
+    const size = entries.reduce((sum, entry) => sum + (entry.type === 'File' ? entry.size : 0), 0);
+    this._checkArchiveLimits(entries.length, size, buffer.length);
+    await this._extractEntries(entries, (entry) => this._extractTarEntry(entry, destination), reportProgress);
+  }
+
+  /**
+   * Decompresses the gzip data. The output is limited so a gzip bomb is not decompressed into the memory.
+   *
+   * @param {Buffer} buffer The gzip data.
+   * @return {Promise<Buffer>}
+   * @throws {ArchiveSecurityError} When the decompressed data exceeds the `maxSize` limit.
+   */
+  async _gunzip(buffer) {
+    const { maxSize, maxEntries } = this.archiveLimits;
+    if (!maxSize) {
+      return gunzipAsync(buffer);
+    }
+    // The tar data has a header for each entry and the end of archive blocks.
+    const maxOutputLength = maxSize - this.#extracted.size + ((maxEntries || 10000) + 2) * 1024;
+    try {
+      return await gunzipAsync(buffer, { maxOutputLength });
+    } catch (e) {
+      if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw this._createSizeError();
+      }
+      throw e;
     }
   }
 
   /**
-   * Removes created temporary directory.
-   * @return {Promise<void>}
+   * Tests the archive against the archive limits before it is extracted.
+   * The limits are applied to all archives extracted for the source.
+   *
+   * @param {number} entries The number of the archive entries.
+   * @param {number} size The declared uncompressed size of the archive.
+   * @param {number} compressedSize The size of the archive file.
+   * @throws {ArchiveSecurityError} When the archive exceeds the archive limits.
    */
-  async _cleanTempFiles() {
-    if (!this.tmpObj) {
-      return;
+  _checkArchiveLimits(entries, size, compressedSize) {
+    const { maxSize, maxEntries, maxRatio } = this.archiveLimits;
+    const totalEntries = this.#extracted.entries + entries;
+    if (maxEntries && totalEntries > maxEntries) {
+      throw new ArchiveSecurityError(`The archive has more than ${maxEntries} entries.`, 'entries');
     }
-    if (this.#tmpIsFile) {
-      this.tmpObj.cleanup();
-      this.tmpObj = undefined;
-      return;
+    if (maxSize && this.#extracted.size + size > maxSize) {
+      throw this._createSizeError();
     }
-    await fs.emptyDir(this.tmpObj.path);
-    this.tmpObj.cleanup();
-    this.tmpObj = undefined;
+    if (maxRatio && compressedSize && size / compressedSize > maxRatio) {
+      throw new ArchiveSecurityError(`The compression ratio of the archive exceeds ${maxRatio}.`, 'ratio');
+    }
+    this.#extracted.entries = totalEntries;
   }
 
   /**
-   * Creates a child process for the parser. It ensures stability of
-   * the application when the parser is having trouble parsing the API.
-   * Otherwise it would make the application unstable.
+   * Adds the extracted bytes to the total uncompressed size of the source.
    *
-   * @return {ChildProcess} A reference to the child process
+   * @param {number} size The number of extracted bytes.
+   * @throws {ArchiveSecurityError} When the total size exceeds the `maxSize` limit.
    */
-  _createParserProcess() {
-    if (this._parserProc) {
-      if (this._parserProc.connected) {
-        return this._parserProc;
-      }
-      this._killParser();
+  _countExtractedBytes(size) {
+    this.#extracted.size += size;
+    const { maxSize } = this.archiveLimits;
+    if (maxSize && this.#extracted.size > maxSize) {
+      throw this._createSizeError();
     }
-    const options = {
-      execArgv: [],
-    };
-    this._parserProc = fork(`${__dirname}/amf-parser.js`, options);
-    this._parserProc.on('exit', () => {
-      this._cancelParseProcTimeout();
-      this._cancelMonitorParser();
-      this._parserProc = undefined;
+  }
+
+  /**
+   * @return {ArchiveSecurityError} The error thrown when the archive exceeds the `maxSize` limit.
+   */
+  _createSizeError() {
+    const { maxSize } = this.archiveLimits;
+    return new ArchiveSecurityError(`The uncompressed size of the archive exceeds ${maxSize} bytes.`, 'size');
+  }
+
+  /**
+   * Computes the location of the archive entry or the source file in the destination directory.
+   *
+   * @param {string} entryPath The path of the archive entry or the source file.
+   * @param {string} destination The directory where the archive is extracted.
+   * @return {string} The absolute location of the entry.
+   * @throws {ArchiveSecurityError} When the entry would be written outside the destination directory.
+   */
+  _entryTarget(entryPath, destination) {
+    const target = path.resolve(destination, entryPath);
+    if (target !== destination && !target.startsWith(`${destination}${path.sep}`)) {
+      throw new ArchiveSecurityError(`The path ${entryPath} is outside the working directory.`, 'path-traversal', entryPath);
+    }
+    return target;
+  }
+
+  /**
+   * Creates a stream that counts the bytes of the zip entry while it is written to the disk.
+   * The compressed data may produce more bytes than the entry declares in the archive directory.
+   *
+   * @param {unzipper.File} entry The zip entry
+   * @return {Transform}
+   */
+  _createEntryCounter(entry) {
+    let written = 0;
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        written += chunk.length;
+        try {
+          if (written > entry.uncompressedSize) {
+            throw new ArchiveSecurityError(`The archive entry ${entry.path} is larger than declared.`, 'size', entry.path);
+          }
+          this._countExtractedBytes(chunk.length);
+        } catch (e) {
+          callback(e);
+          return;
+        }
+        callback(null, chunk);
+      },
     });
-    return this._parserProc;
   }
 
   /**
-   * Sets process timeout.
-   * @param {Function} cb Function to be called when timeout is triggered.
-   * @param {Number} [time=180000] Process timeout.
+   * Extracts the archive entries one by one.
+   * The extraction stops when the job is cancelled.
+   *
+   * @param {any[]} entries The archive entries.
+   * @param {ArchiveEntryExtractor} extract The function that writes the entry to the disk.
+   * @param {boolean=} reportProgress When set it reports the `unzip` progress.
+   * @return {Promise<void>}
    */
-  _setParserProcTimeout(cb, time = 180000) {
-    this._parserProcCb = cb;
-    this._parserProcessTimeout = setTimeout(() => {
-      this._parserProcessTimeout = undefined;
-      this._killParser();
-      const fn = this._parserProcCb;
-      this._parserProcCb = undefined;
-      fn();
-    }, time);
+  async _extractEntries(entries, extract, reportProgress) {
+    const total = entries.length;
+    if (reportProgress) {
+      this._notifyProgress('unzip', 0, total);
+    }
+    for (let i = 0; i < total; i++) {
+      await this._checkCancelled();
+      await extract(entries[i]);
+      if (reportProgress) {
+        this._notifyProgress('unzip', i + 1, total);
+      }
+    }
   }
 
   /**
-   * Cancels process timeout
+   * Writes a zip entry to the destination directory.
+   *
+   * @param {unzipper.File} entry The zip entry
+   * @param {string} destination The directory where the zip is extracted.
+   * @return {Promise<void>}
+   * @throws {ArchiveSecurityError} When the entry would be written outside the destination directory,
+   * the entry is a symbolic link, or the archive exceeds the `maxSize` limit.
    */
-  _cancelParseProcTimeout() {
-    if (this._parserProcessTimeout) {
-      clearTimeout(this._parserProcessTimeout);
-      this._parserProcessTimeout = undefined;
-      this._parserProcCb = undefined;
+  async _extractEntry(entry, destination) {
+    const target = this._entryTarget(entry.path, destination);
+    // The unix file mode is stored in the high bytes of the external attributes.
+    if (((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000) {
+      throw new ArchiveSecurityError(`The archive entry ${entry.path} is a symbolic link.`, 'link', entry.path);
     }
+    if (entry.type === 'Directory') {
+      await this.fs.ensureDir(target);
+      return;
+    }
+    await this.fs.ensureDir(path.dirname(target));
+    await pipelineAsync(entry.stream(), this._createEntryCounter(entry), this.fs.createWriteStream(target));
   }
 
   /**
-   * Kills created child process, if any.
+   * Writes a tar entry to the destination directory.
+   * Entries other than files, directories, and links are ignored.
+   *
+   * @param {TarEntry} entry The tar entry
+   * @param {string} destination The directory where the archive is extracted.
+   * @return {Promise<void>}
+   * @throws {ArchiveSecurityError} When the entry would be written outside the destination directory,
+   * the entry is a link, or the archive exceeds the `maxSize` limit.
    */
-  _killParser() {
-    this._cancelParseProcTimeout();
-    this._cancelMonitorParser();
-    if (this._parserProc) {
-      this._parserProc.disconnect();
-      this._parserProc.removeAllListeners('message');
-      this._parserProc.removeAllListeners('error');
-      this._parserProc.removeAllListeners('exit');
-      this._parserProc.kill();
-      this._parserProc = undefined;
+  async _extractTarEntry(entry, destination) {
+    const target = this._entryTarget(entry.path, destination);
+    if (entry.type === 'SymbolicLink' || entry.type === 'Link') {
+      throw new ArchiveSecurityError(`The archive entry ${entry.path} is a link.`, 'link', entry.path);
+    }
+    if (entry.type === 'Directory') {
+      await this.fs.ensureDir(target);
+      return;
     }
+    if (entry.type !== 'File') {
+      return;
+    }
+    this._countExtractedBytes(entry.data.length);
+    await this.fs.ensureDir(path.dirname(target));
+    await this.fs.writeFile(target, entry.data);
   }
 
   /**
-   * Sets a timeout to kill child process.
+   * The archive may have source files enclosed in a folder.
+   * This looks for a single folder in the root path so it is used as the working directory.
+   * The files are not copied out of the folder, otherwise the search would find them twice.
+   *
+   * @param {string} destination A place where the zip sources has been extracted.
+   * @return {Promise<string>} The location of the folder with the sources. It is the `destination`
+   * when the archive is empty or has more items in the root path.
    */
-  _monitorParserProc() {
-    this._parserMonitorTimeout = setTimeout(() => {
-      this._parserMonitorTimeout = undefined;
-      this._killParser();
-    }, 60000);
+  async _readMainFolder(destination) {
+    let files = await this.fs.readdir(destination);
+    files = files.filter((item) => item !== '__MACOSX');
+    if (files.length !== 1) {
+      return destination;
+    }
+    const dirPath = path.join(destination, files[0]);
+    const stats = await this.fs.stat(dirPath);
+    return stats.isDirectory() ? dirPath : destination;
   }
 
   /**
-   * Cancels child process kill timeout, if any.
+   * Removes created temporary directory.
+   * @return {Promise<void>}
    */
-  _cancelMonitorParser() {
-    if (this._parserMonitorTimeout) {
-      clearTimeout(this._parserMonitorTimeout);
+  async _cleanTempFiles() {
+    // The job is finished when its files are removed.
+    this._unlistenAbort();
+    if (this.fs instanceof MemoryFileSystem) {
+      // the in-memory files are released with the file system.
+      this.fs = fs;
+    }
+    const tmp = this.tmpObj;
+    if (!tmp) {
+      // the job can be cancelled while cleaning up. Waits until the files are removed.
+      await this.#cleaning;
+      return;
+    }
+    this.tmpObj = undefined;
+    if (this.#tmpIsFile) {
+      tmp.cleanup();
+      return;
+    }
+    this.#cleaning = fs.emptyDir(tmp.path).then(() => tmp.cleanup());
+    try {
+      await this.#cleaning;
+    } finally {
+      this.#cleaning = undefined;
     }
   }
 
@@ -428,54 +1173,31 @@ export class AmfService {
    *
    * @param {string} apiLocation API file location
    * @param {ApiSearchTypeResult} type API type info object.
-   * @return {Promise<string>}
+   * @param {ParserValidationProfile=} [profile={}] The validation profile configuration.
+   * @return {Promise<ParserProcessResult>}
    */
-  _runParser(apiLocation, type) {
-    this._cancelMonitorParser();
-    return new Promise((resolve, reject) => {
-      const callbacks = {
-        onmessage: (result) => {
-          if (result.validation) {
-            // eslint-disable-next-line no-console
-            console.log(result.validation);
-            return;
-          }
-          this._cancelParseProcTimeout();
-          this._parserProc.removeAllListeners('message');
-          this._parserProc.removeAllListeners('error');
-          this._parserProcCb = undefined;
-          this._monitorParserProc();
-          this._killParser();
-          if (result.error) {
-            reject(new Error(result.error));
-          } else {
-            resolve(result.api);
-          }
-        },
-        onerror: (err) => {
-          this._cancelParseProcTimeout();
-          this._parserProc.removeAllListeners('message');
-          this._parserProc.removeAllListeners('error');
-          this._parserProcCb = undefined;
-          this._monitorParserProc();
-          reject(new Error(err.message || 'Unknown error'));
-        },
-      };
-
-      const proc = this._createParserProcess();
-      this._setParserProcTimeout(() => {
-        reject(new Error('API parsing timeout'));
-        this._parserProc.removeAllListeners('message');
-        this._parserProc.removeAllListeners('error');
-        this._monitorParserProc();
-      });
-      proc.on('message', callbacks.onmessage);
-      proc.on('error', callbacks.onerror);
-      proc.send({
-        source: apiLocation,
-        from: type,
-        validate: this.validate,
-      });
+  async _runParser(apiLocation, type, profile={}) {
+    const message = {
+      source: apiLocation,
+      from: type,
+      validate: this.validate || !!this.failOnSeverity,
+      ...profile,
+      // The parser loads the API files from the sent files instead of the disk.
+      files: this.fs instanceof MemoryFileSystem ? this.fs.toJSON() : undefined,
+      remoteReferences: this.remoteReferences,
+    };
+    const result = await this.pool.run(message, {
+      id: this.id,
+      onProgress: (progress) => this._notifyProgress(progress.stage),
+      timeout: this.timeout,
+      stage: 'parse',
     });
+    return {
+      api: result.api,
+      kind: result.kind,
+      validation: result.validation,
+      memory: result.memory,
+      unresolvedReferences: result.unresolvedReferences,
+    };
   }
 }
@@ -1,20 +1,42 @@
-import { ApiSearchCandidate, ApiSearchTypeResult } from '../types';
+import { ApiSearchCandidate, ApiSearchTypeResult, ApiSearchOptions, ApiAssetMetadata, ApiEntryPointCandidate, ApiFileInfo, ApiFileSystem } from '../types';
+
+/**
+ * Lower case names of files and folders ignored when searching for the API main file.
+ */
+export declare const defaultIgnore: string[];
+
+/**
+ * The API types that can be declared instead of being detected from the API file.
+ */
+export declare const declaredApiTypes: string[];
 
 /**
  * Searches for API main file in given location
  */
 export class ApiSearch {
   _workingDir: string;
+  _detectionMode: 'header' | 'document';
+  _maxScanSize: number;
+  _ignore: string[];
+  _fs: ApiFileSystem;
   /**
    * @param dir API directory location
+   * @param opts Search options
    */
-  constructor(dir: string);
+  constructor(dir: string, opts?: ApiSearchOptions);
 
   /**
    * Finds main API name.
    *
+   * When the working directory has an asset manifest (`exchange.json`) with
+   * the `main` property pointing to an existing file then this file is returned.
+   *
+   * The working directory is searched recursively, except for the ignored
+   * folders (dependencies, VCS and system folders).
+   *
    * If one of the files is one of the popular names for the API spec files
-   * then it always returns this file.
+   * then it always returns this file. When the popular names are found
+   * in different folders then the one closest to the root folder is used.
    *
    * If it finds single candidate it returns it as a main file.
    *
@@ -23,26 +45,199 @@ export class ApiSearch {
    *
    * If it returns undefined than the process failed and API main file cannot
    * be determined.
+   *
+   * @returns Path relative to the working directory or the list of candidates.
+   */
+  findApiFile(): Promise<ApiEntryPointCandidate[]|string|undefined>;
+
+  /**
+   * Lists files in the working directory that may be an API file.
+   * @param dir The directory to read, relative to the working directory.
+   * @returns The list of files, relative to the working directory.
+   */
+  _listApiFiles(dir?: string): Promise<string[]>;
+
+  /**
+   * @param file A relative path to a file.
+   * @returns The number of folders in the path.
    */
-  findApiFile(): Promise<Array<String>|String|undefined>;
+  _pathDepth(file: string): number;
+
+  /**
+   * Reads the asset manifest file (like `exchange.json`) from the working directory.
+   * @returns The contents of the manifest or undefined when the manifest does not exist or is invalid.
+   */
+  readManifest(): Promise<any|undefined>;
+
+  /**
+   * Reads the asset metadata from the asset manifest.
+   */
+  readAssetMetadata(): Promise<ApiAssetMetadata|undefined>;
+
+  /**
+   * Reads the `main` property of the asset manifest.
+   * @returns The path to the main file relative to the working directory,
+   * when the manifest defines it and the file exists.
+   */
+  _readManifestMain(): Promise<string|undefined>;
 
   /**
    * Decides which file to use as API main file.
    * @param files A file or list of files.
    */
-  _decideMainFile(files: string[]): Promise<string|string[]>;
+  _decideMainFile(files: string[]): Promise<string|ApiEntryPointCandidate[]>;
+
+  /**
+   * Sorts the candidates by the score, from the best match. Candidates with the same score
+   * are sorted by the path.
+   * @returns The sorted list.
+   */
+  _sortCandidates(candidates: ApiEntryPointCandidate[]): ApiEntryPointCandidate[];
 
   /**
-   * Reads all files and looks for 'RAML 0.8' or 'RAML 1.0' header which
-   * is a WebApi.
+   * Reads all files and looks for API documents. RAML fragments (libraries,
+   * data types, etc) are not API documents and are not included in the results.
+   * Documents extended by an overlay or an extension are not included either as
+   * they are parsed with the overlay or the extension.
+   *
    * @param files List of candidates
    * @param results List od results
+   * @returns The path to the API file when only one file is an API file or the list of candidates sorted by the score.
    */
-  _findWebApiFile(files: ApiSearchCandidate[], results?: string[]): Promise<string|string[]|undefined>;
+  _findWebApiFile(files: ApiSearchCandidate[], results?: ApiEntryPointCandidate[]): Promise<string|ApiEntryPointCandidate[]|undefined>;
+
+  /**
+   * Reads the API type, if the file is an API file.
+   * @param file File location
+   */
+  _tryReadApiType(file: string): Promise<ApiSearchTypeResult|undefined>;
+
+  /**
+   * @param info The API type or the candidate info.
+   * @returns True when the file is a fragment that cannot be the API main file:
+   * a JSON schema or a RAML fragment. RAML overlays and extensions are API documents.
+   */
+  _isFragment(info: ApiSearchTypeResult|ApiEntryPointCandidate): boolean;
+
+  /**
+   * Removes candidates extended by an overlay or an extension from the list of candidates.
+   */
+  _removeExtendedDocuments(candidates: ApiEntryPointCandidate[]): ApiEntryPointCandidate[];
+
+  /**
+   * Creates the entry point candidate description.
+   * @param file The candidate file
+   * @param type The API type, when detected.
+   */
+  _readCandidateInfo(file: ApiSearchCandidate, type?: ApiSearchTypeResult): Promise<ApiEntryPointCandidate>;
+
+  /**
+   * Reads the API title and version from the API file.
+   * @param file File location
+   * @param type The API type
+   * @param size The file size
+   */
+  _readApiInfo(file: string, type: ApiSearchTypeResult, size: number): Promise<ApiFileInfo>;
+
+  /**
+   * Reads a scalar value of a YAML key.
+   * @param content The YAML content
+   * @param key The key to read
+   * @param indent The indentation pattern of the key.
+   */
+  _readYamlValue(content: string, key: string, indent: string): string|undefined;
+
+  /**
+   * Computes the score of an entry point candidate. Higher score means
+   * a better candidate to be the API main file.
+   *
+   * - detected API type: 40
+   * - detection confidence: 20 for `high`, 10 for `medium`
+   * - popular API file name: 20
+   * - defined title: 10
+   * - minus 30 for JSON schemas and RAML fragments other than overlays and extensions
+   * - minus 5 for each folder level, up to 20
+   */
+  _scoreCandidate(candidate: ApiEntryPointCandidate): number;
 
   /**
    * Reads API type from the API main file.
    * @param file File location
    */
-  _readApiType(file: string): Promise<ApiSearchTypeResult>
+  _readApiType(file: string): Promise<ApiSearchTypeResult>;
+
+  /**
+   * Reads the beginning of a file.
+   * @param file File location
+   * @param size The number of bytes to read.
+   */
+  _readFileHead(file: string, size: number): Promise<string>;
+
+  /**
+   * Reads the API type from the RAML file header.
+   * @param data The beginning of the file.
+   */
+  _readRamlType(data: string): ApiSearchTypeResult;
+
+  /**
+   * Creates the type info for the declared API type. Only the media type is read from the file.
+   *
+   * @param file The API file location.
+   * @param type The declared API type, like `RAML 1.0` or `OAS 3.0`.
+   * @throws {UnsupportedFormatError} When the type is not one of the `declaredApiTypes`.
+   */
+  _readDeclaredApiType(file: string, type: string): Promise<ApiSearchTypeResult>;
+
+  /**
+   * Reads the API type from the beginning of a JSON or YAML file.
+   * This is fast but fails when the version key is not at the beginning of the file.
+   *
+   * @param data The beginning of the file.
+   * @param isJson Whether the file is a JSON file.
+   */
+  _readHeaderApiType(data: string, isJson: boolean): ApiSearchTypeResult;
+
+  /**
+   * Reads the API type from the `swagger`, `openapi`, or `asyncapi` keys
+   * of a JSON or YAML document.
+   *
+   * Files up to the `maxScanSize` are read in whole. When the version is defined
+   * in the root of the document then the result has the `high` confidence.
+   * Otherwise it looks for the version key anywhere in the read content and
+   * the confidence is `medium` for larger files (only the beginning of the file is read)
+   * and `low` when the key was not found in the root of the document.
+   *
+   * @param file File location
+   * @param isJson Whether the file is a JSON file.
+   */
+  _readDocumentApiType(file: string, isJson: boolean): Promise<ApiSearchTypeResult>;
+
+  /**
+   * Reads the API type from the root keys of a JSON document.
+   * @param content The JSON document
+   * @returns The API type, if found.
+   */
+  _readJsonRootVersion(content: string): string|undefined;
+
+  /**
+   * Reads the API type from the root keys of a YAML document.
+   * Root keys of a YAML block mapping start at the beginning of a line.
+   * @param content The YAML document
+   * @returns The API type, if found.
+   */
+  _readYamlRootVersion(content: string): string|undefined;
+
+  /**
+   * @param content JSON document
+   * @returns True when the document is a JSON schema, that is, it has the `$schema` key.
+   */
+  _isJsonSchema(content: string): boolean;
+
+  /**
+   * Creates the API type name from the version key and its value.
+   * @param key Either `swagger`, `openapi`, or `asyncapi`.
+   * @param value The version value.
+   * @returns The API type, if the version is valid.
+   */
+  _apiTypeFromVersion(key: string, value: any): string|undefined;
 }
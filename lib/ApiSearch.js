@@ -1,9 +1,60 @@
 /* eslint-disable arrow-body-style */
 import fs from 'fs-extra';
 import path from 'path';
+import { UnsupportedFormatError } from './Errors.js';
 
 /** @typedef {import('../types').ApiSearchCandidate} ApiSearchCandidate */
 /** @typedef {import('../types').ApiSearchTypeResult} ApiSearchTypeResult */
+/** @typedef {import('../types').ApiSearchOptions} ApiSearchOptions */
+/** @typedef {import('../types').ApiAssetMetadata} ApiAssetMetadata */
+/** @typedef {import('../types').ApiEntryPointCandidate} ApiEntryPointCandidate */
+/** @typedef {import('../types').ApiFileInfo} ApiFileInfo */
+/** @typedef {import('../types').ApiFileSystem} ApiFileSystem */
+
+/**
+ * The keys that define the version of JSON and YAML based APIs.
+ */
+const versionKeys = ['swagger', 'openapi', 'asyncapi'];
+
+/**
+ * File names that are always used as the API main file.
+ */
+const popularNames = ['api.raml', 'api.yaml', 'api.json'];
+
+/**
+ * Extensions of files that can be an API file.
+ */
+const apiExtensions = ['.raml', '.yaml', '.json'];
+
+/**
+ * Lower case names of files and folders ignored when searching for the API main file.
+ */
+export const defaultIgnore = ['__macosx', 'exchange.json', '.ds_store', 'node_modules', '.git', 'exchange_modules'];
+
+/**
+ * Names of asset manifest files that may define the API main file.
+ */
+const manifestFiles = ['exchange.json'];
+
+/**
+ * RAML fragments that extend an API document and therefore can be the API main file.
+ */
+const extendingFragments = ['Overlay', 'Extension'];
+
+/**
+ * The asset manifest properties that are reported as the asset metadata.
+ */
+const assetKeys = ['groupId', 'assetId', 'version', 'name', 'classifier', 'apiVersion'];
+
+/**
+ * The default maximum number of bytes read when detecting the API type from the document content.
+ */
+const defaultMaxScanSize = 5 * 1024 * 1024;
+
+/**
+ * The API types that can be declared instead of being detected from the API file.
+ */
+export const declaredApiTypes = ['RAML 1.0', 'RAML 0.8', 'OAS 2.0', 'OAS 3.0', 'ASYNC 2.0', 'JSON Schema'];
 
 /**
  * Searches for API main file in given location
@@ -11,16 +62,32 @@ import path from 'path';
 export class ApiSearch {
   /**
    * @param {string} dir API directory location
+   * @param {ApiSearchOptions=} [opts={}] Search options
    */
-  constructor(dir) {
+  constructor(dir, opts={}) {
     this._workingDir = dir;
+    this._detectionMode = opts.detectionMode || 'document';
+    this._maxScanSize = opts.maxScanSize || defaultMaxScanSize;
+    this._ignore = (opts.ignore || defaultIgnore).map((item) => item.toLowerCase());
+    /**
+     * The file system of the working directory.
+     * @type {ApiFileSystem}
+     */
+    this._fs = opts.fs || fs;
   }
 
   /**
    * Finds main API name.
    *
+   * When the working directory has an asset manifest (`exchange.json`) with
+   * the `main` property pointing to an existing file then this file is returned.
+   *
+   * The working directory is searched recursively, except for the ignored
+   * folders (dependencies, VCS and system folders).
+   *
    * If one of the files is one of the popular names for the API spec files
-   * then it always returns this file.
+   * then it always returns this file. When the popular names are found
+   * in different folders then the one closest to the root folder is used.
    *
    * If it finds single candidate it returns it as a main file.
    *
@@ -30,27 +97,23 @@ export class ApiSearch {
    * If it returns undefined than the process failed and API main file cannot
    * be determined.
    *
-   * @return {Promise<Array<String>|String|undefined>}
+   * @return {Promise<ApiEntryPointCandidate[]|string|undefined>} Path relative to the working directory
+   * or the list of candidates.
    */
   async findApiFile() {
-    const items = await fs.readdir(this._workingDir);
-    const popularNames = ['api.raml', 'api.yaml', 'api.json'];
-    const exts = ['.raml', '.yaml', '.json'];
-    const ignore = ['__macosx', 'exchange.json', '.ds_store'];
-    const files = [];
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const lower = items[i].toLowerCase();
-      if (ignore.indexOf(lower) !== -1) {
-        continue;
-      }
-      if (popularNames.indexOf(lower) !== -1) {
-        return item;
-      }
-      const ext = path.extname(lower);
-      if (exts.indexOf(ext) !== -1) {
-        files.push(item);
+    const main = await this._readManifestMain();
+    if (main) {
+      return main;
+    }
+    const files = await this._listApiFiles();
+    const popular = files.filter((item) => popularNames.includes(path.basename(item).toLowerCase()));
+    if (popular.length) {
+      const minDepth = Math.min(...popular.map((item) => this._pathDepth(item)));
+      const closest = popular.filter((item) => this._pathDepth(item) === minDepth);
+      if (closest.length === 1) {
+        return closest[0];
       }
+      return this._decideMainFile(closest);
     }
     if (files.length === 1) {
       return files[0];
@@ -60,10 +123,113 @@ export class ApiSearch {
     }
   }
 
+  /**
+   * Lists files in the working directory that may be an API file.
+   * @param {string=} [dir=''] The directory to read, relative to the working directory.
+   * @return {Promise<string[]>} The list of files, relative to the working directory.
+   */
+  async _listApiFiles(dir='') {
+    const items = await this._fs.readdir(path.join(this._workingDir, dir), { withFileTypes: true });
+    const result = [];
+    for (const item of items) {
+      const lower = item.name.toLowerCase();
+      if (this._ignore.includes(lower)) {
+        continue;
+      }
+      const relative = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        const files = await this._listApiFiles(relative);
+        result.push(...files);
+      } else if (item.isFile() && apiExtensions.includes(path.extname(lower))) {
+        result.push(relative);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} file A relative path to a file.
+   * @return {number} The number of folders in the path.
+   */
+  _pathDepth(file) {
+    return file.split(path.sep).length - 1;
+  }
+
+  /**
+   * Reads the asset manifest file (like `exchange.json`) from the working directory.
+   * @return {Promise<any|undefined>} The contents of the manifest or undefined when
+   * the manifest does not exist or is invalid.
+   */
+  async readManifest() {
+    for (const name of manifestFiles) {
+      const file = path.join(this._workingDir, name);
+      const exists = await this._fs.pathExists(file);
+      if (!exists) {
+        continue;
+      }
+      try {
+        const data = await this._fs.readJson(file);
+        if (data && typeof data === 'object') {
+          return data;
+        }
+      } catch (e) {
+        // invalid manifest, ignore.
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Reads the asset metadata from the asset manifest.
+   * @return {Promise<ApiAssetMetadata|undefined>}
+   */
+  async readAssetMetadata() {
+    const manifest = await this.readManifest();
+    if (!manifest) {
+      return undefined;
+    }
+    const result = /** @type ApiAssetMetadata */ ({});
+    assetKeys.forEach((key) => {
+      if (typeof manifest[key] === 'string') {
+        result[key] = manifest[key];
+      }
+    });
+    if (!Object.keys(result).length) {
+      return undefined;
+    }
+    return result;
+  }
+
+  /**
+   * Reads the `main` property of the asset manifest.
+   * @return {Promise<string|undefined>} The path to the main file relative to the working directory,
+   * when the manifest defines it and the file exists.
+   */
+  async _readManifestMain() {
+    const manifest = await this.readManifest();
+    if (!manifest || !manifest.main || typeof manifest.main !== 'string') {
+      return undefined;
+    }
+    const root = path.resolve(this._workingDir);
+    const file = path.resolve(root, manifest.main);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      return undefined;
+    }
+    try {
+      const stat = await this._fs.stat(file);
+      if (!stat.isFile()) {
+        return undefined;
+      }
+    } catch (e) {
+      return undefined;
+    }
+    return path.relative(root, file);
+  }
+
   /**
    * Decides which file to use as API main file.
    * @param {string[]} files A file or list of files.
-   * @return {Promise<string|string[]>}
+   * @return {Promise<string|ApiEntryPointCandidate[]>}
    */
   async _decideMainFile(files) {
     const root = this._workingDir;
@@ -73,88 +239,285 @@ export class ApiSearch {
         relative: item,
       };
     }));
-    const list = await this._findWebApiFile(fullPathFiles);
+    const list = await this._findWebApiFile([...fullPathFiles]);
     if (!list) {
-      return files;
+      const candidates = await Promise.all(fullPathFiles.map(async (item) => {
+        const type = await this._tryReadApiType(item.absolute);
+        return this._readCandidateInfo(item, type);
+      }));
+      return this._sortCandidates(candidates);
     }
     return list;
   }
 
   /**
-   * Reads all files and looks for 'RAML 0.8' or 'RAML 1.0' header which
-   * is a WebApi.
+   * Sorts the candidates by the score, from the best match. Candidates with the same score
+   * are sorted by the path.
+   * @param {ApiEntryPointCandidate[]} candidates
+   * @return {ApiEntryPointCandidate[]} The sorted list.
+   */
+  _sortCandidates(candidates) {
+    return candidates.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Reads all files and looks for API documents. RAML fragments (libraries,
+   * data types, etc) are not API documents and are not included in the results.
+   * Documents extended by an overlay or an extension are not included either as
+   * they are parsed with the overlay or the extension.
+   *
    * @param {ApiSearchCandidate[]} files List of candidates
-   * @param {string[]=} results List od results
-   * @return {Promise<string|string[]|undefined>}
+   * @param {ApiEntryPointCandidate[]=} results List od results
+   * @return {Promise<string|ApiEntryPointCandidate[]|undefined>} The path to the
+   * API file when only one file is an API file or the list of candidates sorted by the score.
    */
   async _findWebApiFile(files, results=[]) {
     const f = files.shift();
     if (!f) {
-      if (!results.length) {
-        results = undefined;
+      const list = this._removeExtendedDocuments(results);
+      if (!list.length) {
+        return undefined;
       }
-      if (results && results.length === 1) {
-        return results[0];
+      if (list.length === 1) {
+        return list[0].path;
       }
-      return results;
+      return this._sortCandidates(list);
     }
+    const type = await this._tryReadApiType(f.absolute);
+    if (type && type.type && !this._isFragment(type)) {
+      results[results.length] = await this._readCandidateInfo(f, type);
+    }
+    return this._findWebApiFile(files, results);
+  }
+
+  /**
+   * Reads the API type, if the file is an API file.
+   * @param {string} file File location
+   * @return {Promise<ApiSearchTypeResult|undefined>}
+   */
+  async _tryReadApiType(file) {
     try {
-      const type = await this._readApiType(f.absolute);
-      if (type && type.type) {
-        results[results.length] = f.relative;
-      }
-      return await this._findWebApiFile(files, results);
+      return await this._readApiType(file);
     } catch (e) {
-      // eslint-disable-next-line no-console
-      console.warn('Unable to find file type', e);
+      // not an API file, like an example or a JSON file.
+      return undefined;
     }
   }
 
   /**
-   * Reads API type from the API main file.
+   * @param {ApiSearchTypeResult|ApiEntryPointCandidate} info The API type or the candidate info.
+   * @return {boolean} True when the file is a fragment that cannot be the API main file:
+   * a JSON schema or a RAML fragment. RAML overlays and extensions are API documents.
+   */
+  _isFragment(info) {
+    const { type, fragment } = info;
+    if (type === 'JSON Schema') {
+      return true;
+    }
+    return !!fragment && !extendingFragments.includes(fragment);
+  }
+
+  /**
+   * Removes candidates extended by an overlay or an extension from the list of candidates.
+   * @param {ApiEntryPointCandidate[]} candidates
+   * @return {ApiEntryPointCandidate[]}
+   */
+  _removeExtendedDocuments(candidates) {
+    const extended = candidates.filter((item) => !!item.extends).map((item) => item.extends);
+    if (!extended.length) {
+      return candidates;
+    }
+    return candidates.filter((item) => !extended.includes(item.path));
+  }
+
+  /**
+   * Creates the entry point candidate description.
+   * @param {ApiSearchCandidate} file The candidate file
+   * @param {ApiSearchTypeResult=} type The API type, when detected.
+   * @return {Promise<ApiEntryPointCandidate>}
+   */
+  async _readCandidateInfo(file, type) {
+    const stat = await this._fs.stat(file.absolute);
+    const result = /** @type ApiEntryPointCandidate */ ({
+      path: file.relative,
+      size: stat.size,
+      score: 0,
+    });
+    if (type) {
+      result.type = type.type;
+      result.contentType = type.contentType;
+      result.confidence = type.confidence;
+      if (type.fragment) {
+        result.fragment = type.fragment;
+      }
+      const info = await this._readApiInfo(file.absolute, type, stat.size);
+      if (info.title) {
+        result.title = info.title;
+      }
+      if (info.version) {
+        result.version = info.version;
+      }
+      if (info.extends && extendingFragments.includes(type.fragment) && !/^[a-z]+:\/\//i.test(info.extends)) {
+        result.extends = path.join(path.dirname(file.relative), info.extends);
+      }
+    }
+    result.score = this._scoreCandidate(result);
+    return result;
+  }
+
+  /**
+   * Reads the API title and version from the API file.
    * @param {string} file File location
-   * @return {Promise<ApiSearchTypeResult>}
+   * @param {ApiSearchTypeResult} type The API type
+   * @param {number} size The file size
+   * @return {Promise<ApiFileInfo>}
    */
-  async _readApiType(file) {
-    const size = 100;
-    // todo (pawel): This works 100% for RAML files as they have to have a
-    // type and version in the file header. However JSON OAS can have version
-    // definition anywhere in the JSON object. It works for lot of APIs
-    // but it may be broken for some APIs.
-    // It should read and parse JSON files and look for the version value.
-    // Leaving it here for performance reasons.
-    const fd = await fs.open(file, 'r');
-    const result = await fs.read(fd, Buffer.alloc(size), 0, size, 0);
-    await fs.close(fd);
-    const data = result.buffer.toString().trim();
-    if (data[0] === '{') {
-      // OAS 1/2
-      const match = data.match(/"swagger"(?:\s*)?:(?:\s*)"(.*)"/im);
-      if (!match) {
-        throw new Error('Expected OAS but could not find version header.');
+  async _readApiInfo(file, type, size) {
+    const maxSize = this._maxScanSize;
+    const content = size <= maxSize ? await this._fs.readFile(file, 'utf8') : await this._readFileHead(file, maxSize);
+    if (type.contentType === 'application/json') {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (e) {
+        return {};
+      }
+      const info = data && data.info;
+      if (!info || typeof info !== 'object') {
+        return {};
       }
-      const v = match[1].trim();
       return {
-        type: `OAS ${v}`,
-        contentType: 'application/json',
+        title: typeof info.title === 'string' ? info.title : undefined,
+        version: info.version !== undefined ? String(info.version) : undefined,
       };
     }
-    const oasMatch = data.match(/(?:openapi|swagger)[^\s*]?:(?:\s*)("|')?(\d\.\d)("|')?/im);
-    if (oasMatch) {
-      const v = oasMatch[2].trim();
+    let scope = content;
+    if (type.contentType !== 'application/raml') {
+      // OAS and AsyncAPI define the title and version in the `info` object.
+      const match = content.match(/^info[ \t]*:[ \t]*\r?\n((?:[ \t]+.*(?:\r?\n|$)|[ \t]*(?:\r?\n))*)/m);
+      if (!match) {
+        return {};
+      }
+      scope = match[1];
+    }
+    if (type.contentType === 'application/raml') {
       return {
-        type: `OAS ${v}`,
-        contentType: 'application/yaml',
+        title: this._readYamlValue(scope, 'title', ''),
+        version: this._readYamlValue(scope, 'version', ''),
+        extends: this._readYamlValue(scope, 'extends', ''),
       };
     }
+    return {
+      title: this._readYamlValue(scope, 'title', '[ \t]+'),
+      version: this._readYamlValue(scope, 'version', '[ \t]+'),
+    };
+  }
+
+  /**
+   * Reads a scalar value of a YAML key.
+   * @param {string} content The YAML content
+   * @param {string} key The key to read
+   * @param {string} indent The indentation pattern of the key.
+   * @return {string|undefined}
+   */
+  _readYamlValue(content, key, indent) {
+    const match = content.match(new RegExp(`^${indent}${key}[ \\t]*:[ \\t]*(.+)$`, 'm'));
+    if (!match) {
+      return undefined;
+    }
+    const value = match[1].trim().replace(/^(["'])(.*)\1$/, '$2');
+    if (!value || /^[|>][+-]?$/.test(value)) {
+      // empty or a block scalar
+      return undefined;
+    }
+    return value;
+  }
+
+  /**
+   * Computes the score of an entry point candidate. Higher score means
+   * a better candidate to be the API main file.
+   *
+   * - detected API type: 40
+   * - detection confidence: 20 for `high`, 10 for `medium`
+   * - popular API file name: 20
+   * - defined title: 10
+   * - minus 30 for JSON schemas and RAML fragments other than overlays and extensions
+   * - minus 5 for each folder level, up to 20
+   *
+   * @param {ApiEntryPointCandidate} candidate
+   * @return {number}
+   */
+  _scoreCandidate(candidate) {
+    let score = 0;
+    if (candidate.type) {
+      score += 40;
+    }
+    if (candidate.confidence === 'high') {
+      score += 20;
+    } else if (candidate.confidence === 'medium') {
+      score += 10;
+    }
+    if (popularNames.includes(path.basename(candidate.path).toLowerCase())) {
+      score += 20;
+    }
+    if (candidate.title) {
+      score += 10;
+    }
+    if (this._isFragment(candidate)) {
+      score -= 30;
+    }
+    score -= Math.min(this._pathDepth(candidate.path) * 5, 20);
+    return Math.max(score, 0);
+  }
+
+  /**
+   * Reads API type from the API main file.
+   * @param {string} file File location
+   * @return {Promise<ApiSearchTypeResult>}
+   */
+  async _readApiType(file) {
+    const data = (await this._readFileHead(file, 100)).trim();
+    if (data.indexOf('#%') === 0) {
+      return this._readRamlType(data);
+    }
+    const isJson = data[0] === '{';
+    if (this._detectionMode === 'header') {
+      return this._readHeaderApiType(data, isJson);
+    }
+    return this._readDocumentApiType(file, isJson);
+  }
+
+  /**
+   * Reads the beginning of a file.
+   * @param {string} file File location
+   * @param {number} size The number of bytes to read.
+   * @return {Promise<string>}
+   */
+  async _readFileHead(file, size) {
+    const fd = await this._fs.open(file, 'r');
+    try {
+      const result = await this._fs.read(fd, Buffer.alloc(size), 0, size, 0);
+      return result.buffer.toString('utf8', 0, result.bytesRead);
+    } finally {
+      await this._fs.close(fd);
+    }
+  }
+
+  /**
+   * Reads the API type from the RAML file header.
+   * @param {string} data The beginning of the file.
+   * @return {ApiSearchTypeResult}
+   */
+  _readRamlType(data) {
     const header = data.split('\n')[0].substr(2).trim();
     if (!header || header.indexOf('RAML ') !== 0) {
-      throw new Error('The API file header is unknown');
+      throw new UnsupportedFormatError('The API file header is unknown');
     }
     if (header === 'RAML 1.0' || header === 'RAML 0.8') {
       return {
         type: header,
         contentType: 'application/raml',
+        confidence: 'high',
       };
     }
     switch (header) {
@@ -171,8 +534,190 @@ export class ApiSearch {
         return {
           type: 'RAML 1.0',
           contentType: 'application/raml',
+          confidence: 'high',
+          fragment: header.substr(9),
         };
     }
-    throw new Error('Unsupported API file');
+    throw new UnsupportedFormatError('Unsupported API file');
+  }
+
+  /**
+   * Creates the type info for the declared API type. Only the media type is read from the file.
+   *
+   * @param {string} file The API file location.
+   * @param {string} type The declared API type, like `RAML 1.0` or `OAS 3.0`.
+   * @return {Promise<ApiSearchTypeResult>}
+   * @throws {UnsupportedFormatError} When the type is not one of the `declaredApiTypes`.
+   */
+  async _readDeclaredApiType(file, type) {
+    if (!declaredApiTypes.includes(type)) {
+      throw new UnsupportedFormatError(`Unsupported API type ${type}.`);
+    }
+    let contentType;
+    if (type.indexOf('RAML') === 0) {
+      contentType = 'application/raml';
+    } else if (type === 'JSON Schema') {
+      contentType = 'application/schema+json';
+    } else {
+      const data = (await this._readFileHead(file, 100)).trim();
+      contentType = data[0] === '{' ? 'application/json' : 'application/yaml';
+    }
+    return {
+      type,
+      contentType,
+      confidence: 'high',
+    };
+  }
+
+  /**
+   * Reads the API type from the beginning of a JSON or YAML file.
+   * This is fast but fails when the version key is not at the beginning of the file.
+   *
+   * @param {string} data The beginning of the file.
+   * @param {boolean} isJson Whether the file is a JSON file.
+   * @return {ApiSearchTypeResult}
+   */
+  _readHeaderApiType(data, isJson) {
+    if (isJson) {
+      // OAS 1/2 use the "swagger" and OAS 3 the "openapi" property.
+      const match = data.match(/"(?:swagger|openapi)"(?:\s*)?:(?:\s*)"(\d+\.\d+)[^"]*"/im);
+      if (!match) {
+        throw new UnsupportedFormatError('Expected OAS but could not find version header.');
+      }
+      const v = match[1].trim();
+      return {
+        type: `OAS ${v}`,
+        contentType: 'application/json',
+        confidence: 'medium',
+      };
+    }
+    const oasMatch = data.match(/(?:openapi|swagger)[^\s*]?:(?:\s*)("|')?(\d\.\d)("|')?/im);
+    if (oasMatch) {
+      const v = oasMatch[2].trim();
+      return {
+        type: `OAS ${v}`,
+        contentType: 'application/yaml',
+        confidence: 'medium',
+      };
+    }
+    throw new UnsupportedFormatError('The API file header is unknown');
+  }
+
+  /**
+   * Reads the API type from the `swagger`, `openapi`, or `asyncapi` keys
+   * of a JSON or YAML document.
+   *
+   * Files up to the `maxScanSize` are read in whole. When the version is defined
+   * in the root of the document then the result has the `high` confidence.
+   * Otherwise it looks for the version key anywhere in the read content and
+   * the confidence is `medium` for larger files (only the beginning of the file is read)
+   * and `low` when the key was not found in the root of the document.
+   *
+   * @param {string} file File location
+   * @param {boolean} isJson Whether the file is a JSON file.
+   * @return {Promise<ApiSearchTypeResult>}
+   */
+  async _readDocumentApiType(file, isJson) {
+    const maxSize = this._maxScanSize;
+    const stat = await this._fs.stat(file);
+    const complete = stat.size <= maxSize;
+    const content = complete ? await this._fs.readFile(file, 'utf8') : await this._readFileHead(file, maxSize);
+    const contentType = isJson ? 'application/json' : 'application/yaml';
+    let type;
+    if (isJson) {
+      type = complete ? this._readJsonRootVersion(content) : undefined;
+    } else {
+      type = this._readYamlRootVersion(content);
+    }
+    if (type) {
+      return {
+        type,
+        contentType,
+        confidence: 'high',
+      };
+    }
+    const match = content.match(/["']?(swagger|openapi|asyncapi)["']?\s*:\s*["']?(\d+\.\d+)/);
+    if (match) {
+      return {
+        type: this._apiTypeFromVersion(match[1], match[2]),
+        contentType,
+        confidence: complete ? 'low' : 'medium',
+      };
+    }
+    if (isJson && complete && this._isJsonSchema(content)) {
+      return {
+        type: 'JSON Schema',
+        contentType: 'application/schema+json',
+        confidence: 'high',
+      };
+    }
+    if (isJson) {
+      throw new UnsupportedFormatError('Expected OAS but could not find version header.');
+    }
+    throw new UnsupportedFormatError('The API file header is unknown');
+  }
+
+  /**
+   * @param {string} content JSON document
+   * @return {boolean} True when the document is a JSON schema, that is, it has the `$schema` key.
+   */
+  _isJsonSchema(content) {
+    try {
+      const data = JSON.parse(content);
+      return !!data && typeof data === 'object' && typeof data.$schema === 'string';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Reads the API type from the root keys of a JSON document.
+   * @param {string} content The JSON document
+   * @return {string|undefined} The API type, if found.
+   */
+  _readJsonRootVersion(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      return undefined;
+    }
+    if (!data || typeof data !== 'object') {
+      return undefined;
+    }
+    const key = versionKeys.find((item) => data[item] !== undefined);
+    if (!key) {
+      return undefined;
+    }
+    return this._apiTypeFromVersion(key, data[key]);
+  }
+
+  /**
+   * Reads the API type from the root keys of a YAML document.
+   * Root keys of a YAML block mapping start at the beginning of a line.
+   * @param {string} content The YAML document
+   * @return {string|undefined} The API type, if found.
+   */
+  _readYamlRootVersion(content) {
+    const match = content.match(/^(swagger|openapi|asyncapi)[ \t]*:[ \t]*["']?(\d+\.\d+)/m);
+    if (!match) {
+      return undefined;
+    }
+    return this._apiTypeFromVersion(match[1], match[2]);
+  }
+
+  /**
+   * Creates the API type name from the version key and its value.
+   * @param {string} key Either `swagger`, `openapi`, or `asyncapi`.
+   * @param {any} value The version value.
+   * @return {string|undefined} The API type, if the version is valid.
+   */
+  _apiTypeFromVersion(key, value) {
+    const match = String(value).match(/^(\d+\.\d+)/);
+    if (!match) {
+      return undefined;
+    }
+    const prefix = key === 'asyncapi' ? 'ASYNC' : 'OAS';
+    return `${prefix} ${match[1]}`;
   }
 }
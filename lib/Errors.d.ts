@@ -0,0 +1,265 @@
+import { ApiSourceLocation, ApiValidationReport, SerializedServiceError, ArchiveSecurityReason, UnresolvedReference } from '../types';
+
+/**
+ * The codes of the errors thrown by the service.
+ */
+export declare const ErrorCodes: Readonly<{
+  notPrepared: 'NOT_PREPARED';
+  entryPointNotFound: 'ENTRY_POINT_NOT_FOUND';
+  unsupportedFormat: 'UNSUPPORTED_FORMAT';
+  parseFailed: 'PARSE_FAILED';
+  timeout: 'TIMEOUT';
+  integrityFailed: 'INTEGRITY_FAILED';
+  downloadFailed: 'DOWNLOAD_FAILED';
+  cancelled: 'CANCELLED';
+  unsafeArchive: 'UNSAFE_ARCHIVE';
+  unresolvedReference: 'UNRESOLVED_REFERENCE';
+  workerCrashed: 'WORKER_CRASHED';
+  invalidOption: 'INVALID_OPTION';
+  fileReadFailed: 'FILE_READ_FAILED';
+}>;
+
+/**
+ * The base class of the errors thrown by the service.
+ * The `code` property is one of the `ErrorCodes` values.
+ */
+export class AmfServiceError extends Error {
+  /**
+   * The error code.
+   */
+  code: string;
+  /**
+   * @param message The error message.
+   * @param code The error code.
+   */
+  constructor(message: string, code: string);
+}
+
+/**
+ * An error thrown when the processing functions of the `AmfService` are called in the wrong order,
+ * like `parse()` before `prepare()`.
+ */
+export class NotPreparedError extends AmfServiceError {
+  name: 'NotPreparedError';
+  code: 'NOT_PREPARED';
+  /**
+   * @param message The error message.
+   */
+  constructor(message: string);
+}
+
+/**
+ * An error thrown when the API main file does not exist or there are no API files in the source.
+ */
+export class EntryPointNotFoundError extends AmfServiceError {
+  name: 'EntryPointNotFoundError';
+  code: 'ENTRY_POINT_NOT_FOUND';
+  /**
+   * @param message The error message.
+   */
+  constructor(message: string);
+}
+
+/**
+ * An error thrown when the API file has an unknown or unsupported format.
+ */
+export class UnsupportedFormatError extends AmfServiceError {
+  name: 'UnsupportedFormatError';
+  code: 'UNSUPPORTED_FORMAT';
+  /**
+   * @param message The error message.
+   */
+  constructor(message: string);
+}
+
+/**
+ * An error thrown when AMF is unable to parse or resolve the API, or when the API
+ * does not pass the `failOnSeverity` validation gate.
+ */
+export class ParseFailedError extends AmfServiceError {
+  name: 'ParseFailedError';
+  code: 'PARSE_FAILED';
+  /**
+   * The error message reported by AMF.
+   */
+  details?: string;
+  /**
+   * The location in the API source the error refers to. Only set when the API did not pass
+   * the validation gate, it is the location of the first failed result.
+   */
+  location?: ApiSourceLocation;
+  /**
+   * The validation report when the API did not pass the validation gate.
+   */
+  validation?: ApiValidationReport;
+  /**
+   * @param message The error message.
+   * @param details The error message reported by AMF.
+   * @param location The location in the API source the error refers to.
+   */
+  constructor(message: string, details?: string, location?: ApiSourceLocation);
+}
+
+/**
+ * An error thrown when a processing stage, like parsing or resolving, takes longer than the configured timeout.
+ * The worker process running the stage is killed.
+ */
+export class TimeoutError extends AmfServiceError {
+  name: 'TimeoutError';
+  code: 'TIMEOUT';
+  /**
+   * The name of the processing stage that timed out.
+   */
+  stage: string;
+  /**
+   * The timeout, in milliseconds.
+   */
+  timeout: number;
+  /**
+   * @param stage The name of the processing stage, like `parse` or `resolve`.
+   * @param timeout The timeout, in milliseconds.
+   */
+  constructor(stage: string, timeout: number);
+}
+
+/**
+ * An error thrown when the downloaded API file does not match the expected checksum.
+ */
+export class IntegrityFailedError extends AmfServiceError {
+  name: 'IntegrityFailedError';
+  code: 'INTEGRITY_FAILED';
+  /**
+   * @param message The error message. Default to `API file integrity test failed. Checksum mismatch.`.
+   */
+  constructor(message?: string);
+}
+
+/**
+ * An error thrown when the API file cannot be downloaded.
+ */
+export class DownloadFailedError extends AmfServiceError {
+  name: 'DownloadFailedError';
+  code: 'DOWNLOAD_FAILED';
+  /**
+   * The HTTP status code of the response. Not set when the request failed before the response.
+   */
+  status?: number;
+  /**
+   * @param message The error message.
+   * @param status The HTTP status code of the response, if any.
+   */
+  constructor(message: string, status?: number);
+}
+
+/**
+ * An error thrown when the archive is rejected because it is unsafe to extract: an entry would be
+ * written outside the extraction directory, an entry is a link, or the archive exceeds the archive limits.
+ */
+export class ArchiveSecurityError extends AmfServiceError {
+  name: 'ArchiveSecurityError';
+  code: 'UNSAFE_ARCHIVE';
+  /**
+   * The reason the archive was rejected: `path-traversal`, `link`, `size`, `entries`, or `ratio`.
+   */
+  reason: ArchiveSecurityReason;
+  /**
+   * The path of the rejected archive entry, if any.
+   */
+  entry?: string;
+  /**
+   * @param message The error message.
+   * @param reason The reason the archive was rejected.
+   * @param entry The path of the rejected archive entry, if any.
+   */
+  constructor(message: string, reason: ArchiveSecurityReason, entry?: string);
+}
+
+/**
+ * An error thrown when the parser could not resolve the remote references of the API
+ * because of the remote references policy or because the download failed.
+ */
+export class UnresolvedReferenceError extends AmfServiceError {
+  name: 'UnresolvedReferenceError';
+  code: 'UNRESOLVED_REFERENCE';
+  /**
+   * The unresolved references with the URL and the reason.
+   */
+  references: UnresolvedReference[];
+  /**
+   * @param message The error message.
+   * @param references The unresolved references.
+   */
+  constructor(message: string, references: UnresolvedReference[]);
+}
+
+/**
+ * An error thrown when a processing option has an invalid value, like a validation profile file
+ * that does not exist or the id of a job that is already running.
+ */
+export class InvalidOptionError extends AmfServiceError {
+  name: 'InvalidOptionError';
+  code: 'INVALID_OPTION';
+  /**
+   * The name of the invalid option, like `validationProfile`.
+   */
+  option: string;
+  /**
+   * @param message The error message.
+   * @param option The name of the invalid option.
+   */
+  constructor(message: string, option: string);
+}
+
+/**
+ * An error thrown when the selected file cannot be read.
+ */
+export class FileReadFailedError extends AmfServiceError {
+  name: 'FileReadFailedError';
+  code: 'FILE_READ_FAILED';
+  /**
+   * @param message The error message. Default to `Unable to read the file.`.
+   */
+  constructor(message?: string);
+}
+
+/**
+ * An error thrown when the parser or the resolver process exited or failed while processing the job,
+ * for example when it ran out of memory.
+ */
+export class WorkerCrashedError extends AmfServiceError {
+  name: 'WorkerCrashedError';
+  code: 'WORKER_CRASHED';
+  /**
+   * The exit code of the process. Not set when the process was terminated with a signal or did not exit.
+   */
+  exitCode?: number;
+  /**
+   * The signal that terminated the process, like `SIGKILL`, if any.
+   */
+  signal?: string;
+  /**
+   * @param message The error message.
+   * @param exitCode The exit code of the process, if any.
+   * @param signal The signal that terminated the process, if any.
+   */
+  constructor(message: string, exitCode?: number, signal?: string);
+}
+
+/**
+ * An error thrown when the processing job has been aborted, either with the `AbortSignal`
+ * or by cancelling the job.
+ */
+export class AbortError extends AmfServiceError {
+  name: 'AbortError';
+  code: 'CANCELLED';
+  /**
+   * @param message The error message. Default to `The operation was aborted.`.
+   */
+  constructor(message?: string);
+}
+
+/**
+ * Creates an error from the error information sent by the parser and resolver processes.
+ * @param info The error message or the serialized error.
+ */
+export declare function deserializeError(info: string|SerializedServiceError): Error;
@@ -0,0 +1,312 @@
+/** @typedef {import('../types').ApiSourceLocation} ApiSourceLocation */
+/** @typedef {import('../types').ApiValidationReport} ApiValidationReport */
+/** @typedef {import('../types').SerializedServiceError} SerializedServiceError */
+/** @typedef {import('../types').ArchiveSecurityReason} ArchiveSecurityReason */
+/** @typedef {import('../types').UnresolvedReference} UnresolvedReference */
+
+/**
+ * The codes of the errors thrown by the service.
+ */
+export const ErrorCodes = Object.freeze({
+  notPrepared: 'NOT_PREPARED',
+  entryPointNotFound: 'ENTRY_POINT_NOT_FOUND',
+  unsupportedFormat: 'UNSUPPORTED_FORMAT',
+  parseFailed: 'PARSE_FAILED',
+  timeout: 'TIMEOUT',
+  integrityFailed: 'INTEGRITY_FAILED',
+  downloadFailed: 'DOWNLOAD_FAILED',
+  cancelled: 'CANCELLED',
+  unsafeArchive: 'UNSAFE_ARCHIVE',
+  unresolvedReference: 'UNRESOLVED_REFERENCE',
+  workerCrashed: 'WORKER_CRASHED',
+  invalidOption: 'INVALID_OPTION',
+  fileReadFailed: 'FILE_READ_FAILED',
+});
+
+/**
+ * The base class of the errors thrown by the service.
+ * The `code` property is one of the `ErrorCodes` values.
+ */
+export class AmfServiceError extends Error {
+  /**
+   * @param {string} message The error message.
+   * @param {string} code The error code.
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'AmfServiceError';
+    /**
+     * The error code.
+     * @type {string}
+     */
+    this.code = code;
+  }
+}
+
+/**
+ * An error thrown when the processing functions of the `AmfService` are called in the wrong order,
+ * like `parse()` before `prepare()`.
+ */
+export class NotPreparedError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   */
+  constructor(message) {
+    super(message, ErrorCodes.notPrepared);
+    this.name = 'NotPreparedError';
+  }
+}
+
+/**
+ * An error thrown when the API main file does not exist or there are no API files in the source.
+ */
+export class EntryPointNotFoundError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   */
+  constructor(message) {
+    super(message, ErrorCodes.entryPointNotFound);
+    this.name = 'EntryPointNotFoundError';
+  }
+}
+
+/**
+ * An error thrown when the API file has an unknown or unsupported format.
+ */
+export class UnsupportedFormatError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   */
+  constructor(message) {
+    super(message, ErrorCodes.unsupportedFormat);
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+/**
+ * An error thrown when AMF is unable to parse or resolve the API, or when the API
+ * does not pass the `failOnSeverity` validation gate.
+ */
+export class ParseFailedError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   * @param {string=} details The error message reported by AMF.
+   * @param {ApiSourceLocation=} location The location in the API source the error refers to.
+   */
+  constructor(message, details, location) {
+    super(message, ErrorCodes.parseFailed);
+    this.name = 'ParseFailedError';
+    /**
+     * The error message reported by AMF.
+     * @type {string|undefined}
+     */
+    this.details = details;
+    /**
+     * The location in the API source the error refers to. Only set when the API did not pass
+     * the validation gate, it is the location of the first failed result.
+     * @type {ApiSourceLocation|undefined}
+     */
+    this.location = location;
+    /**
+     * The validation report when the API did not pass the validation gate.
+     * @type {ApiValidationReport|undefined}
+     */
+    this.validation = undefined;
+  }
+}
+
+/**
+ * An error thrown when a processing stage, like parsing or resolving, takes longer than the configured timeout.
+ * The worker process running the stage is killed.
+ */
+export class TimeoutError extends AmfServiceError {
+  /**
+   * @param {string} stage The name of the processing stage, like `parse` or `resolve`.
+   * @param {number} timeout The timeout, in milliseconds.
+   */
+  constructor(stage, timeout) {
+    super(`The ${stage} stage timed out after ${timeout} ms.`, ErrorCodes.timeout);
+    this.name = 'TimeoutError';
+    /**
+     * The name of the processing stage that timed out.
+     * @type {string}
+     */
+    this.stage = stage;
+    /**
+     * The timeout, in milliseconds.
+     * @type {number}
+     */
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * An error thrown when the downloaded API file does not match the expected checksum.
+ */
+export class IntegrityFailedError extends AmfServiceError {
+  /**
+   * @param {string=} [message='API file integrity test failed. Checksum mismatch.'] The error message.
+   */
+  constructor(message='API file integrity test failed. Checksum mismatch.') {
+    super(message, ErrorCodes.integrityFailed);
+    this.name = 'IntegrityFailedError';
+  }
+}
+
+/**
+ * An error thrown when the API file cannot be downloaded.
+ */
+export class DownloadFailedError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   * @param {number=} status The HTTP status code of the response, if any.
+   */
+  constructor(message, status) {
+    super(message, ErrorCodes.downloadFailed);
+    this.name = 'DownloadFailedError';
+    /**
+     * The HTTP status code of the response. Not set when the request failed before the response.
+     * @type {number|undefined}
+     */
+    this.status = status;
+  }
+}
+
+/**
+ * An error thrown when the archive is rejected because it is unsafe to extract: an entry would be
+ * written outside the extraction directory, an entry is a link, or the archive exceeds the archive limits.
+ */
+export class ArchiveSecurityError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   * @param {ArchiveSecurityReason} reason The reason the archive was rejected.
+   * @param {string=} entry The path of the rejected archive entry, if any.
+   */
+  constructor(message, reason, entry) {
+    super(message, ErrorCodes.unsafeArchive);
+    this.name = 'ArchiveSecurityError';
+    /**
+     * The reason the archive was rejected: `path-traversal`, `link`, `size`, `entries`, or `ratio`.
+     * @type {ArchiveSecurityReason}
+     */
+    this.reason = reason;
+    /**
+     * The path of the rejected archive entry, if any.
+     * @type {string|undefined}
+     */
+    this.entry = entry;
+  }
+}
+
+/**
+ * An error thrown when the parser could not resolve the remote references of the API
+ * because of the remote references policy or because the download failed.
+ */
+export class UnresolvedReferenceError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   * @param {UnresolvedReference[]} references The unresolved references.
+   */
+  constructor(message, references) {
+    super(message, ErrorCodes.unresolvedReference);
+    this.name = 'UnresolvedReferenceError';
+    /**
+     * The unresolved references with the URL and the reason.
+     * @type {UnresolvedReference[]}
+     */
+    this.references = references;
+  }
+}
+
+/**
+ * An error thrown when a processing option has an invalid value, like a validation profile file
+ * that does not exist or the id of a job that is already running.
+ */
+export class InvalidOptionError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   * @param {string} option The name of the invalid option.
+   */
+  constructor(message, option) {
+    super(message, ErrorCodes.invalidOption);
+    this.name = 'InvalidOptionError';
+    /**
+     * The name of the invalid option, like `validationProfile`.
+     * @type {string}
+     */
+    this.option = option;
+  }
+}
+
+/**
+ * An error thrown when the selected file cannot be read.
+ */
+export class FileReadFailedError extends AmfServiceError {
+  /**
+   * @param {string=} [message='Unable to read the file.'] The error message.
+   */
+  constructor(message='Unable to read the file.') {
+    super(message, ErrorCodes.fileReadFailed);
+    this.name = 'FileReadFailedError';
+  }
+}
+
+/**
+ * An error thrown when the parser or the resolver process exited or failed while processing the job,
+ * for example when it ran out of memory.
+ */
+export class WorkerCrashedError extends AmfServiceError {
+  /**
+   * @param {string} message The error message.
+   * @param {number=} exitCode The exit code of the process, if any.
+   * @param {string=} signal The signal that terminated the process, if any.
+   */
+  constructor(message, exitCode, signal) {
+    super(message, ErrorCodes.workerCrashed);
+    this.name = 'WorkerCrashedError';
+    /**
+     * The exit code of the process. Not set when the process was terminated with a signal or did not exit.
+     * @type {number|undefined}
+     */
+    this.exitCode = exitCode;
+    /**
+     * The signal that terminated the process, like `SIGKILL`, if any.
+     * @type {string|undefined}
+     */
+    this.signal = signal;
+  }
+}
+
+/**
+ * An error thrown when the processing job has been aborted, either with the `AbortSignal`
+ * or by cancelling the job.
+ */
+export class AbortError extends AmfServiceError {
+  /**
+   * @param {string=} [message='The operation was aborted.'] The error message.
+   */
+  constructor(message='The operation was aborted.') {
+    super(message, ErrorCodes.cancelled);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Creates an error from the error information sent by the parser and resolver processes.
+ * The child processes cannot share classes with the renderer process so they send the error code
+ * and the error properties instead.
+ * @param {string|SerializedServiceError} info The error message or the serialized error.
+ * @return {Error}
+ */
+export function deserializeError(info) {
+  if (typeof info === 'string') {
+    return new Error(info);
+  }
+  const { code, message, details, location } = info;
+  switch (code) {
+    case ErrorCodes.parseFailed: return new ParseFailedError(message, details, location);
+    case ErrorCodes.unsupportedFormat: return new UnsupportedFormatError(message);
+    case ErrorCodes.entryPointNotFound: return new EntryPointNotFoundError(message);
+    default: return new AmfServiceError(message, code);
+  }
+}
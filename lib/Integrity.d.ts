@@ -0,0 +1,67 @@
+import { ApiDigests, IntegrityMetadata } from '../types';
+
+/**
+ * The algorithms of the digests computed for each downloaded asset.
+ */
+export declare const digestAlgorithms: string[];
+
+/**
+ * Parses the integrity value. The value is either an SRI string, like `sha512-<base64 digest>`,
+ * with one or more space separated hashes, or a hex encoded digest, like Exchange's MD5 or SHA-1 checksum.
+ * The algorithm of the hex encoded digest is recognized by the digest length.
+ *
+ * @param integrity The integrity value.
+ * @returns The list of expected digests.
+ */
+export declare function parseIntegrity(integrity: string): IntegrityMetadata[];
+
+/**
+ * Computes the digests of the data, chunk by chunk, while the data is being downloaded.
+ */
+export declare class Digests {
+  #hashes: Map<string, any>;
+  #length: number;
+  #result: ApiDigests;
+  /**
+   * The number of processed bytes.
+   */
+  get length(): number;
+  /**
+   * @param algorithms The hash algorithms to compute. Default to `digestAlgorithms`.
+   */
+  constructor(algorithms?: string[]);
+  /**
+   * Adds the data chunk to the digests.
+   * @param chunk The data chunk.
+   */
+  update(chunk: Uint8Array): void;
+  /**
+   * Finishes the computation. The digests cannot be updated after this call.
+   * @returns The hex encoded digests.
+   */
+  digest(): ApiDigests;
+}
+
+/**
+ * Lists the hash algorithms needed to verify the integrity value.
+ * @param integrity The integrity value.
+ */
+export declare function integrityAlgorithmsOf(integrity?: string): string[];
+
+/**
+ * Tests the digests against the integrity value. As with the Subresource Integrity, only the hashes of
+ * the strongest algorithm in the integrity value are tested and any of them must match.
+ *
+ * @param digests The hex encoded digests of the data.
+ * @param integrity The integrity value.
+ * @returns True when the data matches the integrity value.
+ */
+export declare function matchIntegrity(digests: ApiDigests, integrity: string): boolean;
+
+/**
+ * Creates the SRI integrity string from the digest.
+ * @param algorithm The hash algorithm.
+ * @param hex The hex encoded digest.
+ * @returns The integrity string, like `sha512-<base64 digest>`.
+ */
+export declare function toIntegrity(algorithm: string, hex: string): string;
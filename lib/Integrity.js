@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+
+/** @typedef {import('../types').ApiDigests} ApiDigests */
+/** @typedef {import('../types').IntegrityMetadata} IntegrityMetadata */
+
+/**
+ * The algorithms of the digests computed for each downloaded asset.
+ */
+export const digestAlgorithms = ['md5', 'sha1', 'sha256', 'sha512'];
+
+/**
+ * The supported integrity algorithms, from the weakest.
+ */
+const integrityAlgorithms = ['md5', 'sha1', 'sha256', 'sha384', 'sha512'];
+
+/**
+ * The length of the hex encoded digest of the algorithms.
+ */
+const hexLengths = {
+  32: 'md5',
+  40: 'sha1',
+  64: 'sha256',
+  96: 'sha384',
+  128: 'sha512',
+};
+
+/**
+ * Removes the base64 padding so the padded and not padded values can be compared.
+ * @param {string} value
+ * @return {string}
+ */
+function trimPadding(value) {
+  return value.replace(/=+$/, '');
+}
+
+/**
+ * Parses the integrity value. The value is either an SRI string, like `sha512-<base64 digest>`,
+ * with one or more space separated hashes, or a hex encoded digest, like Exchange's MD5 or SHA-1 checksum.
+ * The algorithm of the hex encoded digest is recognized by the digest length.
+ *
+ * @param {string} integrity The integrity value.
+ * @return {IntegrityMetadata[]} The list of expected digests.
+ */
+export function parseIntegrity(integrity) {
+  const result = /** @type IntegrityMetadata[] */ ([]);
+  integrity.trim().split(/\s+/).forEach((token) => {
+    const match = token.match(/^(md5|sha1|sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(?:\?.*)?$/i);
+    if (match) {
+      result.push({
+        algorithm: match[1].toLowerCase(),
+        encoding: 'base64',
+        value: trimPadding(match[2]),
+      });
+      return;
+    }
+    if (/^[a-f0-9]+$/i.test(token) && hexLengths[token.length]) {
+      result.push({
+        algorithm: hexLengths[token.length],
+        encoding: 'hex',
+        value: token.toLowerCase(),
+      });
+    }
+  });
+  if (!result.length && integrity.trim()) {
+    // An unrecognized value is treated as an MD5 checksum, as before the SRI support.
+    result.push({ algorithm: 'md5', encoding: 'hex', value: integrity.trim().toLowerCase() });
+  }
+  return result;
+}
+
+/**
+ * Computes the digests of the data, chunk by chunk, while the data is being downloaded.
+ *
+ * ```javascript
+ * const digests = new Digests(['sha256']);
+ * digests.update(chunk);
+ * const { sha256 } = digests.digest();
+ * ```
+ */
+export class Digests {
+  /**
+   * @type {Map<string, crypto.Hash>}
+   */
+  #hashes = new Map();
+
+  /**
+   * The number of processed bytes.
+   * @type {number}
+   */
+  #length = 0;
+
+  /**
+   * @type {ApiDigests}
+   */
+  #result;
+
+  /**
+   * @return {number} The number of processed bytes.
+   */
+  get length() {
+    return this.#length;
+  }
+
+  /**
+   * @param {string[]=} [algorithms=digestAlgorithms] The hash algorithms to compute.
+   */
+  constructor(algorithms=digestAlgorithms) {
+    algorithms.forEach((algorithm) => {
+      if (!this.#hashes.has(algorithm)) {
+        this.#hashes.set(algorithm, crypto.createHash(algorithm));
+      }
+    });
+  }
+
+  /**
+   * Adds the data chunk to the digests.
+   * @param {Uint8Array} chunk The data chunk.
+   */
+  update(chunk) {
+    this.#hashes.forEach((hash) => hash.update(chunk));
+    this.#length += chunk.length;
+  }
+
+  /**
+   * Finishes the computation. The digests cannot be updated after this call.
+   * @return {ApiDigests} The hex encoded digests.
+   */
+  digest() {
+    if (!this.#result) {
+      const result = {};
+      this.#hashes.forEach((hash, algorithm) => {
+        result[algorithm] = hash.digest('hex');
+      });
+      this.#result = /** @type ApiDigests */ (result);
+    }
+    return this.#result;
+  }
+}
+
+/**
+ * Lists the hash algorithms needed to verify the integrity value.
+ * @param {string=} integrity The integrity value.
+ * @return {string[]}
+ */
+export function integrityAlgorithmsOf(integrity) {
+  if (!integrity) {
+    return [];
+  }
+  const algorithms = parseIntegrity(integrity).map((item) => item.algorithm);
+  return Array.from(new Set(algorithms));
+}
+
+/**
+ * Tests the digests against the integrity value. As with the Subresource Integrity, only the hashes of
+ * the strongest algorithm in the integrity value are tested and any of them must match.
+ *
+ * @param {ApiDigests} digests The hex encoded digests of the data.
+ * @param {string} integrity The integrity value.
+ * @return {boolean} True when the data matches the integrity value.
+ */
+export function matchIntegrity(digests, integrity) {
+  const expected = parseIntegrity(integrity);
+  if (!expected.length) {
+    return false;
+  }
+  const strongest = expected.reduce((current, item) => {
+    const index = integrityAlgorithms.indexOf(item.algorithm);
+    return index > integrityAlgorithms.indexOf(current) ? item.algorithm : current;
+  }, expected[0].algorithm);
+  const hex = digests[strongest];
+  if (!hex) {
+    return false;
+  }
+  return expected.filter((item) => item.algorithm === strongest).some((item) => {
+    if (item.encoding === 'hex') {
+      return item.value === hex;
+    }
+    return item.value === trimPadding(Buffer.from(hex, 'hex').toString('base64'));
+  });
+}
+
+/**
+ * Creates the SRI integrity string from the digest.
+ * @param {string} algorithm The hash algorithm.
+ * @param {string} hex The hex encoded digest.
+ * @return {string} The integrity string, like `sha512-<base64 digest>`.
+ */
+export function toIntegrity(algorithm, hex) {
+  return `${algorithm}-${Buffer.from(hex, 'hex').toString('base64')}`;
+}
@@ -0,0 +1,116 @@
+import { Writable } from 'stream';
+
+/**
+ * The default root directory of the in-memory file system.
+ * The directory does not exist on the disk, it only gives the files absolute locations.
+ */
+export declare const memoryRoot: string;
+
+/**
+ * Describes a file or a directory in the in-memory file system.
+ * It has the same interface as the `fs.Stats` and `fs.Dirent` objects used by the service.
+ */
+export class MemoryStats {
+  name: string;
+  size: number;
+  _directory: boolean;
+  /**
+   * @param name The name of the file or the directory.
+   * @param size The size of the file, in bytes.
+   * @param directory Whether the item is a directory.
+   */
+  constructor(name: string, size: number, directory: boolean);
+  isFile(): boolean;
+  isDirectory(): boolean;
+}
+
+/**
+ * A file system that keeps the files in memory. It implements the subset of the `fs-extra` functions
+ * used by the service so the buffer and archive sources are processed without a temporary directory.
+ *
+ * All locations are resolved against the `root` directory.
+ */
+export class MemoryFileSystem {
+  /**
+   * The root directory of the file system.
+   */
+  root: string;
+  /**
+   * The number of files in the file system.
+   */
+  readonly size: number;
+  /**
+   * @param root The root directory of the file system. Default to `memoryRoot`.
+   */
+  constructor(root?: string);
+  _resolve(location: string): string;
+  _isDirectory(location: string): boolean;
+  _listDeep(location: string): string[];
+  pathExists(location: string): Promise<boolean>;
+  stat(location: string): Promise<MemoryStats>;
+  /**
+   * Lists the directory content, sorted by name.
+   * @param location The directory location.
+   * @param opts When `withFileTypes` is set it returns `MemoryStats` objects.
+   */
+  readdir(location: string): Promise<string[]>;
+  readdir(location: string, opts: { withFileTypes: true }): Promise<MemoryStats[]>;
+  readdir(location: string, opts?: { withFileTypes?: boolean }): Promise<string[]|MemoryStats[]>;
+  readFile(location: string): Promise<Buffer>;
+  readFile(location: string, encoding: BufferEncoding): Promise<string>;
+  readJson(location: string): Promise<any>;
+  /**
+   * Writes the file. The parent directories are created when missing.
+   */
+  writeFile(location: string, data: Buffer|string): Promise<void>;
+  _write(absolute: string, data: Buffer): void;
+  /**
+   * Adds the directory and its missing parent directories.
+   */
+  _addDirectory(absolute: string): void;
+  /**
+   * Adds the name of the file or the directory to the content of its parent directory.
+   */
+  _addToParent(absolute: string): void;
+  /**
+   * Removes the files and directories in the directory.
+   */
+  _removeContent(absolute: string): void;
+  /**
+   * Creates a stream that writes the file when the stream finishes.
+   */
+  createWriteStream(location: string): Writable;
+  /**
+   * Creates the directory and its parent directories.
+   */
+  ensureDir(location: string): Promise<void>;
+  /**
+   * Removes the file or the directory with its content.
+   */
+  remove(location: string): Promise<void>;
+  /**
+   * Removes the content of the directory.
+   */
+  emptyDir(location: string): Promise<void>;
+  /**
+   * Copies the file or the directory content. The directory content is merged with the destination directory.
+   */
+  copy(source: string, destination: string): Promise<void>;
+  /**
+   * Opens the file for reading. The descriptor is the absolute location of the file.
+   */
+  open(location: string): Promise<string>;
+  /**
+   * Reads the part of the opened file.
+   */
+  read(fd: string, buffer: Buffer, offset: number, length: number, position: number): Promise<{ bytesRead: number, buffer: Buffer }>;
+  /**
+   * Closes the file descriptor. Nothing to do for the in-memory files.
+   */
+  close(): Promise<void>;
+  /**
+   * Reads all files as text. The result is sent to the parser process.
+   * @returns The file contents by the absolute location.
+   */
+  toJSON(): Record<string, string>;
+}
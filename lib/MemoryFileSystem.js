@@ -0,0 +1,386 @@
+import path from 'path';
+import { Writable } from 'stream';
+
+/**
+ * The default root directory of the in-memory file system.
+ * The directory does not exist on the disk, it only gives the files absolute locations.
+ */
+export const memoryRoot = path.resolve('/amf-service');
+
+/**
+ * Creates the error thrown when the file does not exist, like the `fs` module does.
+ * @param {string} syscall The name of the operation.
+ * @param {string} location The file location.
+ * @return {Error}
+ */
+function notFound(syscall, location) {
+  const error = /** @type NodeJS.ErrnoException */ (new Error(`ENOENT: no such file or directory, ${syscall} '${location}'`));
+  error.code = 'ENOENT';
+  return error;
+}
+
+/**
+ * Describes a file or a directory in the in-memory file system.
+ * It has the same interface as the `fs.Stats` and `fs.Dirent` objects used by the service.
+ */
+export class MemoryStats {
+  /**
+   * @param {string} name The name of the file or the directory.
+   * @param {number} size The size of the file, in bytes.
+   * @param {boolean} directory Whether the item is a directory.
+   */
+  constructor(name, size, directory) {
+    this.name = name;
+    this.size = size;
+    this._directory = directory;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isFile() {
+    return !this._directory;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  isDirectory() {
+    return this._directory;
+  }
+}
+
+/**
+ * A file system that keeps the files in memory. It implements the subset of the `fs-extra` functions
+ * used by the service so the buffer and archive sources are processed without a temporary directory.
+ *
+ * All locations are resolved against the `root` directory.
+ */
+export class MemoryFileSystem {
+  /**
+   * The file contents by the absolute location.
+   * @type {Map<string, Buffer>}
+   */
+  #files = new Map();
+
+  /**
+   * The names of the files and directories in the directory by the absolute location of the directory,
+   * including the empty directories. The directory operations use it instead of scanning all files.
+   * @type {Map<string, Set<string>>}
+   */
+  #directories = new Map();
+
+  /**
+   * @param {string=} [root=memoryRoot] The root directory of the file system.
+   */
+  constructor(root=memoryRoot) {
+    this.root = path.resolve(root);
+    this._addDirectory(this.root);
+  }
+
+  /**
+   * @return {number} The number of files in the file system.
+   */
+  get size() {
+    return this.#files.size;
+  }
+
+  /**
+   * @param {string} location
+   * @return {string} The absolute location.
+   */
+  _resolve(location) {
+    return path.resolve(this.root, location);
+  }
+
+  /**
+   * @param {string} location The absolute location.
+   * @return {boolean} True when the location is a directory.
+   */
+  _isDirectory(location) {
+    return this.#directories.has(location);
+  }
+
+  /**
+   * @param {string} location The absolute location.
+   * @return {string[]} The absolute locations of all files and directories in the directory,
+   * each directory before its content.
+   */
+  _listDeep(location) {
+    const children = this.#directories.get(location);
+    const result = [];
+    if (!children) {
+      return result;
+    }
+    children.forEach((name) => {
+      const item = path.join(location, name);
+      result.push(item, ...this._listDeep(item));
+    });
+    return result;
+  }
+
+  /**
+   * @param {string} location The file or directory location.
+   * @return {Promise<boolean>}
+   */
+  async pathExists(location) {
+    const absolute = this._resolve(location);
+    return this.#files.has(absolute) || this._isDirectory(absolute);
+  }
+
+  /**
+   * @param {string} location The file or directory location.
+   * @return {Promise<MemoryStats>}
+   */
+  async stat(location) {
+    const absolute = this._resolve(location);
+    const name = path.basename(absolute);
+    if (this.#files.has(absolute)) {
+      return new MemoryStats(name, this.#files.get(absolute).length, false);
+    }
+    if (this._isDirectory(absolute)) {
+      return new MemoryStats(name, 0, true);
+    }
+    throw notFound('stat', location);
+  }
+
+  /**
+   * Lists the directory content, sorted by name.
+   * @param {string} location The directory location.
+   * @param {{ withFileTypes: boolean }=} [opts] When `withFileTypes` is set it returns `MemoryStats` objects.
+   * @return {Promise<any[]>} The names of the files and directories or the `MemoryStats` objects.
+   */
+  async readdir(location, opts={ withFileTypes: false }) {
+    const absolute = this._resolve(location);
+    if (!this._isDirectory(absolute)) {
+      throw notFound('scandir', location);
+    }
+    const result = Array.from(this.#directories.get(absolute)).sort();
+    if (!opts.withFileTypes) {
+      return result;
+    }
+    return Promise.all(result.map((name) => this.stat(path.join(absolute, name))));
+  }
+
+  /**
+   * @param {string} location The file location.
+   * @param {BufferEncoding=} encoding When set the file content is returned as a string.
+   * @return {Promise<any>} The file content.
+   */
+  async readFile(location, encoding) {
+    const data = this.#files.get(this._resolve(location));
+    if (!data) {
+      throw notFound('open', location);
+    }
+    return encoding ? data.toString(encoding) : Buffer.from(data);
+  }
+
+  /**
+   * @param {string} location The file location.
+   * @return {Promise<any>} The parsed JSON content of the file.
+   */
+  async readJson(location) {
+    const content = await this.readFile(location, 'utf8');
+    return JSON.parse(content);
+  }
+
+  /**
+   * Writes the file. The parent directories are created when missing.
+   * @param {string} location The file location.
+   * @param {Buffer|string} data The file content.
+   * @return {Promise<void>}
+   */
+  async writeFile(location, data) {
+    this._write(this._resolve(location), Buffer.from(data));
+  }
+
+  /**
+   * @param {string} absolute The absolute file location.
+   * @param {Buffer} data The file content.
+   */
+  _write(absolute, data) {
+    this._addDirectory(path.dirname(absolute));
+    this.#files.set(absolute, data);
+    this._addToParent(absolute);
+  }
+
+  /**
+   * Adds the directory and its missing parent directories.
+   * @param {string} absolute The absolute directory location.
+   */
+  _addDirectory(absolute) {
+    const missing = [];
+    let current = absolute;
+    while (!this.#directories.has(current)) {
+      missing.unshift(current);
+      if (current === path.dirname(current)) {
+        break;
+      }
+      current = path.dirname(current);
+    }
+    missing.forEach((item) => {
+      this.#directories.set(item, new Set());
+      this._addToParent(item);
+    });
+  }
+
+  /**
+   * Adds the name of the file or the directory to the content of its parent directory.
+   * @param {string} absolute The absolute location of the file or the directory.
+   */
+  _addToParent(absolute) {
+    const parent = this.#directories.get(path.dirname(absolute));
+    if (parent && absolute !== path.dirname(absolute)) {
+      parent.add(path.basename(absolute));
+    }
+  }
+
+  /**
+   * Removes the files and directories in the directory.
+   * @param {string} absolute The absolute directory location.
+   */
+  _removeContent(absolute) {
+    this._listDeep(absolute).forEach((item) => {
+      this.#files.delete(item);
+      this.#directories.delete(item);
+    });
+    const children = this.#directories.get(absolute);
+    if (children) {
+      children.clear();
+    }
+  }
+
+  /**
+   * Creates a stream that writes the file when the stream finishes.
+   * @param {string} location The file location.
+   * @return {Writable}
+   */
+  createWriteStream(location) {
+    const absolute = this._resolve(location);
+    const chunks = [];
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        callback();
+      },
+      final: (callback) => {
+        this._write(absolute, Buffer.concat(chunks));
+        callback();
+      },
+    });
+  }
+
+  /**
+   * Creates the directory and its parent directories.
+   * @param {string} location The directory location.
+   * @return {Promise<void>}
+   */
+  async ensureDir(location) {
+    this._addDirectory(this._resolve(location));
+  }
+
+  /**
+   * Removes the file or the directory with its content.
+   * @param {string} location The file or directory location.
+   * @return {Promise<void>}
+   */
+  async remove(location) {
+    const absolute = this._resolve(location);
+    this._removeContent(absolute);
+    if (absolute === this.root) {
+      return;
+    }
+    this.#files.delete(absolute);
+    this.#directories.delete(absolute);
+    const parent = this.#directories.get(path.dirname(absolute));
+    if (parent) {
+      parent.delete(path.basename(absolute));
+    }
+  }
+
+  /**
+   * Removes the content of the directory.
+   * @param {string} location The directory location.
+   * @return {Promise<void>}
+   */
+  async emptyDir(location) {
+    const absolute = this._resolve(location);
+    this._removeContent(absolute);
+    this._addDirectory(absolute);
+  }
+
+  /**
+   * Copies the file or the directory content. The directory content is merged with the destination directory.
+   * @param {string} source The file or directory location.
+   * @param {string} destination The destination location.
+   * @return {Promise<void>}
+   */
+  async copy(source, destination) {
+    const from = this._resolve(source);
+    const to = this._resolve(destination);
+    if (this.#files.has(from)) {
+      this._write(to, this.#files.get(from));
+      return;
+    }
+    if (!this._isDirectory(from)) {
+      throw notFound('stat', source);
+    }
+    this._addDirectory(to);
+    this._listDeep(from).forEach((item) => {
+      const target = path.join(to, path.relative(from, item));
+      if (this.#files.has(item)) {
+        this._write(target, this.#files.get(item));
+      } else {
+        this._addDirectory(target);
+      }
+    });
+  }
+
+  /**
+   * Opens the file for reading. The descriptor is the absolute location of the file.
+   * @param {string} location The file location.
+   * @return {Promise<string>} The file descriptor.
+   */
+  async open(location) {
+    const absolute = this._resolve(location);
+    if (!this.#files.has(absolute)) {
+      throw notFound('open', location);
+    }
+    return absolute;
+  }
+
+  /**
+   * Reads the part of the opened file.
+   * @param {string} fd The file descriptor.
+   * @param {Buffer} buffer The buffer to write the data to.
+   * @param {number} offset The buffer offset.
+   * @param {number} length The number of bytes to read.
+   * @param {number} position The file position.
+   * @return {Promise<{ bytesRead: number, buffer: Buffer }>}
+   */
+  async read(fd, buffer, offset, length, position) {
+    const data = this.#files.get(fd);
+    const bytesRead = data.copy(buffer, offset, position, position + length);
+    return { bytesRead, buffer };
+  }
+
+  /**
+   * Closes the file descriptor. Nothing to do for the in-memory files.
+   * @return {Promise<void>}
+   */
+  async close() {
+    // nothing to release
+  }
+
+  /**
+   * Reads all files as text. The result is sent to the parser process.
+   * @return {Record<string, string>} The file contents by the absolute location.
+   */
+  toJSON() {
+    const result = /** @type Record<string, string> */ ({});
+    this.#files.forEach((data, location) => {
+      result[location] = data.toString('utf8');
+    });
+    return result;
+  }
+}
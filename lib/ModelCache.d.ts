@@ -0,0 +1,98 @@
+import { ApiFileMap, ApiModelCache, ModelCacheOptions, ModelCacheEntry } from '../types';
+
+/**
+ * The default size limit of the cache, in bytes.
+ */
+export declare const defaultCacheSize: number;
+
+/**
+ * Computes the hash of the API source.
+ * The files of a file map are hashed with their paths, in the order of the paths.
+ *
+ * @param source The API data, the unresolved model, or the map of the API files.
+ * @returns The hex encoded SHA-256 digest.
+ */
+export declare function hashSource(source: Buffer|string|ApiFileMap): string;
+
+/**
+ * Creates the cache key of the source processed with the options.
+ * Keys of the same source start with the source hash so they can be invalidated together.
+ *
+ * @param source The API data, the unresolved model, or the map of the API files.
+ * @param options The options that change the result, like the main file or the validation profile.
+ * @returns The cache key.
+ */
+export declare function createCacheKey(source: Buffer|string|ApiFileMap, options: any): string;
+
+/**
+ * A cache of the parsed and resolved models with a size limit.
+ * The least recently used entries are removed when the size of the cache exceeds the limit.
+ *
+ * When the `directory` option is set the entries are stored in the directory and are
+ * available to the next instances of the cache. Otherwise the entries are kept in memory.
+ */
+export declare class ModelCache implements ApiModelCache {
+  #entries: Map<string, ModelCacheEntry>;
+  #size: number;
+  #ready: Promise<void>;
+  /**
+   * The directory of the cache files. When not set the entries are kept in memory.
+   */
+  directory?: string;
+  /**
+   * The size limit of the cache, in bytes.
+   */
+  maxSize: number;
+  /**
+   * The size of the cached entries, in bytes.
+   */
+  get size(): number;
+  /**
+   * @param opts Cache configuration.
+   */
+  constructor(opts?: ModelCacheOptions);
+  /**
+   * Reads the cached value and marks the entry as the most recently used.
+   * @param key The cache key.
+   * @returns The cached value or undefined when not cached.
+   */
+  get(key: string): Promise<any|undefined>;
+  /**
+   * Stores the value in the cache and removes the least recently used entries
+   * when the cache exceeds the size limit. Values larger than the limit are not stored.
+   * @param key The cache key.
+   * @param value The value to store. It must be serializable to JSON.
+   */
+  set(key: string, value: any): Promise<void>;
+  /**
+   * Removes the entry from the cache.
+   * @param key The cache key.
+   */
+  delete(key: string): Promise<void>;
+  /**
+   * Removes all entries from the cache.
+   */
+  clear(): Promise<void>;
+  /**
+   * @returns The keys of the cached entries, from the least recently used.
+   */
+  keys(): Promise<string[]>;
+  /**
+   * Reads the entries stored in the cache directory, once.
+   * The last modification time of the files is the time the entry was last used.
+   */
+  _init(): Promise<void>;
+  /**
+   * Reads the entries stored in the cache directory, from the least recently used.
+   */
+  _readDirectory(): Promise<void>;
+  /**
+   * Removes the least recently used entries until the cache size is within the limit.
+   */
+  _evict(): Promise<void>;
+  /**
+   * @param key The cache key.
+   * @returns The location of the entry's file.
+   */
+  _entryFile(key: string): string;
+}
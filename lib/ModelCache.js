@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+
+/** @typedef {import('../types').ApiFileMap} ApiFileMap */
+/** @typedef {import('../types').ModelCacheOptions} ModelCacheOptions */
+/** @typedef {import('../types').ModelCacheEntry} ModelCacheEntry */
+
+/**
+ * The default size limit of the cache, in bytes.
+ */
+export const defaultCacheSize = 100 * 1024 * 1024;
+
+/**
+ * Computes the hash of the API source.
+ * The files of a file map are hashed with their paths, in the order of the paths.
+ *
+ * @param {Buffer|string|ApiFileMap} source The API data, the unresolved model, or the map of the API files.
+ * @return {string} The hex encoded SHA-256 digest.
+ */
+export function hashSource(source) {
+  const hash = crypto.createHash('sha256');
+  if (typeof source === 'string' || Buffer.isBuffer(source)) {
+    hash.update(source);
+  } else {
+    Object.keys(source).sort().forEach((name) => {
+      hash.update(`${name}\0`);
+      hash.update(source[name]);
+      hash.update('\0');
+    });
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Creates the cache key of the source processed with the options.
+ * Keys of the same source start with the source hash so they can be invalidated together.
+ *
+ * @param {Buffer|string|ApiFileMap} source The API data, the unresolved model, or the map of the API files.
+ * @param {any} options The options that change the result, like the main file or the validation profile.
+ * @return {string} The cache key.
+ */
+export function createCacheKey(source, options) {
+  const optionsHash = crypto.createHash('sha256').update(JSON.stringify(options)).digest('hex');
+  return `${hashSource(source)}-${optionsHash.substr(0, 16)}`;
+}
+
+/**
+ * A cache of the parsed and resolved models with a size limit.
+ * The least recently used entries are removed when the size of the cache exceeds the limit.
+ *
+ * When the `directory` option is set the entries are stored in the directory and are
+ * available to the next instances of the cache. Otherwise the entries are kept in memory.
+ */
+export class ModelCache {
+  /**
+   * The cache entries by the key, from the least recently used.
+   * @type {Map<string, ModelCacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * The size of the cached entries, in bytes.
+   */
+  #size = 0;
+
+  /**
+   * Resolved when the entries stored in the directory are read.
+   * @type {Promise<void>}
+   */
+  #ready;
+
+  /**
+   * @param {ModelCacheOptions=} [opts={}] Cache configuration.
+   */
+  constructor(opts={}) {
+    /**
+     * The directory of the cache files. When not set the entries are kept in memory.
+     * @type {string}
+     */
+    this.directory = opts.directory;
+    /**
+     * The size limit of the cache, in bytes.
+     * @type {number}
+     */
+    this.maxSize = typeof opts.maxSize === 'number' ? opts.maxSize : defaultCacheSize;
+  }
+
+  /**
+   * @return {number} The size of the cached entries, in bytes.
+   */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Reads the cached value and marks the entry as the most recently used.
+   * @param {string} key The cache key.
+   * @return {Promise<any|undefined>} The cached value or undefined when not cached.
+   */
+  async get(key) {
+    await this._init();
+    const entry = this.#entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    if (!this.directory) {
+      return JSON.parse(entry.data);
+    }
+    const file = this._entryFile(key);
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      const value = JSON.parse(data);
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      return value;
+    } catch (e) {
+      // The file was removed or is corrupted.
+      await this.delete(key);
+      return undefined;
+    }
+  }
+
+  /**
+   * Stores the value in the cache and removes the least recently used entries
+   * when the cache exceeds the size limit. Values larger than the limit are not stored.
+   * @param {string} key The cache key.
+   * @param {any} value The value to store. It must be serializable to JSON.
+   * @return {Promise<void>}
+   */
+  async set(key, value) {
+    await this._init();
+    const data = JSON.stringify(value);
+    const size = Buffer.byteLength(data);
+    await this.delete(key);
+    if (size > this.maxSize) {
+      return;
+    }
+    if (this.directory) {
+      await fs.outputFile(this._entryFile(key), data);
+    }
+    this.#entries.set(key, { size, data: this.directory ? undefined : data });
+    this.#size += size;
+    await this._evict();
+  }
+
+  /**
+   * Removes the entry from the cache.
+   * @param {string} key The cache key.
+   * @return {Promise<void>}
+   */
+  async delete(key) {
+    await this._init();
+    const entry = this.#entries.get(key);
+    if (!entry) {
+      return;
+    }
+    this.#entries.delete(key);
+    this.#size -= entry.size;
+    if (this.directory) {
+      await fs.remove(this._entryFile(key));
+    }
+  }
+
+  /**
+   * Removes all entries from the cache.
+   * @return {Promise<void>}
+   */
+  async clear() {
+    await this._init();
+    const keys = Array.from(this.#entries.keys());
+    await Promise.all(keys.map((key) => this.delete(key)));
+  }
+
+  /**
+   * @return {Promise<string[]>} The keys of the cached entries, from the least recently used.
+   */
+  async keys() {
+    await this._init();
+    return Array.from(this.#entries.keys());
+  }
+
+  /**
+   * Reads the entries stored in the cache directory, once.
+   * The last modification time of the files is the time the entry was last used.
+   * @return {Promise<void>}
+   */
+  async _init() {
+    if (!this.#ready) {
+      this.#ready = this._readDirectory();
+    }
+    return this.#ready;
+  }
+
+  /**
+   * Reads the entries stored in the cache directory, from the least recently used.
+   * @return {Promise<void>}
+   */
+  async _readDirectory() {
+    if (!this.directory) {
+      return;
+    }
+    await fs.ensureDir(this.directory);
+    const names = (await fs.readdir(this.directory)).filter((name) => name.endsWith('.json'));
+    const files = await Promise.all(names.map(async (name) => {
+      const stats = await fs.stat(path.join(this.directory, name));
+      return { key: name.substr(0, name.length - 5), size: stats.size, time: stats.mtimeMs };
+    }));
+    files.sort((a, b) => a.time - b.time);
+    files.forEach(({ key, size }) => {
+      this.#entries.set(key, { size });
+      this.#size += size;
+    });
+    await this._evict();
+  }
+
+  /**
+   * Removes the least recently used entries until the cache size is within the limit.
+   * @return {Promise<void>}
+   */
+  async _evict() {
+    while (this.#size > this.maxSize) {
+      const [key] = this.#entries.keys();
+      const entry = this.#entries.get(key);
+      this.#entries.delete(key);
+      this.#size -= entry.size;
+      if (this.directory) {
+        await fs.remove(this._entryFile(key));
+      }
+    }
+  }
+
+  /**
+   * @param {string} key The cache key.
+   * @return {string} The location of the entry's file.
+   */
+  _entryFile(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
@@ -0,0 +1,15 @@
+import { TarEntry } from '../types';
+
+/**
+ * Tests whether the buffer is a tar archive by looking for the `ustar` magic in the first header.
+ * @param buffer The file data.
+ */
+export declare function isTar(buffer: Buffer): boolean;
+
+/**
+ * Reads the entries of a tar archive. It supports the ustar, pax, and GNU long name formats.
+ *
+ * @param buffer The uncompressed tar data.
+ * @returns The archive entries in the archive order.
+ */
+export declare function readTar(buffer: Buffer): TarEntry[];
@@ -0,0 +1,124 @@
+/** @typedef {import('../types').TarEntry} TarEntry */
+/** @typedef {import('../types').TarEntryType} TarEntryType */
+
+/**
+ * The size of the tar header and data blocks.
+ */
+const blockSize = 512;
+
+/**
+ * Reads a null-terminated string from the header.
+ * @param {Buffer} buffer The header block.
+ * @param {number} offset The field offset.
+ * @param {number} length The field length.
+ * @return {string}
+ */
+function readString(buffer, offset, length) {
+  const field = buffer.slice(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Reads a number encoded as an octal string.
+ * @param {Buffer} buffer The header block.
+ * @param {number} offset The field offset.
+ * @param {number} length The field length.
+ * @return {number}
+ */
+function readOctal(buffer, offset, length) {
+  const value = readString(buffer, offset, length).trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+/**
+ * Translates the tar type flag to the entry type.
+ * @param {string} flag The type flag of the header.
+ * @return {TarEntryType}
+ */
+function readType(flag) {
+  switch (flag) {
+    case '':
+    case '0':
+    case '7':
+      return 'File';
+    case '5': return 'Directory';
+    case '2': return 'SymbolicLink';
+    case '1': return 'Link';
+    default: return 'Other';
+  }
+}
+
+/**
+ * Reads the `path` record of the pax extended header.
+ * @param {Buffer} data The extended header data.
+ * @return {string|undefined}
+ */
+function readPaxPath(data) {
+  const records = data.toString('utf8').split('\n');
+  const record = records.find((item) => / path=/.test(item));
+  if (!record) {
+    return undefined;
+  }
+  return record.substr(record.indexOf('=') + 1);
+}
+
+/**
+ * Tests whether the buffer is a tar archive by looking for the `ustar` magic in the first header.
+ * @param {Buffer} buffer The file data.
+ * @return {boolean}
+ */
+export function isTar(buffer) {
+  return buffer.length >= blockSize && buffer.toString('ascii', 257, 262) === 'ustar';
+}
+
+/**
+ * Reads the entries of a tar archive. It supports the ustar, pax, and GNU long name formats.
+ *
+ * @param {Buffer} buffer The uncompressed tar data.
+ * @return {TarEntry[]} The archive entries in the archive order.
+ */
+export function readTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longPath;
+  while (offset + blockSize <= buffer.length) {
+    const header = buffer.slice(offset, offset + blockSize);
+    if (header.every((byte) => byte === 0)) {
+      // the end of the archive is marked by two empty blocks.
+      break;
+    }
+    const size = readOctal(header, 124, 12);
+    const flag = readString(header, 156, 1);
+    const dataStart = offset + blockSize;
+    const data = buffer.slice(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / blockSize) * blockSize;
+    if (flag === 'L') {
+      longPath = readString(data, 0, data.length);
+      continue;
+    }
+    if (flag === 'x') {
+      longPath = readPaxPath(data) || longPath;
+      continue;
+    }
+    if (flag === 'g') {
+      continue;
+    }
+    let entryPath = longPath;
+    longPath = undefined;
+    if (!entryPath) {
+      const name = readString(header, 0, 100);
+      const prefix = header.toString('ascii', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+      entryPath = prefix ? `${prefix}/${name}` : name;
+    }
+    const type = readType(flag);
+    entries.push({
+      path: entryPath,
+      type,
+      size,
+      data: type === 'File' ? data : undefined,
+      linkPath: readString(header, 157, 100) || undefined,
+    });
+  }
+  return entries;
+}
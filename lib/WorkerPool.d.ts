@@ -0,0 +1,161 @@
+import { WorkerPoolOptions, WorkerPoolRunOptions, PoolWorker, PoolJob, PoolWorkerInfo } from '../types';
+
+/**
+ * A pool of warm child processes running the AMF parser or the resolver.
+ *
+ * Initializing AMF takes a few seconds so the child processes are kept alive
+ * between the jobs. When all workers are busy the jobs are queued.
+ * A worker is killed when it has no job for the `idleTimeout` time.
+ * When a worker crashes while processing a job the job is rejected and the worker
+ * is replaced with a new process.
+ *
+ * The worker script receives the job message and responds with a single message.
+ * When the response has the `error` property the job is rejected with this error. The `error` is either
+ * the error message or the serialized error with the `code` property, which is translated to the
+ * corresponding error class.
+ * Before the response the worker can send messages with the `progress` property
+ * which are passed to the job's `onProgress` callback. The `memory` property of the response
+ * is the worker's memory usage reported by the `memoryUsage()` function.
+ */
+export class WorkerPool {
+  #workers: PoolWorker[];
+  #queue: PoolJob[];
+  /**
+   * The location of the worker script.
+   */
+  script: string;
+  /**
+   * The maximum number of worker processes.
+   */
+  size: number;
+  /**
+   * The time, in milliseconds, after which an idle worker is killed.
+   * When set to `0` the workers are kept until the pool is terminated.
+   */
+  idleTimeout: number;
+  /**
+   * The `execArgv` passed to the worker processes.
+   */
+  execArgv: string[];
+  /**
+   * The number of running worker processes.
+   */
+  get workers(): number;
+  /**
+   * The number of jobs waiting for a worker.
+   */
+  get pending(): number;
+
+  /**
+   * @param script The location of the worker script.
+   * @param opts Pool configuration.
+   */
+  constructor(script: string, opts?: WorkerPoolOptions);
+
+  /**
+   * @returns The memory usage of the workers, as reported with the last job's response.
+   */
+  memoryUsage(): PoolWorkerInfo[];
+
+  /**
+   * Runs a job in the first available worker.
+   * @param message The message sent to the worker.
+   * @param opts Job options.
+   * @returns The message the worker responded with.
+   */
+  run(message: any, opts?: WorkerPoolRunOptions): Promise<any>;
+
+  /**
+   * Cancels a job. A queued job is removed from the queue and the worker running the job is killed.
+   * The job is rejected with the `AbortError`.
+   * @param id The id of the job set with the `run()` options.
+   * @returns True when the job was found.
+   */
+  cancel(id: string): boolean;
+
+  /**
+   * Removes the job from the queue or kills the worker running the job and rejects the job.
+   * @param error The error to reject the job with.
+   */
+  _cancelJob(job: PoolJob, error: Error): void;
+
+  /**
+   * Kills all workers and rejects the running and queued jobs.
+   * The pool can still be used after it is terminated.
+   * @returns Resolved when all worker processes exited.
+   */
+  terminate(): Promise<void>;
+
+  /**
+   * Runs the queued jobs while there are available workers.
+   */
+  _next(): void;
+
+  /**
+   * @returns An idle worker or a new worker when the pool is not full.
+   */
+  _availableWorker(): PoolWorker|undefined;
+
+  /**
+   * Creates a new worker process.
+   */
+  _spawn(): PoolWorker;
+
+  /**
+   * Sends the job to the worker.
+   */
+  _runJob(worker: PoolWorker, job: PoolJob): void;
+
+  /**
+   * Handler for the worker's response.
+   * @param result The message sent by the worker.
+   */
+  _messageHandler(worker: PoolWorker, result: any): void;
+
+  /**
+   * Handler for the worker's process error, like when the message cannot be sent.
+   */
+  _errorHandler(worker: PoolWorker, err: Error): void;
+
+  /**
+   * Handler for the worker's unexpected exit.
+   * The worker's job is rejected and the worker is replaced when it crashed while processing the job.
+   * @param code The exit code
+   * @param signal The signal that terminated the process
+   */
+  _exitHandler(worker: PoolWorker, code: number, signal: string): void;
+
+  /**
+   * Resolves or rejects the job the worker is processing, if any.
+   * @param error The error to reject the job with.
+   * @param result The result to resolve the job with.
+   */
+  _finishJob(worker: PoolWorker, error?: Error, result?: any): void;
+
+  /**
+   * Clears the job's timers and listeners and resolves or rejects the job.
+   * @param error The error to reject the job with.
+   * @param result The result to resolve the job with.
+   */
+  _settle(job: PoolJob, error?: Error, result?: any): void;
+
+  /**
+   * Sets a timeout to kill the worker when it has no job.
+   */
+  _setIdle(worker: PoolWorker): void;
+
+  /**
+   * Cancels the worker's idle timeout, if any.
+   */
+  _cancelIdle(worker: PoolWorker): void;
+
+  /**
+   * Removes the worker from the pool.
+   */
+  _remove(worker: PoolWorker): void;
+
+  /**
+   * Removes the worker from the pool and kills its process.
+   */
+  _kill(worker: PoolWorker): void;
+}
@@ -0,0 +1,394 @@
+import { fork } from 'child_process';
+import { AbortError, TimeoutError, WorkerCrashedError, deserializeError } from './Errors.js';
+
+/** @typedef {import('../types').WorkerPoolOptions} WorkerPoolOptions */
+/** @typedef {import('../types').WorkerPoolRunOptions} WorkerPoolRunOptions */
+/** @typedef {import('../types').PoolWorker} PoolWorker */
+/** @typedef {import('../types').PoolJob} PoolJob */
+/** @typedef {import('../types').PoolWorkerInfo} PoolWorkerInfo */
+
+/**
+ * A pool of warm child processes running the AMF parser or the resolver.
+ *
+ * Initializing AMF takes a few seconds so the child processes are kept alive
+ * between the jobs. When all workers are busy the jobs are queued.
+ * A worker is killed when it has no job for the `idleTimeout` time.
+ * When a worker crashes while processing a job the job is rejected and the worker
+ * is replaced with a new process.
+ *
+ * The worker script receives the job message and responds with a single message.
+ * When the response has the `error` property the job is rejected with this error. The `error` is either
+ * the error message or the serialized error with the `code` property, which is translated to the
+ * corresponding error class.
+ * Before the response the worker can send messages with the `progress` property
+ * which are passed to the job's `onProgress` callback. The `memory` property of the response
+ * is the worker's memory usage reported by the `memoryUsage()` function.
+ *
+ * ```javascript
+ * const pool = new WorkerPool(`${__dirname}/amf-parser.js`, { size: 2 });
+ * const result = await pool.run({ source: 'api.raml', from: type });
+ * await pool.terminate();
+ * ```
+ */
+export class WorkerPool {
+  /**
+   * @type {PoolWorker[]}
+   */
+  #workers = [];
+
+  /**
+   * @type {PoolJob[]}
+   */
+  #queue = [];
+
+  /**
+   * @return {number} The number of running worker processes.
+   */
+  get workers() {
+    return this.#workers.length;
+  }
+
+  /**
+   * @return {number} The number of jobs waiting for a worker.
+   */
+  get pending() {
+    return this.#queue.length;
+  }
+
+  /**
+   * @param {string} script The location of the worker script.
+   * @param {WorkerPoolOptions=} [opts={}] Pool configuration.
+   */
+  constructor(script, opts={}) {
+    this.script = script;
+    /**
+     * The maximum number of worker processes.
+     * @type {number}
+     */
+    this.size = opts.size || 1;
+    /**
+     * The time, in milliseconds, after which an idle worker is killed.
+     * When set to `0` the workers are kept until the pool is terminated.
+     * @type {number}
+     */
+    this.idleTimeout = typeof opts.idleTimeout === 'number' ? opts.idleTimeout : 60000;
+    /**
+     * The `execArgv` passed to the worker processes.
+     * @type {string[]}
+     */
+    this.execArgv = [...(opts.execArgv || [])];
+    if (opts.maxOldSpaceSize) {
+      this.execArgv.push(`--max-old-space-size=${opts.maxOldSpaceSize}`);
+    }
+  }
+
+  /**
+   * @return {PoolWorkerInfo[]} The memory usage of the workers, as reported with the last job's response.
+   */
+  memoryUsage() {
+    return this.#workers.map((worker) => ({
+      pid: worker.proc.pid,
+      busy: !!worker.job,
+      memory: worker.memory,
+    }));
+  }
+
+  /**
+   * Runs a job in the first available worker.
+   * @param {any} message The message sent to the worker.
+   * @param {WorkerPoolRunOptions=} [opts={}] Job options.
+   * @return {Promise<any>} The message the worker responded with.
+   */
+  run(message, opts={}) {
+    const { signal } = opts;
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError());
+    }
+    return new Promise((resolve, reject) => {
+      const job = /** @type PoolJob */ ({
+        message,
+        id: opts.id,
+        timeout: opts.timeout,
+        stage: opts.stage,
+        onProgress: opts.onProgress,
+        resolve,
+        reject,
+      });
+      if (signal) {
+        job.signal = signal;
+        job.abortHandler = () => this._cancelJob(job, new AbortError());
+        signal.addEventListener('abort', job.abortHandler);
+      }
+      this.#queue.push(job);
+      this._next();
+    });
+  }
+
+  /**
+   * Cancels a job. A queued job is removed from the queue and the worker running the job is killed.
+   * The job is rejected with the `AbortError`.
+   * @param {string} id The id of the job set with the `run()` options.
+   * @return {boolean} True when the job was found.
+   */
+  cancel(id) {
+    const running = this.#workers.map((item) => item.job);
+    const job = [...this.#queue, ...running].find((item) => item && item.id === id);
+    if (!job) {
+      return false;
+    }
+    this._cancelJob(job, new AbortError('The job was cancelled.'));
+    return true;
+  }
+
+  /**
+   * Removes the job from the queue or kills the worker running the job and rejects the job.
+   * @param {PoolJob} job
+   * @param {Error} error The error to reject the job with.
+   */
+  _cancelJob(job, error) {
+    const index = this.#queue.indexOf(job);
+    if (index !== -1) {
+      this.#queue.splice(index, 1);
+      this._settle(job, error);
+      return;
+    }
+    const worker = this.#workers.find((item) => item.job === job);
+    if (!worker) {
+      return;
+    }
+    this._finishJob(worker, error);
+    this._kill(worker);
+    this._next();
+  }
+
+  /**
+   * Kills all workers and rejects the running and queued jobs.
+   * The pool can still be used after it is terminated.
+   * @return {Promise<void>} Resolved when all worker processes exited.
+   */
+  async terminate() {
+    const queue = this.#queue;
+    this.#queue = [];
+    queue.forEach((job) => this._settle(job, new AbortError('The worker pool was terminated.')));
+    const workers = [...this.#workers];
+    const exits = workers.map((worker) => {
+      const { proc } = worker;
+      this._finishJob(worker, new AbortError('The worker pool was terminated.'));
+      this._kill(worker);
+      if (proc.exitCode !== null || proc.signalCode !== null) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => proc.once('exit', () => resolve()));
+    });
+    await Promise.all(exits);
+  }
+
+  /**
+   * Runs the queued jobs while there are available workers.
+   */
+  _next() {
+    while (this.#queue.length) {
+      const worker = this._availableWorker();
+      if (!worker) {
+        return;
+      }
+      const job = this.#queue.shift();
+      this._runJob(worker, job);
+    }
+  }
+
+  /**
+   * @return {PoolWorker|undefined} An idle worker or a new worker when the pool is not full.
+   */
+  _availableWorker() {
+    const worker = this.#workers.find((item) => !item.job);
+    if (worker) {
+      return worker;
+    }
+    if (this.#workers.length < this.size) {
+      return this._spawn();
+    }
+    return undefined;
+  }
+
+  /**
+   * Creates a new worker process.
+   * @return {PoolWorker}
+   */
+  _spawn() {
+    const proc = fork(this.script, {
+      execArgv: this.execArgv,
+    });
+    const worker = /** @type PoolWorker */ ({ proc });
+    proc.on('message', (result) => this._messageHandler(worker, result));
+    proc.on('error', (err) => this._errorHandler(worker, err));
+    proc.on('exit', (code, signal) => this._exitHandler(worker, code, signal));
+    this.#workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Sends the job to the worker.
+   * @param {PoolWorker} worker
+   * @param {PoolJob} job
+   */
+  _runJob(worker, job) {
+    this._cancelIdle(worker);
+    worker.job = job;
+    if (job.timeout) {
+      job.timer = setTimeout(() => {
+        job.timer = undefined;
+        this._finishJob(worker, new TimeoutError(job.stage || 'worker', job.timeout));
+        this._kill(worker);
+        this._next();
+      }, job.timeout);
+    }
+    worker.proc.send(job.message);
+  }
+
+  /**
+   * Handler for the worker's response.
+   * @param {PoolWorker} worker
+   * @param {any} result The message sent by the worker.
+   */
+  _messageHandler(worker, result) {
+    const { job } = worker;
+    if (result && result.progress) {
+      if (job && typeof job.onProgress === 'function') {
+        job.onProgress(result.progress);
+      }
+      return;
+    }
+    if (result && result.memory) {
+      worker.memory = result.memory;
+    }
+    if (result && result.error) {
+      this._finishJob(worker, deserializeError(result.error));
+    } else {
+      this._finishJob(worker, undefined, result);
+    }
+    this._setIdle(worker);
+    this._next();
+  }
+
+  /**
+   * Handler for the worker's process error, like when the message cannot be sent.
+   * @param {PoolWorker} worker
+   * @param {Error} err
+   */
+  _errorHandler(worker, err) {
+    this._finishJob(worker, new WorkerCrashedError(err.message || 'Unknown error'));
+    this._kill(worker);
+    this._next();
+  }
+
+  /**
+   * Handler for the worker's unexpected exit.
+   * The worker's job is rejected and the worker is replaced when it crashed while processing the job.
+   * The new worker is killed after the `idleTimeout` time when no job is waiting for it.
+   * @param {PoolWorker} worker
+   * @param {number} code The exit code
+   * @param {string} signal The signal that terminated the process
+   */
+  _exitHandler(worker, code, signal) {
+    const crashed = !!worker.job;
+    this._remove(worker);
+    const error = new WorkerCrashedError(`The worker process exited unexpectedly (${signal || code}).`, signal ? undefined : code, signal || undefined);
+    this._finishJob(worker, error);
+    if (crashed && this.#workers.length < this.size) {
+      this._setIdle(this._spawn());
+    }
+    this._next();
+  }
+
+  /**
+   * Resolves or rejects the job the worker is processing, if any.
+   * @param {PoolWorker} worker
+   * @param {Error=} error The error to reject the job with.
+   * @param {any=} result The result to resolve the job with.
+   */
+  _finishJob(worker, error, result) {
+    const { job } = worker;
+    if (!job) {
+      return;
+    }
+    worker.job = undefined;
+    this._settle(job, error, result);
+  }
+
+  /**
+   * Clears the job's timers and listeners and resolves or rejects the job.
+   * @param {PoolJob} job
+   * @param {Error=} error The error to reject the job with.
+   * @param {any=} result The result to resolve the job with.
+   */
+  _settle(job, error, result) {
+    if (job.timer) {
+      clearTimeout(job.timer);
+      job.timer = undefined;
+    }
+    if (job.signal) {
+      job.signal.removeEventListener('abort', job.abortHandler);
+      job.signal = undefined;
+    }
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+  }
+
+  /**
+   * Sets a timeout to kill the worker when it has no job.
+   * @param {PoolWorker} worker
+   */
+  _setIdle(worker) {
+    this._cancelIdle(worker);
+    if (!this.idleTimeout) {
+      return;
+    }
+    worker.idleTimer = setTimeout(() => {
+      worker.idleTimer = undefined;
+      this._kill(worker);
+    }, this.idleTimeout);
+  }
+
+  /**
+   * Cancels the worker's idle timeout, if any.
+   * @param {PoolWorker} worker
+   */
+  _cancelIdle(worker) {
+    if (worker.idleTimer) {
+      clearTimeout(worker.idleTimer);
+      worker.idleTimer = undefined;
+    }
+  }
+
+  /**
+   * Removes the worker from the pool.
+   * @param {PoolWorker} worker
+   */
+  _remove(worker) {
+    this._cancelIdle(worker);
+    const index = this.#workers.indexOf(worker);
+    if (index !== -1) {
+      this.#workers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Removes the worker from the pool and kills its process.
+   * @param {PoolWorker} worker
+   */
+  _kill(worker) {
+    this._remove(worker);
+    const { proc } = worker;
+    proc.removeAllListeners('message');
+    proc.removeAllListeners('error');
+    proc.removeAllListeners('exit');
+    if (proc.connected) {
+      proc.disconnect();
+    }
+    proc.kill();
+  }
+}
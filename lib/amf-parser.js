@@ -1,31 +1,272 @@
 const amf = require('amf-client-js');
+const path = require('path');
+const fs = require('fs');
 
 amf.plugins.document.WebApi.register();
 amf.plugins.document.Vocabularies.register();
-amf.plugins.features.AMFValidation.register();
+// The custom validation plugin supports both the built-in and custom validation profiles.
+amf.plugins.features.AMFCustomValidation.register();
 
-let initialized = false;
+// The process is kept alive between the jobs so AMF is initialized once, when the process starts.
+const initialization = amf.Core.init();
 
 /**
- * Performs document validation.
+ * Creates AMF resource loader that loads the local files from the files sent with the job.
+ * The `file://` resources that are not in the files are not found, they are never read from the disk.
+ * @param {Record<string, string>} files The file contents by the absolute location.
+ * @return {any} AMF resource loader
+ */
+function createMemoryLoader(files) {
+  return {
+    accepts: (resource) => resource.startsWith('file://'),
+    fetch: async (resource) => {
+      const location = decodeURI(resource.substr(7));
+      if (!Object.prototype.hasOwnProperty.call(files, location)) {
+        throw new Error(`File Not Found: ${location}`);
+      }
+      return new amf.client.remote.Content(files[location], resource);
+    },
+  };
+}
+
+/**
+ * Tests whether the host is in the list of allowed hosts.
+ * The `*.example.com` entry allows the subdomains of `example.com`.
+ * @param {string} hostname The host of the reference.
+ * @param {string[]} allowedHosts The allowed hosts.
+ * @return {boolean}
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((item) => {
+    const allowed = item.toLowerCase();
+    if (allowed.indexOf('*.') === 0) {
+      return host.endsWith(allowed.substr(1));
+    }
+    return host === allowed;
+  });
+}
+
+/**
+ * Reads the remote reference from the cache map or the cache directory.
+ * The file of a reference in the cache directory is the URL host and path, like `example.com/types/user.raml`.
+ * @param {string} resource The URL of the reference.
+ * @param {any} policy The remote references policy.
+ * @return {Promise<string|undefined>} The content of the reference or undefined when it is not cached.
+ */
+async function readCachedReference(resource, policy) {
+  const { cache, cacheDir } = policy;
+  if (cache && Object.prototype.hasOwnProperty.call(cache, resource)) {
+    return cache[resource];
+  }
+  if (!cacheDir) {
+    return undefined;
+  }
+  const { hostname, pathname } = new URL(resource);
+  const root = path.resolve(cacheDir, hostname);
+  const file = path.join(root, decodeURIComponent(pathname));
+  if (!file.startsWith(`${root}${path.sep}`)) {
+    return undefined;
+  }
+  try {
+    return await fs.promises.readFile(file, 'utf8');
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Creates AMF resource loader that applies the remote references policy to the HTTP references.
+ * The cached references are used first. The other references are downloaded with AMF's HTTP loader
+ * unless the policy does not allow it.
+ * @param {any} policy The remote references policy.
+ * @param {any} httpLoader AMF's HTTP loader.
+ * @param {object[]} unresolved The list the unresolved references are added to.
+ * @return {any} AMF resource loader
+ */
+function createRemoteLoader(policy, httpLoader, unresolved) {
+  /**
+   * @param {string} url The URL of the reference.
+   * @param {string} reason The reason the reference is not resolved.
+   * @param {string} message The error message.
+   * @return {Error}
+   */
+  function unresolvedError(url, reason, message) {
+    if (!unresolved.some((item) => item.url === url)) {
+      unresolved.push({ url, reason, message });
+    }
+    return new Error(message);
+  }
+
+  return {
+    accepts: (resource) => /^https?:\/\//i.test(resource),
+    fetch: async (resource) => {
+      const cached = await readCachedReference(resource, policy);
+      if (cached !== undefined) {
+        return new amf.client.remote.Content(cached, resource);
+      }
+      const { allowedHosts } = policy;
+      if (policy.forbid) {
+        throw unresolvedError(resource, 'forbidden', `Remote reference ${resource} is not allowed.`);
+      }
+      if (Array.isArray(allowedHosts) && !isAllowedHost(new URL(resource).hostname, allowedHosts)) {
+        throw unresolvedError(resource, 'host-not-allowed', `The host of the remote reference ${resource} is not allowed.`);
+      }
+      try {
+        return await httpLoader.fetch(resource);
+      } catch (cause) {
+        throw unresolvedError(resource, 'fetch-failed', cause.s$1 || cause.message || String(cause));
+      }
+    },
+  };
+}
+
+/**
+ * Creates AMF environment for the job when the job sends the in-memory files
+ * or the remote references policy.
+ * @param {any} data The parser call data with optional `files` (the in-memory files)
+ * and `remoteReferences` (the remote references policy).
+ * @param {object[]} unresolved The list the unresolved remote references are added to.
+ * @return {any} AMF environment or undefined when the default environment is used.
+ */
+function createEnvironment(data, unresolved) {
+  const { files, remoteReferences } = data;
+  if (!files && !remoteReferences) {
+    return undefined;
+  }
+  const defaults = amf.client.DefaultEnvironment.apply();
+  const httpLoader = defaults.loaders.find((item) => item.accepts('http://'));
+  const fileLoader = files ? createMemoryLoader(files) : defaults.loaders.find((item) => item.accepts('file:///'));
+  const remoteLoader = remoteReferences ? createRemoteLoader(remoteReferences, httpLoader, unresolved) : httpLoader;
+  // @ts-ignore
+  return defaults.withLoaders([]).addClientLoader(fileLoader).addClientLoader(remoteLoader);
+}
+
+/**
+ * Translates AMF's validation result to a serializable object.
+ * @param {any} result AMF validation result
+ * @return {object}
+ */
+function serializeValidationResult(result) {
+  const { level, message, validationId, targetNode, targetProperty, location, position } = result;
+  const info = {
+    level,
+    message,
+    validationId,
+    targetNode,
+    targetProperty,
+  };
+  if (location) {
+    info.location = {
+      file: location,
+    };
+    if (position) {
+      info.location.line = position.start.line;
+      info.location.column = position.start.column;
+      info.location.endLine = position.end.line;
+      info.location.endColumn = position.end.column;
+    }
+  }
+  return info;
+}
+
+/**
+ * Reads the validation profile to use with the validation.
  * @param {String} type API type
- * @param {Object} doc A document to validate
+ * @param {any} data The parser call data with optional `validationProfile`
+ * (name of a built-in profile) and `validationProfileFile` (location of a custom profile).
+ * @param {any=} env AMF environment used to load the custom profile.
+ * @return {Promise<any>} AMF's profile name
  */
-async function validateDoc(type, doc) {
+async function readValidationProfile(type, data, env) {
+  const { validationProfile, validationProfileFile } = data;
+  if (validationProfileFile) {
+    const url = `file://${validationProfileFile}`;
+    // @ts-ignore
+    return env ? amf.AMF.loadValidationProfile(url, env) : amf.AMF.loadValidationProfile(url);
+  }
+  if (validationProfile) {
+    return amf.ProfileNames[validationProfile];
+  }
   let validateProfile;
   switch (type) {
-    case 'RAML 1.0': validateProfile = amf.ProfileNames.RAML; break;
+    case 'RAML 1.0':
+    case 'JSON Schema':
+      validateProfile = amf.ProfileNames.RAML;
+      break;
     case 'RAML 0.8': validateProfile = amf.ProfileNames.RAML08; break;
     case 'OAS 1.0':
     case 'OAS 2.0':
-    case 'OAS 3.0':
       validateProfile = amf.ProfileNames.OAS;
       break;
+    case 'OAS 3.0':
+      // @ts-ignore
+      validateProfile = amf.ProfileNames.OAS30;
+      break;
+    case 'ASYNC 2.0':
+      // @ts-ignore
+      validateProfile = amf.ProfileNames.ASYNC20;
+      break;
   }
+  return validateProfile;
+}
+
+/**
+ * Performs document validation.
+ * @param {String} type API type
+ * @param {Object} doc A document to validate
+ * @param {any} data The parser call data
+ * @param {any=} env AMF environment used to load the custom profile.
+ * @return {Promise<object>} The validation report
+ */
+async function validateDoc(type, doc, data, env) {
+  const validateProfile = await readValidationProfile(type, data, env);
   // @ts-ignore
   const result = await amf.AMF.validate(doc, validateProfile);
-  process.send({ validation: result.toString() });
+  return {
+    conforms: result.conforms,
+    profile: String(result.profile.profile),
+    results: result.results.map((item) => serializeValidationResult(item)),
+  };
 }
+/**
+ * Parses a JSON schema file. AMF has no JSON schema parser so the schema is
+ * included in a RAML data type fragment.
+ *
+ * @param {string} sourceFile The location of the schema file
+ * @param {any=} env AMF environment used to load the schema.
+ * @return {Promise<any>} Parsed data type fragment
+ */
+async function parseJsonSchema(sourceFile, env) {
+  const parser = env ? amf.Core.parser('RAML 1.0', 'application/raml', env) : amf.Core.parser('RAML 1.0', 'application/raml');
+  const content = `#%RAML 1.0 DataType\ntype: !include ${path.basename(sourceFile)}\n`;
+  return parser.parseStringAsync(`file://${sourceFile}.raml`, content);
+}
+
+/**
+ * Reads the kind of the parsed document from the document's model class.
+ * AMF's overlays and extensions are documents so they are tested first.
+ * @param {any} doc The parsed AMF document
+ * @return {string} Either `Document`, `Module`, `Fragment`, `Extension`, or `Overlay`.
+ */
+function readDocumentKind(doc) {
+  // The typings of amf-client-js do not declare the overlay and extension classes of the `domain` namespace.
+  const { document, domain } = /** @type any */ (amf.model);
+  if (doc instanceof domain.Overlay) {
+    return 'Overlay';
+  }
+  if (doc instanceof domain.Extension) {
+    return 'Extension';
+  }
+  if (doc instanceof document.Document) {
+    return 'Document';
+  }
+  if (doc instanceof document.Module) {
+    return 'Module';
+  }
+  return 'Fragment';
+}
+
 /**
  * AMF parser to be called in a child process.
  *
@@ -35,26 +276,38 @@ async function validateDoc(type, doc) {
  * process.
  *
  * @param {any} data
- * @return {Promise<string>} Processed document
+ * @return {Promise<object>} Processed document, the validation report, if requested,
+ * and the remote references not resolved because of the remote references policy.
  */
 async function processData(data) {
   const sourceFile = data.source;
   const type = data.from.type;
   const contentType = data.from.contentType;
   const validate = data.validate;
-  if (!initialized) {
-    await amf.Core.init();
-  }
-  /* eslint-disable-next-line require-atomic-updates */
-  initialized = true;
-  const file = `file://${sourceFile}`;
-  const parser = amf.Core.parser(type, contentType);
-  const doc = await parser.parseFileAsync(file);
+  await initialization;
+  const unresolved = [];
+  const env = createEnvironment(data, unresolved);
+  let doc;
+  if (type === 'JSON Schema') {
+    doc = await parseJsonSchema(sourceFile, env);
+  } else {
+    const parser = env ? amf.Core.parser(type, contentType, env) : amf.Core.parser(type, contentType);
+    doc = await parser.parseFileAsync(`file://${sourceFile}`);
+  }
+  let validation;
   if (validate) {
-    await validateDoc(type, doc);
+    process.send({ progress: { stage: 'validate' } });
+    validation = await validateDoc(type, doc, data, env);
   }
+  const kind = readDocumentKind(doc);
   const generator = amf.Core.generator('AMF Graph', 'application/ld+json');
-  return generator.generateString(doc);
+  const api = await generator.generateString(doc);
+  return {
+    api,
+    kind,
+    validation,
+    unresolvedReferences: unresolved,
+  };
 }
 /**
  * AMF parser to be called in a child process.
@@ -66,13 +319,21 @@ async function processData(data) {
  */
 process.on('message', async (data) => {
   try {
-    const api = await processData(data);
+    const result = await processData(data);
     process.send({
-      api,
+      ...result,
+      memory: process.memoryUsage(),
     });
   } catch (cause) {
-    let m = `AMF parser: Unable to parse API ${data.source}.\n`;
-    m += cause.s$1 || cause.message;
-    process.send({ error: m });
+    const details = cause.s$1 || cause.message;
+    // The error is translated to the `ParseFailedError` by the worker pool.
+    // AMF does not report the position of the failure so the error has no location.
+    process.send({
+      error: {
+        code: 'PARSE_FAILED',
+        message: `AMF parser: Unable to parse API ${data.source}.\n${details}`,
+        details,
+      },
+    });
   }
 });
@@ -4,6 +4,9 @@ amf.plugins.document.WebApi.register();
 amf.plugins.document.Vocabularies.register();
 amf.plugins.features.AMFValidation.register();
 
+// The process is kept alive between the jobs so AMF is initialized once, when the process starts.
+const initialization = amf.Core.init();
+
 /**
  * Parses AMF ld+json model to AMF document.
  * The model has to be unresolved.
@@ -24,7 +27,9 @@ async function modelToDoc(model) {
  * @return {Promise<string>} A promise resolved to AMF object.
  */
 async function generateEditingResolvedModel(doc, type) {
-  const resolver = amf.Core.resolver(type);
+  // JSON schemas are parsed as RAML data type fragments.
+  const vendor = type === 'JSON Schema' ? 'RAML 1.0' : type;
+  const resolver = amf.Core.resolver(vendor);
   doc = resolver.resolve(doc, 'editing');
   const generator = amf.Core.generator('AMF Graph', 'application/ld+json');
   // @ts-ignore
@@ -40,7 +45,7 @@ async function generateEditingResolvedModel(doc, type) {
  */
 async function processData(data) {
   const { model, type } = data;
-  await amf.Core.init();
+  await initialization;
   const doc = await modelToDoc(model);
   return generateEditingResolvedModel(doc, type);
 }
@@ -54,14 +59,24 @@ async function processData(data) {
 process.on('message', async (data) => {
   try {
     const api = await processData(data);
-    process.send({ api });
+    process.send({
+      api,
+      memory: process.memoryUsage(),
+    });
   } catch (cause) {
-    let m = `AMF parser: Unable to resolve AMF ld+json model.\n`;
+    let details = '';
     if (cause.message) {
-      m += cause.message;
+      details = cause.message;
     } else if (cause.toString) {
-      m += cause.toString();
+      details = cause.toString();
     }
-    process.send({ error: m });
+    // The error is translated to the `ParseFailedError` by the worker pool.
+    process.send({
+      error: {
+        code: 'PARSE_FAILED',
+        message: `AMF parser: Unable to resolve AMF ld+json model.\n${details}`,
+        details,
+      },
+    });
   }
 });
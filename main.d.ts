@@ -1 +1,20 @@
 export { ElectronAmfService } from './renderer/ElectronAmfService';
+export { EventTypes } from './renderer/EventTypes';
+export { ModelCache } from './lib/ModelCache';
+export {
+  ErrorCodes,
+  AmfServiceError,
+  NotPreparedError,
+  EntryPointNotFoundError,
+  UnsupportedFormatError,
+  ParseFailedError,
+  TimeoutError,
+  IntegrityFailedError,
+  DownloadFailedError,
+  ArchiveSecurityError,
+  UnresolvedReferenceError,
+  InvalidOptionError,
+  FileReadFailedError,
+  WorkerCrashedError,
+  AbortError,
+} from './lib/Errors';
@@ -1 +1,20 @@
 export { ElectronAmfService } from './renderer/ElectronAmfService.js';
+export { EventTypes } from './renderer/EventTypes.js';
+export { ModelCache } from './lib/ModelCache.js';
+export {
+  ErrorCodes,
+  AmfServiceError,
+  NotPreparedError,
+  EntryPointNotFoundError,
+  UnsupportedFormatError,
+  ParseFailedError,
+  TimeoutError,
+  IntegrityFailedError,
+  DownloadFailedError,
+  ArchiveSecurityError,
+  UnresolvedReferenceError,
+  InvalidOptionError,
+  FileReadFailedError,
+  WorkerCrashedError,
+  AbortError,
+} from './lib/Errors.js';
@@ -1,6 +1,6 @@
-import { ChildProcess } from 'child_process';
 import { AmfService } from '../lib/AmfService.js';
-import { AmfServiceProcessingOptions, ApiParseResult } from '../types';
+import { WorkerPool } from '../lib/WorkerPool.js';
+import { AmfServiceProcessingOptions, ApiParseResult, ApiEntryPointCandidate, ElectronAmfServiceOptions, ApiDownloadOptions, ApiDownloadInfo, ApiDownloadChunkCallback, ApiDigests, ApiPackaging, ApiLinkProcessingOptions, ApiResolveOptions, ApiProcessingProgress, ApiProgressCallback, ApiDownloadProgressCallback, ServiceMemoryUsage, ApiFileMap, RemoteReferencesOptions, ApiModelCache } from '../types';
 
 /**
  * A class to be used in the renderer process to download and extract RAML
@@ -8,39 +8,199 @@ import { AmfServiceProcessingOptions, ApiParseResult } from '../types';
  */
 export declare class ElectronAmfService {
   /**
-   * The processing flag
+   * The running processing jobs.
+   */
+  #jobs: Map<string, AmfService>;
+
+  /**
+   * The service of the last created job.
+   */
+  #lastJob: AmfService;
+
+  /**
+   * The node on which the event listeners were registered.
+   */
+  #eventsTarget: EventTarget;
+
+  /**
+   * The loading state set by the deprecated `loading` setter.
    */
   #loading: boolean;
 
   /**
-   * The id of the generated process.
+   * The id of the loading events dispatched by the deprecated `loading` setter.
    */
   #loadingId: string;
 
-  #amfService: AmfService;
+  /**
+   * True when any processing job is running or the loading state was set.
+   */
+  get loading(): boolean;
+  /**
+   * Sets the loading state and dispatches the `process-loading-start` or `process-loading-stop` event.
+   * @deprecated The service dispatches the loading events for each job. Dispatch the `ProcessEvents` instead.
+   */
+  set loading(value: boolean);
 
-  loading: boolean;
+  /**
+   * The ids of the running processing jobs.
+   */
+  get jobs(): string[];
 
   /**
-   * A reference to the AMF service
+   * The service of the last processing job or a new service when no job was created.
+   * @deprecated Each API is processed in a separate job. Use the processing functions, the `jobs` list,
+   * and `cancel(id)` instead.
    */
   get service(): AmfService;
 
   /**
-   * Cleans up the working dir after work is done.
+   * The pool of the AMF parser processes.
+   */
+  parserPool: WorkerPool;
+
+  /**
+   * The pool of the AMF resolver processes.
+   */
+  resolverPool: WorkerPool;
+
+  /**
+   * The default parse timeout, in milliseconds. When `0` the parser has no timeout.
+   */
+  parseTimeout: number;
+
+  /**
+   * The default resolve timeout, in milliseconds. When `0` the resolver has no timeout.
+   */
+  resolveTimeout: number;
+
+  /**
+   * The `fetch` implementation used to download the assets. When not set the global `fetch` is used.
+   */
+  fetch?: typeof fetch;
+  /**
+   * The default remote references policy of the processing jobs.
+   */
+  remoteReferences?: RemoteReferencesOptions;
+  /**
+   * The cache of the parsed and resolved models. When not set the models are not cached.
+   */
+  cache?: ApiModelCache;
+
+  /**
+   * @param opts Service configuration.
+   */
+  constructor(opts?: ElectronAmfServiceOptions);
+
+  /**
+   * Registers listeners for the API processing events.
+   * @param node The node on which to listen for the events. Default to `window`.
+   */
+  listen(node?: EventTarget): void;
+
+  /**
+   * Removes the listeners registered in the `listen()` function.
+   */
+  unlisten(): void;
+
+  /**
+   * Handler for the `api-process-link` event.
+   * Downloads and processes the asset and dispatches the `api-data-ready` event
+   * when ready or the `process-error` event when the operation failed.
+   */
+  _processLinkHandler(e: CustomEvent): void;
+
+  /**
+   * Handler for the `api-process-file` event.
+   */
+  _processFileHandler(e: CustomEvent): void;
+
+  /**
+   * Handler for the `api-resolve-model` event.
+   */
+  _resolveModelHandler(e: CustomEvent): void;
+
+  /**
+   * Dispatches the `api-data-ready` event.
+   * @param info The parse result.
+   */
+  _notifyApiData(info: ApiParseResult): void;
+
+  /**
+   * Dispatches the `api-process-progress` event and calls the `onProgress` callback, if set.
+   * @param progress The processing progress.
+   * @param onProgress The progress callback set on the processing options.
+   */
+  _notifyProgress(progress: ApiProcessingProgress, onProgress?: ApiProgressCallback): void;
+
+  /**
+   * Dispatches the `process-error` event.
+   * @param cause The error object.
+   */
+  _notifyError(cause: Error): void;
+
+  /**
+   * Cancels all jobs and kills the parser and the resolver processes.
    */
   cleanup(): Promise<void>;
 
   /**
-   * Downloads the file and processes it as a zipped API project.
+   * @returns The memory usage of the parser and the resolver processes,
+   * as reported by the processes with the last job's result.
+   */
+  memoryUsage(): ServiceMemoryUsage;
+
+  /**
+   * Cancels a processing job. It kills the job's parser process and removes the job's temporary files.
+   * The promise returned by the processing function is rejected.
+   * @param id The id of the job, the same as the `id` of the `process-loading-start` event.
+   */
+  cancel(id: string): Promise<void>;
+
+  /**
+   * Creates a processing job and dispatches the `process-loading-start` event with the job's id.
+   * @param id The id of the job. Generated when not set.
+   * @returns The job's service.
+   */
+  _createJob(id?: string): AmfService;
+
+  /**
+   * Removes the job from the running jobs and dispatches the `process-loading-stop` event.
+   * @param job The job's service.
+   */
+  _finishJob(job: AmfService): void;
+
+  /**
+   * Downloads the file and processes it as an API project.
    *
    * @param url API remote location.
    * @param mainFile API main file. If not set the program will try to find the best match.
-   * @param md5 When set it will test data integrity with the MD5 hash
-   * @param packaging Default to `zip`.
+   * @param integrity When set it tests the data integrity. It is either an SRI integrity string, like
+   * `sha512-<base64 digest>`, or a hex encoded MD5 or SHA-1 checksum.
+   * @param packaging The packaging of the asset: `zip`, `tar`, `tar.gz` (or `tgz`), or `file`.
+   * Other values, like `raml` or `json`, are processed as a single API file. When not set the packaging is read from the
+   * `content-disposition` and `content-type` response headers.
+   * @param opts Processing options. The `request` option configures the download request.
+   * The result has the `digests` property with the digests of the downloaded asset.
    * @returns Promise resolved to the AMF json-ld model.
    */
-  processApiLink(url: string, mainFile?: string, md5?: string, packaging?: string): Promise<ApiParseResult>;
+  processApiLink(url: string, mainFile?: string, integrity?: string, packaging?: string, opts?: ApiLinkProcessingOptions): Promise<ApiParseResult>;
+
+  /**
+   * Translates the packaging argument of the `processApiLink()` function to the supported packaging.
+   * @param packaging The packaging of the asset.
+   * @returns The packaging or undefined when not set or not recognized.
+   */
+  _normalizePackaging(packaging?: string): ApiPackaging|undefined;
+
+  /**
+   * Reads the packaging of the downloaded asset from the file name or the content type.
+   * Only the archive and API file extensions and media types are recognized. For any other
+   * name or media type the packaging is not set so the archives are detected by the magic bytes.
+   * @param download The information about the downloaded asset.
+   * @returns The packaging or undefined when it cannot be determined.
+   */
+  _readPackaging(download: ApiDownloadInfo): ApiPackaging|undefined;
 
   /**
    * Processes file data.
@@ -48,9 +208,10 @@ export declare class ElectronAmfService {
    * zip file. Otherwise it processes it as a file.
    *
    * @param file File to process.
+   * @param [opts={}] Processing options
    * @return Promise resolved to the AMF json-ld model
    */
-  processApiFile(file: File|Blob): Promise<ApiParseResult>;
+  processApiFile(file: File|Blob, opts?: AmfServiceProcessingOptions): Promise<ApiParseResult>;
 
   /**
    * Parses API data to AMF model.
@@ -60,63 +221,169 @@ export declare class ElectronAmfService {
    */
   processBuffer(buffer: Buffer, opts?: AmfServiceProcessingOptions): Promise<ApiParseResult>;
 
+  /**
+   * Parses API files kept in memory, like the files of a multi-file project opened in an editor.
+   *
+   * @param files The contents of the API files by the path relative to the API root folder.
+   * @param [opts={}] Processing options. Without the `mainFile` option the entry point
+   * is searched for as in an archive.
+   * @return Promise resolved to the AMF json-ld model
+   */
+  processApiFiles(files: ApiFileMap, opts?: AmfServiceProcessingOptions): Promise<ApiParseResult>;
+
+  /**
+   * Parses a single API spec given as a string.
+   * The API type is declared so it is not detected from the content.
+   *
+   * @param content The API spec.
+   * @param apiType The API type, like `RAML 1.0`, `OAS 3.0`, or `ASYNC 2.0`.
+   * @param [opts={}] Processing options. The `mainFile` option sets the name
+   * of the API file, reported in the validation results. Default to `api`.
+   * @return Promise resolved to the AMF json-ld model
+   */
+  processApiString(content: string, apiType: string, opts?: AmfServiceProcessingOptions): Promise<ApiParseResult>;
+
+  /**
+   * Parses API data in the job. When the service has the model cache the result is read from the cache
+   * and the parsed result is stored in the cache.
+   * @param service The job's service.
+   * @param buffer Buffer created from API file or the map of the API files.
+   * @param [opts={}] Processing options
+   * @return Promise resolved to the AMF json-ld model
+   */
+  _processJob(service: AmfService, buffer: Buffer|ApiFileMap, opts?: AmfServiceProcessingOptions): Promise<ApiParseResult>;
+
+  /**
+   * Creates the cache key of the parsed API. The key covers all options that change the result
+   * or the checks made on the source, like the archive limits.
+   * @param source Buffer created from API file or the map of the API files.
+   * @param opts Processing options
+   * @returns The cache key or undefined when the result is not cached.
+   */
+  _parseCacheKey(source: Buffer|ApiFileMap, opts: AmfServiceProcessingOptions): string|undefined;
+
+  /**
+   * Stores the value in the model cache.
+   * The cache is an optimization so a failure to store the value does not fail the processing.
+   * @param key The cache key.
+   * @param value The value to store.
+   */
+  _cacheResult(key: string, value: any): Promise<void>;
+
+  /**
+   * Removes the cached models of the source, for all processing options.
+   * @param source The processed API data, the map of the API files,
+   * or the string model passed to the `resolveAPiConsole()` function.
+   */
+  invalidateCache(source: Buffer|ApiFileMap|string): Promise<void>;
+
+  /**
+   * Removes all models from the model cache.
+   */
+  clearCache(): Promise<void>;
+
   /**
    * Processes candidates response from the AMF service
    * @param service A reference to AmfService
    * @param candidates List of candidates
+   * @param signal When aborted the selection is rejected without waiting for the user.
    */
-  _processCandidates(service: AmfService, candidates: string[]): Promise<ApiParseResult>;
+  _processCandidates(service: AmfService, candidates: ApiEntryPointCandidate[], signal?: AbortSignal): Promise<ApiParseResult>;
 
   /**
-   * Tests if the buffer has ZIP file header.
-   * @param buffer File buffer
-   * @returns true if the buffer is compressed zip.
+   * Waits for the promise and rejects with the `AbortError` as soon as the signal is aborted.
+   * @returns The promise result.
    */
-  _bufferIsZip(buffer: Buffer): boolean;
+  _untilAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T>;
 
   /**
    * Transforms file to a buffer.
    * @param blob A file to process
+   * @param signal When aborted the file reading is aborted.
    */
-  _fileToBuffer(blob: Blob): Promise<Buffer>;
+  _fileToBuffer(blob: Blob, signal?: AbortSignal): Promise<Buffer>;
 
   /**
    * Downloads and processes RAML data.
    *
-   * @TODO: Handle authorization.
-   *
    * @param url URL to RAML zip asset.
+   * @param opts Download options
    * @returns Resolved when components are loaded and process started.
+   * @throws {DownloadFailedError} When the request failed or the response status is not successful.
+   * @throws {TimeoutError} When the download does not finish in the `timeout` time.
+   */
+  downloadRamlData(url: string, opts?: ApiDownloadOptions): Promise<Buffer>;
+
+  /**
+   * Reads the content type and the file name of the downloaded asset from the response headers.
+   * @param response The download response.
+   */
+  _readDownloadInfo(response: Response): ApiDownloadInfo;
+
+  /**
+   * Reads the file name from the `content-disposition` header.
+   * @param disposition The value of the header.
+   * @returns The file name or undefined when not set.
+   */
+  _readFileName(disposition?: string): string|undefined;
+
+  /**
+   * Reads the response body and reports the number of downloaded bytes.
+   * @param response The download response.
+   * @param onProgress The download progress callback.
+   * @param onChunk Called with each downloaded chunk.
    */
-  downloadRamlData(url: string): Promise<Buffer>;
+  _readResponseBody(response: Response, onProgress?: ApiDownloadProgressCallback, onChunk?: ApiDownloadChunkCallback): Promise<Buffer>;
 
   /**
-   * Checks for Exchange file integrity, using passed md5 hash.
+   * Checks for Exchange file integrity.
    * @param buffer File's buffer
-   * @param md5 File's hash
+   * @param integrity The SRI integrity string or the hex encoded MD5 or SHA-1 checksum.
+   * @param digests The digests computed while downloading the file. Computed from the buffer when not set.
+   * @throws {IntegrityFailedError} When the computed digest does not match the integrity value.
    */
-  _checkIntegrity(buffer: Buffer, md5: string): Buffer;
+  _checkIntegrity(buffer: Buffer, integrity?: string, digests?: ApiDigests): Buffer;
 
   /**
    * Resolves AMD model using AMF's resolved pipeline. This model can be used in API Console.
    * @param model AMF's unresolved model
    * @param type API type
+   * @param opts Resolve options
    */
-  resolveAPiConsole(model: any, type: string): Promise<string>;
+  resolveAPiConsole(model: any, type: string, opts?: ApiResolveOptions): Promise<string>;
 
   /**
-   * Creates new child process for the AMF resolver.
-   * @returns Child process reference.
+   * Creates the cache key of the resolved model.
+   * @param model AMF's unresolved model
+   * @param type API type
+   * @returns The cache key.
    */
-  _createResolverProcess(): ChildProcess;
+  _resolveCacheKey(model: any, type: string): string;
+
+  get selectorTemplate(): HTMLTemplateElement;
 
   /**
-   * Kills resolver child process.
-   * @param proc A reference to the child process.
+   * Dispatches the `api-select-entrypoint` event so the hosting application can
+   * ask the user for the API main file. When the event is not handled it renders
+   * the default selector dialog.
+   *
+   * The event's detail has the `candidates` property with the list of paths
+   * and the `entryPoints` property with the candidates metadata, both sorted by the score.
+   * The `signal` property is the signal of the processing job so the application can close the selector
+   * when the job is aborted.
+   *
+   * @param signal The signal of the processing job. When aborted the default dialog is closed.
    */
-  _killResolver(proc: ChildProcess): void;
+  notifyApiCandidates(candidates: ApiEntryPointCandidate[], signal?: AbortSignal): Promise<string|undefined>;
 
-  get selectorTemplate(): HTMLTemplateElement;
+  /**
+   * @returns The label of the candidate rendered in the selector dialog.
+   */
+  _candidateLabel(candidate: ApiEntryPointCandidate): string;
 
-  notifyApiCandidates(candidates: string[]): Promise<string|undefined>;
+  /**
+   * Renders the default dialog with the list of entry point candidates.
+   * @param signal When aborted the dialog is closed.
+   */
+  _selectCandidateDialog(candidates: ApiEntryPointCandidate[], signal?: AbortSignal): Promise<string|undefined>;
 }
@@ -1,12 +1,36 @@
-import { fork } from 'child_process';
 import path from 'path';
 import crypto from 'crypto';
 import { ProcessEvents } from '@advanced-rest-client/arc-events';
-import { AmfService } from '../lib/AmfService.js';
+import { AmfService, defaultArchiveLimits, defaultParseTimeout } from '../lib/AmfService.js';
+import { WorkerPool } from '../lib/WorkerPool.js';
+import { AbortError, DownloadFailedError, FileReadFailedError, IntegrityFailedError, InvalidOptionError, TimeoutError } from '../lib/Errors.js';
+import { Digests, digestAlgorithms, integrityAlgorithmsOf, matchIntegrity, toIntegrity } from '../lib/Integrity.js';
+import { createCacheKey, hashSource } from '../lib/ModelCache.js';
+import { EventTypes } from './EventTypes.js';
 
 /** @typedef {import('../types').AmfServiceProcessingOptions} AmfServiceProcessingOptions */
 /** @typedef {import('../types').ApiParseResult} ApiParseResult */
-/** @typedef {import('child_process').ChildProcess} ChildProcess */
+/** @typedef {import('../types').ApiEntryPointCandidate} ApiEntryPointCandidate */
+/** @typedef {import('../types').ElectronAmfServiceOptions} ElectronAmfServiceOptions */
+/** @typedef {import('../types').ApiDownloadOptions} ApiDownloadOptions */
+/** @typedef {import('../types').ApiLinkProcessingOptions} ApiLinkProcessingOptions */
+/** @typedef {import('../types').ApiDownloadInfo} ApiDownloadInfo */
+/** @typedef {import('../types').ApiPackaging} ApiPackaging */
+/** @typedef {import('../types').ApiDigests} ApiDigests */
+/** @typedef {import('../types').ApiDownloadChunkCallback} ApiDownloadChunkCallback */
+/** @typedef {import('../types').ApiResolveOptions} ApiResolveOptions */
+/** @typedef {import('../types').ApiProcessingProgress} ApiProcessingProgress */
+/** @typedef {import('../types').ApiProgressCallback} ApiProgressCallback */
+/** @typedef {import('../types').ApiDownloadProgressCallback} ApiDownloadProgressCallback */
+/** @typedef {import('../types').ServiceMemoryUsage} ServiceMemoryUsage */
+/** @typedef {import('../types').ApiFileMap} ApiFileMap */
+/** @typedef {import('../types').RemoteReferencesOptions} RemoteReferencesOptions */
+/** @typedef {import('../types').ApiModelCache} ApiModelCache */
+
+/**
+ * The default resolve timeout, in milliseconds.
+ */
+const defaultResolveTimeout = 180000;
 
 /**
  * A class to be used in the renderer process to download and extract RAML
@@ -14,25 +38,89 @@ import { AmfService } from '../lib/AmfService.js';
  */
 export class ElectronAmfService {
   /**
-   * The processing flag
+   * The running processing jobs.
+   * @type {Map<string, AmfService>}
+   */
+  #jobs = new Map();
+
+  /**
+   * The service of the last created job.
+   * @type {AmfService}
+   */
+  #lastJob;
+
+  /**
+   * The node on which the event listeners were registered.
+   * @type {EventTarget}
+   */
+  #eventsTarget;
+
+  /**
+   * The loading state set by the deprecated `loading` setter.
    */
   #loading = false;
 
   /**
-   * The id of the generated process.
+   * The id of the loading events dispatched by the deprecated `loading` setter.
    * @type {string}
    */
   #loadingId;
 
   /**
-   * @type {AmfService}
+   * @param {ElectronAmfServiceOptions=} [opts={}] Service configuration.
+   */
+  constructor(opts={}) {
+    /**
+     * The pool of the AMF parser processes.
+     * @type {WorkerPool}
+     */
+    this.parserPool = AmfService.createParserPool(opts.pool);
+    /**
+     * The pool of the AMF resolver processes.
+     * @type {WorkerPool}
+     */
+    this.resolverPool = new WorkerPool(path.join(__dirname, '..', 'lib', 'amf-resolver.js'), opts.pool);
+    /**
+     * The default parse timeout, in milliseconds. When `0` the parser has no timeout.
+     * @type {number}
+     */
+    this.parseTimeout = typeof opts.parseTimeout === 'number' ? opts.parseTimeout : defaultParseTimeout;
+    /**
+     * The default resolve timeout, in milliseconds. When `0` the resolver has no timeout.
+     * @type {number}
+     */
+    this.resolveTimeout = typeof opts.resolveTimeout === 'number' ? opts.resolveTimeout : defaultResolveTimeout;
+    /**
+     * The `fetch` implementation used to download the assets. When not set the global `fetch` is used.
+     * @type {typeof fetch}
+     */
+    this.fetch = opts.fetch;
+    /**
+     * The default remote references policy of the processing jobs.
+     * @type {RemoteReferencesOptions}
+     */
+    this.remoteReferences = opts.remoteReferences;
+    /**
+     * The cache of the parsed and resolved models. When not set the models are not cached.
+     * @type {ApiModelCache}
+     */
+    this.cache = opts.cache;
+    // Binds the event handlers so they can be used with `listen()` and `unlisten()`.
+    this._processLinkHandler = this._processLinkHandler.bind(this);
+    this._processFileHandler = this._processFileHandler.bind(this);
+    this._resolveModelHandler = this._resolveModelHandler.bind(this);
+  }
+
+  /**
+   * @return {boolean} True when any processing job is running or the loading state was set.
    */
-  #amfService;
+  get loading() {
+    return this.#jobs.size > 0 || this.#loading;
+  }
 
   /**
-   * Sets `loading` flag.
-   * When `true` then it dispatches `process-loading-start` custom event.
-   * When `false` then it dispatches `process-loading-stop` custom event.
+   * Sets the loading state and dispatches the `process-loading-start` or `process-loading-stop` event.
+   * @deprecated The service dispatches the loading events for each job. Dispatch the `ProcessEvents` instead.
    * @param {boolean} value
    */
   set loading(value) {
@@ -49,60 +137,347 @@ export class ElectronAmfService {
   }
 
   /**
-   * @return {boolean} Loading state
+   * @return {string[]} The ids of the running processing jobs.
    */
-  get loading() {
-    return this.#loading;
+  get jobs() {
+    return Array.from(this.#jobs.keys());
   }
 
   /**
-   * @return {AmfService} A reference to AMF service
+   * @deprecated Each API is processed in a separate job. Use the processing functions, the `jobs` list,
+   * and `cancel(id)` instead.
+   * @return {AmfService} The service of the last processing job or a new service when no job was created.
    */
   get service() {
-    if (!this.#amfService) {
-      this.#amfService = new AmfService();
+    if (!this.#lastJob) {
+      this.#lastJob = new AmfService(this.parserPool);
+    }
+    return this.#lastJob;
+  }
+
+  /**
+   * Registers listeners for the API processing events.
+   * @param {EventTarget=} [node=window] The node on which to listen for the events.
+   */
+  listen(node=window) {
+    if (this.#eventsTarget) {
+      this.unlisten();
+    }
+    this.#eventsTarget = node;
+    node.addEventListener(EventTypes.processLink, this._processLinkHandler);
+    node.addEventListener(EventTypes.processFile, this._processFileHandler);
+    node.addEventListener(EventTypes.resolveModel, this._resolveModelHandler);
+  }
+
+  /**
+   * Removes the listeners registered in the `listen()` function.
+   */
+  unlisten() {
+    const node = this.#eventsTarget;
+    if (!node) {
+      return;
+    }
+    node.removeEventListener(EventTypes.processLink, this._processLinkHandler);
+    node.removeEventListener(EventTypes.processFile, this._processFileHandler);
+    node.removeEventListener(EventTypes.resolveModel, this._resolveModelHandler);
+    this.#eventsTarget = undefined;
+  }
+
+  /**
+   * Handler for the `api-process-link` event.
+   * Downloads and processes the asset and dispatches the `api-data-ready` event
+   * when ready or the `process-error` event when the operation failed.
+   * @param {CustomEvent} e
+   */
+  _processLinkHandler(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { url, mainFile, md5, integrity, packaging, signal, request } = e.detail;
+    const result = this.processApiLink(url, mainFile, integrity || md5, packaging, { signal, request });
+    e.detail.result = result;
+    result.then((info) => {
+      if (!info) {
+        return;
+      }
+      this._notifyApiData(info);
+    }).catch((cause) => {
+      // the user aborted the operation.
+      if (cause instanceof AbortError) {
+        return;
+      }
+      this._notifyError(cause);
+    });
+  }
+
+  /**
+   * Handler for the `api-process-file` event.
+   * @param {CustomEvent} e
+   */
+  _processFileHandler(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { file, signal } = e.detail;
+    e.detail.result = this.processApiFile(file, { signal });
+  }
+
+  /**
+   * Handler for the `api-resolve-model` event.
+   * @param {CustomEvent} e
+   */
+  _resolveModelHandler(e) {
+    if (e.defaultPrevented) {
+      return;
+    }
+    e.preventDefault();
+    const { model, type, signal } = e.detail;
+    e.detail.result = this.resolveAPiConsole(model, type, { signal });
+  }
+
+  /**
+   * Dispatches the `api-data-ready` event.
+   * @param {ApiParseResult} info The parse result.
+   */
+  _notifyApiData(info) {
+    const e = new CustomEvent(EventTypes.dataReady, {
+      bubbles: true,
+      composed: true,
+      detail: {
+        api: info.model,
+        type: info.type,
+      },
+    });
+    document.body.dispatchEvent(e);
+  }
+
+  /**
+   * Dispatches the `api-process-progress` event and calls the `onProgress` callback, if set.
+   * @param {ApiProcessingProgress} progress The processing progress.
+   * @param {ApiProgressCallback=} onProgress The progress callback set on the processing options.
+   */
+  _notifyProgress(progress, onProgress) {
+    const e = new CustomEvent(EventTypes.progress, {
+      bubbles: true,
+      composed: true,
+      detail: progress,
+    });
+    document.body.dispatchEvent(e);
+    if (typeof onProgress === 'function') {
+      onProgress(progress);
     }
-    return this.#amfService;
   }
 
   /**
-   * Cleans up the working dir after work is done.
+   * Dispatches the `process-error` event.
+   * @param {Error} cause The error object.
+   */
+  _notifyError(cause) {
+    const e = new CustomEvent(EventTypes.processError, {
+      bubbles: true,
+      composed: true,
+      detail: {
+        message: cause.message,
+        source: 'amf-service',
+      },
+    });
+    document.body.dispatchEvent(e);
+  }
+
+  /**
+   * Cancels all jobs and kills the parser and the resolver processes.
    * @return {Promise<void>}
    */
   async cleanup() {
-    const service = this.service;
-    if (service.source) {
-      await service.cleanup();
+    await Promise.all(this.jobs.map((id) => this.cancel(id)));
+    await this.parserPool.terminate();
+    await this.resolverPool.terminate();
+  }
+
+  /**
+   * @return {ServiceMemoryUsage} The memory usage of the parser and the resolver processes,
+   * as reported by the processes with the last job's result.
+   */
+  memoryUsage() {
+    return {
+      parser: this.parserPool.memoryUsage(),
+      resolver: this.resolverPool.memoryUsage(),
+    };
+  }
+
+  /**
+   * Cancels a processing job. It kills the job's parser process and removes the job's temporary files.
+   * The promise returned by the processing function is rejected.
+   * @param {string} id The id of the job, the same as the `id` of the `process-loading-start` event.
+   * @return {Promise<void>}
+   */
+  async cancel(id) {
+    const job = this.#jobs.get(id);
+    if (!job) {
+      return;
     }
+    this._finishJob(job);
+    await job.cancel();
   }
 
   /**
-   * Downloads the file and processes it as a zipped API project.
+   * Creates a processing job and dispatches the `process-loading-start` event with the job's id.
+   * @param {string=} id The id of the job. Generated when not set.
+   * @return {AmfService} The job's service.
+   */
+  _createJob(id) {
+    if (id && this.#jobs.has(id)) {
+      throw new InvalidOptionError(`The job ${id} is already running.`, 'jobId');
+    }
+    const job = new AmfService(this.parserPool, id);
+    this.#jobs.set(job.id, job);
+    this.#lastJob = job;
+    ProcessEvents.loadingstart(document.body, job.id, 'Processing API data');
+    return job;
+  }
+
+  /**
+   * Removes the job from the running jobs and dispatches the `process-loading-stop` event.
+   * @param {AmfService} job The job's service.
+   */
+  _finishJob(job) {
+    if (this.#jobs.get(job.id) !== job) {
+      return;
+    }
+    this.#jobs.delete(job.id);
+    job._unlistenAbort();
+    ProcessEvents.loadingstop(document.body, job.id);
+  }
+
+  /**
+   * Downloads the file and processes it as an API project.
    *
    * @param {string} url API remote location.
    * @param {string=} mainFile API main file. If not set the program will try to find the best match.
-   * @param {string=} md5 When set it will test data integrity with the MD5 hash
-   * @param {string=} packaging Default to `zip`.
+   * @param {string=} integrity When set it tests the data integrity. It is either an SRI integrity string, like
+   * `sha512-<base64 digest>`, or a hex encoded MD5 or SHA-1 checksum.
+   * @param {string=} packaging The packaging of the asset: `zip`, `tar`, `tar.gz` (or `tgz`), or `file`.
+   * Other values, like `raml` or `json`, are processed as a single API file. When not set the packaging is read from the
+   * `content-disposition` and `content-type` response headers.
+   * @param {ApiLinkProcessingOptions=} [opts={}] Processing options. The `request` option configures the download request.
+   * The result has the `digests` property with the digests of the downloaded asset.
    * @return {Promise<ApiParseResult>} Promise resolved to the AMF json-ld model.
    */
-  async processApiLink(url, mainFile, md5, packaging) {
-    this.loading = true;
-    const bufferOpts = {};
-    if (packaging && packaging === 'zip') {
-      bufferOpts.zip = true;
-    }
-    if (mainFile) {
-      bufferOpts.mainFile = mainFile;
-    }
+  async processApiLink(url, mainFile, integrity, packaging, opts={}) {
+    const { signal, onProgress } = opts;
+    const job = this._createJob(opts.jobId);
     try {
-      const buffer = await this.downloadRamlData(url);
-      this._checkIntegrity(buffer, md5);
-      const result = await this.processBuffer(buffer);
-      this.loading = false;
+      let download = /** @type ApiDownloadInfo */ ({});
+      const algorithms = [...digestAlgorithms, ...integrityAlgorithmsOf(integrity)];
+      let digests = new Digests(algorithms);
+      const buffer = await this.downloadRamlData(url, {
+        ...opts.request,
+        signal,
+        onProgress: (loaded, total) => this._notifyProgress({ id: job.id, stage: 'download', loaded, total }, onProgress),
+        onResponse: (info) => {
+          download = info;
+        },
+        onChunk: (chunk) => digests.update(chunk),
+      });
+      if (digests.length !== buffer.length) {
+        // the body was not streamed.
+        digests = new Digests(algorithms);
+        digests.update(buffer);
+      }
+      const computed = digests.digest();
+      this._checkIntegrity(buffer, integrity, computed);
+      const result = await this._processJob(job, buffer, {
+        ...opts,
+        mainFile: mainFile || opts.mainFile,
+        packaging: this._normalizePackaging(packaging) || opts.packaging || this._readPackaging(download),
+      });
+      if (result) {
+        result.digests = {
+          ...computed,
+          integrity: toIntegrity('sha512', computed.sha512),
+        };
+      }
       return result;
-    } catch (cause) {
-      this.loading = false;
-      throw cause;
+    } finally {
+      this._finishJob(job);
+    }
+  }
+
+  /**
+   * Translates the packaging argument of the `processApiLink()` function to the supported packaging.
+   * @param {string=} packaging The packaging of the asset.
+   * @return {ApiPackaging|undefined} The packaging or undefined when not set or not recognized.
+   */
+  _normalizePackaging(packaging) {
+    if (!packaging) {
+      return undefined;
+    }
+    switch (packaging.toLowerCase()) {
+      case 'zip': return 'zip';
+      case 'tar': return 'tar';
+      case 'tar.gz':
+      case 'tgz':
+        return 'tar.gz';
+      case 'file':
+      case 'raml':
+      case 'json':
+      case 'yaml':
+      case 'yml':
+        return 'file';
+      default: return undefined;
+    }
+  }
+
+  /**
+   * Reads the packaging of the downloaded asset from the file name or the content type.
+   * Only the archive and API file extensions and media types are recognized. For any other
+   * name or media type the packaging is not set so the archives are detected by the magic bytes.
+   * @param {ApiDownloadInfo} download The information about the downloaded asset.
+   * @return {ApiPackaging|undefined} The packaging or undefined when it cannot be determined.
+   */
+  _readPackaging(download) {
+    const { fileName, contentType } = download;
+    if (fileName) {
+      const name = fileName.toLowerCase();
+      if (name.endsWith('.zip')) {
+        return 'zip';
+      }
+      if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+        return 'tar.gz';
+      }
+      if (name.endsWith('.tar')) {
+        return 'tar';
+      }
+      if (/\.(raml|json|ya?ml)$/.test(name)) {
+        return 'file';
+      }
+    }
+    if (!contentType) {
+      return undefined;
+    }
+    const [mime] = contentType.toLowerCase().split(';');
+    switch (mime.trim()) {
+      case 'application/zip':
+      case 'application/x-zip':
+      case 'application/x-zip-compressed':
+        return 'zip';
+      case 'application/x-tar':
+        return 'tar';
+      case 'application/gzip':
+      case 'application/x-gzip':
+      case 'application/x-gtar':
+      case 'application/x-tgz':
+        return 'tar.gz';
+      case 'application/json':
+      case 'application/raml+yaml':
+      case 'application/yaml':
+      case 'application/x-yaml':
+      case 'text/yaml':
+        return 'file';
+      default:
+        return undefined;
     }
   }
 
@@ -112,18 +487,16 @@ export class ElectronAmfService {
    * zip file. Otherwise it processes it as a file.
    *
    * @param {File|Blob} file File to process.
+   * @param {AmfServiceProcessingOptions=} [opts={}] Processing options
    * @return {Promise<ApiParseResult>} Promise resolved to the AMF json-ld model
    */
-  async processApiFile(file) {
-    this.loading = true;
+  async processApiFile(file, opts={}) {
+    const job = this._createJob(opts.jobId);
     try {
-      const buffer = await this._fileToBuffer(file);
-      const result = await this.processBuffer(buffer);
-      this.loading = false;
-      return result;
-    } catch (cause) {
-      this.loading = false;
-      throw cause;
+      const buffer = await this._fileToBuffer(file, opts.signal);
+      return await this._processJob(job, buffer, opts);
+    } finally {
+      this._finishJob(job);
     }
   }
 
@@ -134,44 +507,170 @@ export class ElectronAmfService {
    * @return {Promise<ApiParseResult>} Promise resolved to the AMF json-ld model
    */
   async processBuffer(buffer, opts={}) {
-    if (!this.loading) {
-      this.loading = true;
-    }
-    if (!opts.zip && this._bufferIsZip(buffer)) {
-      opts.zip = true;
+    const job = this._createJob(opts.jobId);
+    try {
+      return await this._processJob(job, buffer, opts);
+    } finally {
+      this._finishJob(job);
     }
-    const service = this.service;
-    service.setSource(buffer, opts);
+  }
 
-    let result;
-    let exception;
+  /**
+   * Parses API files kept in memory, like the files of a multi-file project opened in an editor.
+   *
+   * ```javascript
+   * await service.processApiFiles({
+   *   'api.raml': '#%RAML 1.0\ntitle: My API\nuses:\n  types: types/user.raml',
+   *   'types/user.raml': '#%RAML 1.0 Library\n...',
+   * }, { mainFile: 'api.raml' });
+   * ```
+   *
+   * @param {ApiFileMap} files The contents of the API files by the path relative to the API root folder.
+   * @param {AmfServiceProcessingOptions=} [opts={}] Processing options. Without the `mainFile` option the entry point
+   * is searched for as in an archive.
+   * @return {Promise<ApiParseResult>} Promise resolved to the AMF json-ld model
+   */
+  async processApiFiles(files, opts={}) {
+    const job = this._createJob(opts.jobId);
     try {
-      await service.prepare();
-      const candidates = await service.resolve(opts.mainFile);
-      if (candidates) {
-        result = await this._processCandidates(service, candidates);
-      } else {
-        result = await service.parse();
+      return await this._processJob(job, files, opts);
+    } finally {
+      this._finishJob(job);
+    }
+  }
+
+  /**
+   * Parses a single API spec given as a string.
+   * The API type is declared so it is not detected from the content.
+   *
+   * @param {string} content The API spec.
+   * @param {string} apiType The API type, like `RAML 1.0`, `OAS 3.0`, or `ASYNC 2.0`.
+   * @param {AmfServiceProcessingOptions=} [opts={}] Processing options. The `mainFile` option sets the name
+   * of the API file, reported in the validation results. Default to `api`.
+   * @return {Promise<ApiParseResult>} Promise resolved to the AMF json-ld model
+   */
+  async processApiString(content, apiType, opts={}) {
+    const mainFile = opts.mainFile || 'api';
+    return this.processApiFiles({ [mainFile]: content }, { ...opts, mainFile, apiType });
+  }
+
+  /**
+   * Parses API data in the job. When the service has the model cache the result is read from the cache
+   * and the parsed result is stored in the cache.
+   * @param {AmfService} service The job's service.
+   * @param {Buffer|ApiFileMap} buffer Buffer created from API file or the map of the API files.
+   * @param {AmfServiceProcessingOptions=} [opts={}] Processing options
+   * @return {Promise<ApiParseResult>} Promise resolved to the AMF json-ld model
+   */
+  async _processJob(service, buffer, opts={}) {
+    const remoteReferences = opts.remoteReferences || this.remoteReferences;
+    service.setSource(buffer, {
+      ...opts,
+      timeout: typeof opts.timeout === 'number' ? opts.timeout : this.parseTimeout,
+      remoteReferences,
+      onProgress: (progress) => this._notifyProgress(progress, opts.onProgress),
+    });
+    const cacheKey = this._parseCacheKey(buffer, { ...opts, remoteReferences });
+    if (cacheKey) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached && !service.cancelled) {
+        return cached;
       }
-    } catch (cause) {
-      exception = cause;
     }
-    this.loading = false;
-    if (exception) {
-      throw exception;
+    await service.prepare();
+    const candidates = await service.resolve(opts.mainFile);
+    if (candidates) {
+      // The result depends on the user's choice so it is not cached.
+      return this._processCandidates(service, candidates, opts.signal);
+    }
+    const result = await service.parse();
+    if (cacheKey) {
+      const value = { ...result };
+      delete value.memory;
+      await this._cacheResult(cacheKey, value);
     }
     return result;
   }
 
+  /**
+   * Creates the cache key of the parsed API. The key covers all options that change the result
+   * or the checks made on the source, like the archive limits.
+   * @param {Buffer|ApiFileMap} source Buffer created from API file or the map of the API files.
+   * @param {AmfServiceProcessingOptions} opts Processing options
+   * @return {string|undefined} The cache key or undefined when the result is not cached.
+   */
+  _parseCacheKey(source, opts) {
+    if (!this.cache || opts.cache === false) {
+      return undefined;
+    }
+    return createCacheKey(source, {
+      operation: 'parse',
+      mainFile: opts.mainFile,
+      apiType: opts.apiType,
+      packaging: opts.zip ? 'zip' : opts.packaging,
+      expandNestedArchives: !!opts.expandNestedArchives,
+      archiveLimits: { ...defaultArchiveLimits, ...opts.archiveLimits },
+      inMemory: !!opts.inMemory,
+      detectionMode: opts.detectionMode,
+      maxScanSize: opts.maxScanSize,
+      ignore: opts.ignore,
+      validate: opts.validate,
+      validationProfile: opts.validationProfile,
+      failOnSeverity: opts.failOnSeverity,
+      remoteReferences: opts.remoteReferences,
+    });
+  }
+
+  /**
+   * Stores the value in the model cache.
+   * The cache is an optimization so a failure to store the value does not fail the processing.
+   * @param {string} key The cache key.
+   * @param {any} value The value to store.
+   * @return {Promise<void>}
+   */
+  async _cacheResult(key, value) {
+    try {
+      await this.cache.set(key, value);
+    } catch (e) {
+      // The next processing of the source parses the API again.
+    }
+  }
+
+  /**
+   * Removes the cached models of the source, for all processing options.
+   * @param {Buffer|ApiFileMap|string} source The processed API data, the map of the API files,
+   * or the string model passed to the `resolveAPiConsole()` function.
+   * @return {Promise<void>}
+   */
+  async invalidateCache(source) {
+    if (!this.cache) {
+      return;
+    }
+    const prefix = `${hashSource(source)}-`;
+    const keys = await this.cache.keys();
+    await Promise.all(keys.filter((key) => key.startsWith(prefix)).map((key) => this.cache.delete(key)));
+  }
+
+  /**
+   * Removes all models from the model cache.
+   * @return {Promise<void>}
+   */
+  async clearCache() {
+    if (this.cache) {
+      await this.cache.clear();
+    }
+  }
+
   /**
    * Processes candidates response from the AMF service
    * @param {AmfService} service A reference to AmfService
-   * @param {string[]} candidates List of candidates
+   * @param {ApiEntryPointCandidate[]} candidates List of candidates
+   * @param {AbortSignal=} signal When aborted the selection is rejected without waiting for the user.
    * @return {Promise<ApiParseResult>}
    */
-  async _processCandidates(service, candidates) {
+  async _processCandidates(service, candidates, signal) {
     try {
-      const file = await this.notifyApiCandidates(candidates);
+      const file = await this._untilAborted(this.notifyApiCandidates(candidates, signal), signal);
       if (!file) {
         await service.cancel();
       } else {
@@ -184,32 +683,69 @@ export class ElectronAmfService {
   }
 
   /**
-   * Tests if the buffer has ZIP file header.
-   * @param {Buffer} buffer File buffer
-   * @return {boolean} true if the buffer is compressed zip.
+   * Waits for the promise and rejects with the `AbortError` as soon as the signal is aborted.
+   * @param {Promise<any>} promise
+   * @param {AbortSignal=} signal
+   * @return {Promise<any>} The promise result.
    */
-  _bufferIsZip(buffer) {
-    return buffer[0] === 0x50 && buffer[1] === 0x4b;
+  async _untilAborted(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+    if (signal.aborted) {
+      throw new AbortError();
+    }
+    let abort;
+    const aborted = new Promise((resolve, reject) => {
+      abort = () => reject(new AbortError());
+      signal.addEventListener('abort', abort);
+    });
+    try {
+      return await Promise.race([promise, aborted]);
+    } finally {
+      signal.removeEventListener('abort', abort);
+    }
   }
 
   /**
    * Transforms file to a buffer.
    * @param {Blob} blob A file to process
+   * @param {AbortSignal=} signal When aborted the file reading is aborted.
    * @return {Promise<Buffer>}
    */
-  async _fileToBuffer(blob) {
+  async _fileToBuffer(blob, signal) {
+    if (signal && signal.aborted) {
+      throw new AbortError();
+    }
     if (blob instanceof Buffer) {
       return blob;
     }
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.addEventListener('loadend', (e) => {
+      /**
+       * Aborts the file reading when the signal is aborted.
+       */
+      const abort = () => {
+        reader.abort();
+      };
+      reader.addEventListener('load', (e) => {
         // @ts-ignore
         resolve(Buffer.from(e.target.result));
       });
       reader.addEventListener('error', () => {
-        reject(new Error('Unable to translate the file to buffer'));
+        reject(new FileReadFailedError('Unable to translate the file to buffer'));
+      });
+      reader.addEventListener('abort', () => {
+        reject(new AbortError());
+      });
+      reader.addEventListener('loadend', () => {
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
       });
+      if (signal) {
+        signal.addEventListener('abort', abort);
+      }
       reader.readAsArrayBuffer(blob);
     });
   }
@@ -217,94 +753,216 @@ export class ElectronAmfService {
   /**
    * Downloads and processes RAML data.
    *
-   * @TODO: Handle authorization.
-   *
    * @param {String} url URL to RAML zip asset.
+   * @param {ApiDownloadOptions=} [opts={}] Download options
    * @return {Promise<Buffer>} Resolved when components are loaded and process
    * started.
+   * @throws {DownloadFailedError} When the request failed or the response status is not successful.
+   * @throws {TimeoutError} When the download does not finish in the `timeout` time.
    */
-  async downloadRamlData(url) {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Unable to download the asset. Status: ${response.status}`);
+  async downloadRamlData(url, opts={}) {
+    const { signal, headers, credentials, redirect, timeout } = opts;
+    if (signal && signal.aborted) {
+      throw new AbortError();
+    }
+    // The request has its own controller so it can be aborted by both the signal and the timeout.
+    const controller = new AbortController();
+    /**
+     * Aborts the request when the signal is aborted.
+     */
+    const abort = () => {
+      controller.abort();
+    };
+    if (signal) {
+      signal.addEventListener('abort', abort);
+    }
+    let timedOut = false;
+    let timer;
+    if (timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
     }
-    const buff = await response.arrayBuffer();
-    return Buffer.from(buff);
+    const request = this.fetch || fetch;
+    try {
+      const response = await request(url, {
+        headers,
+        credentials,
+        redirect,
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new DownloadFailedError(`Unable to download the asset. Status: ${response.status}`, response.status);
+      }
+      if (typeof opts.onResponse === 'function') {
+        opts.onResponse(this._readDownloadInfo(response));
+      }
+      return await this._readResponseBody(response, opts.onProgress, opts.onChunk);
+    } catch (cause) {
+      if (timedOut) {
+        throw new TimeoutError('download', timeout);
+      }
+      if (signal && signal.aborted) {
+        throw new AbortError();
+      }
+      if (cause instanceof DownloadFailedError) {
+        throw cause;
+      }
+      throw new DownloadFailedError(`Unable to download the asset. ${cause.message}`);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  }
+
+  /**
+   * Reads the content type and the file name of the downloaded asset from the response headers.
+   * @param {Response} response The download response.
+   * @return {ApiDownloadInfo}
+   */
+  _readDownloadInfo(response) {
+    const info = /** @type ApiDownloadInfo */ ({});
+    const contentType = response.headers.get('content-type');
+    if (contentType) {
+      info.contentType = contentType;
+    }
+    const fileName = this._readFileName(response.headers.get('content-disposition'));
+    if (fileName) {
+      info.fileName = fileName;
+    }
+    return info;
+  }
+
+  /**
+   * Reads the file name from the `content-disposition` header.
+   * @param {string=} disposition The value of the header.
+   * @return {string|undefined} The file name or undefined when not set.
+   */
+  _readFileName(disposition) {
+    if (!disposition) {
+      return undefined;
+    }
+    const encoded = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+    if (encoded) {
+      try {
+        return decodeURIComponent(encoded[1].trim());
+      } catch (e) {
+        // falls back to the `filename` parameter.
+      }
+    }
+    const match = disposition.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+    if (!match) {
+      return undefined;
+    }
+    return (match[1] || match[2]).trim() || undefined;
+  }
+
+  /**
+   * Reads the response body and reports the number of downloaded bytes.
+   * @param {Response} response The download response.
+   * @param {ApiDownloadProgressCallback=} onProgress The download progress callback.
+   * @param {ApiDownloadChunkCallback=} onChunk Called with each downloaded chunk.
+   * @return {Promise<Buffer>}
+   */
+  async _readResponseBody(response, onProgress, onChunk) {
+    const streamed = typeof onProgress === 'function' || typeof onChunk === 'function';
+    if (!response.body || !streamed) {
+      const buff = await response.arrayBuffer();
+      return Buffer.from(buff);
+    }
+    const length = Number(response.headers.get('content-length'));
+    const total = length > 0 ? length : undefined;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    if (onProgress) {
+      onProgress(loaded, total);
+    }
+    let result = await reader.read();
+    while (!result.done) {
+      chunks.push(result.value);
+      loaded += result.value.length;
+      if (onChunk) {
+        onChunk(result.value);
+      }
+      if (onProgress) {
+        onProgress(loaded, total);
+      }
+      result = await reader.read();
+    }
+    return Buffer.concat(chunks);
   }
 
   /**
-   * Checks for Exchange file integrity, using passed md5 hash.
+   * Checks for Exchange file integrity.
    * @param {Buffer} buffer File's buffer
-   * @param {String} md5 File's hash
+   * @param {string=} integrity The SRI integrity string or the hex encoded MD5 or SHA-1 checksum.
+   * @param {ApiDigests=} digests The digests computed while downloading the file. Computed from the buffer when not set.
    * @return {Buffer}
-   * @throws {Error} When computed md5 sum is not valid.
+   * @throws {IntegrityFailedError} When the computed digest does not match the integrity value.
    */
-  _checkIntegrity(buffer, md5) {
-    if (!md5) {
+  _checkIntegrity(buffer, integrity, digests) {
+    if (!integrity) {
       return buffer;
     }
-    // @ts-ignore
-    const hash = crypto.createHash('md5').update(buffer, 'utf8').digest('hex');
-    if (hash === md5) {
+    let computed = digests;
+    if (!computed) {
+      const hashes = new Digests(integrityAlgorithmsOf(integrity));
+      hashes.update(buffer);
+      computed = hashes.digest();
+    }
+    if (matchIntegrity(computed, integrity)) {
       return buffer;
     }
-    throw new Error('API file integrity test failed. Checksum mismatch.');
+    throw new IntegrityFailedError();
   }
 
   /**
    * Resolves AMD model using AMF's resolved pipeline. This model can be used in API Console.
    * @param {any} model AMF's unresolved model
    * @param {string} type API type
+   * @param {ApiResolveOptions=} [opts={}] Resolve options
    * @return {Promise<string>}
    */
-  async resolveAPiConsole(model, type) {
-    return new Promise((resolve, reject) => {
-      const proc = this._createResolverProcess();
-      const callbacks = {
-        onmessage: (result) => {
-          this._killResolver(proc);
-          if (result.error) {
-            reject(new Error(result.error));
-          } else {
-            resolve(result.api);
-          }
-        },
-        onerror: (err) => {
-          this._killResolver(proc);
-          reject(new Error(err.message || 'Unknown error'));
-        },
-      };
-      proc.on('message', callbacks.onmessage);
-      proc.on('error', callbacks.onerror);
-      proc.send({
-        model,
-        type,
-      });
+  async resolveAPiConsole(model, type, opts={}) {
+    const cacheKey = this.cache && opts.cache !== false ? this._resolveCacheKey(model, type) : undefined;
+    if (cacheKey) {
+      const cached = await this.cache.get(cacheKey);
+      if (opts.signal && opts.signal.aborted) {
+        throw new AbortError();
+      }
+      if (cached) {
+        return cached;
+      }
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    this._notifyProgress({ id, stage: 'resolve' }, opts.onProgress);
+    const result = await this.resolverPool.run({
+      model,
+      type,
+    }, {
+      signal: opts.signal,
+      timeout: typeof opts.timeout === 'number' ? opts.timeout : this.resolveTimeout,
+      stage: 'resolve',
     });
+    if (cacheKey) {
+      await this._cacheResult(cacheKey, result.api);
+    }
+    return result.api;
   }
 
   /**
-   * Creates new child process for the AMF resolver.
-   * @return {ChildProcess} Child process reference.
-   */
-  _createResolverProcess() {
-    const options = {
-      execArgv: [],
-    };
-    return fork(path.join(__dirname, '..', 'lib', 'amf-resolver.js'), options);
-  }
-
-  /**
-   * Kills resolver child process.
-   * @param {ChildProcess} proc A reference to the child process.
+   * Creates the cache key of the resolved model.
+   * @param {any} model AMF's unresolved model
+   * @param {string} type API type
+   * @return {string} The cache key.
    */
-  _killResolver(proc) {
-    if (proc.connected) {
-      proc.disconnect();
-    }
-    proc.removeAllListeners('message');
-    proc.removeAllListeners('error');
-    proc.kill();
+  _resolveCacheKey(model, type) {
+    const source = typeof model === 'string' ? model : JSON.stringify(model);
+    return createCacheKey(source, { operation: 'resolve', type });
   }
 
   /**
@@ -330,18 +988,67 @@ export class ElectronAmfService {
   }
 
   /**
-   * @param {string[]} candidates
+   * Dispatches the `api-select-entrypoint` event so the hosting application can
+   * ask the user for the API main file. When the event is not handled it renders
+   * the default selector dialog.
+   *
+   * The event's detail has the `candidates` property with the list of paths
+   * and the `entryPoints` property with the candidates metadata, both sorted by the score.
+   * The `signal` property is the signal of the processing job so the application can close the selector
+   * when the job is aborted.
+   *
+   * @param {ApiEntryPointCandidate[]} candidates
+   * @param {AbortSignal=} signal The signal of the processing job. When aborted the default dialog is closed.
    * @return {Promise<string|undefined>}
    */
-  async notifyApiCandidates(candidates) {
+  async notifyApiCandidates(candidates, signal) {
+    const e = new CustomEvent(EventTypes.selectEntrypoint, {
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+      detail: {
+        candidates: candidates.map((item) => item.path),
+        entryPoints: candidates,
+        signal,
+        result: undefined,
+      },
+    });
+    document.body.dispatchEvent(e);
+    if (e.defaultPrevented) {
+      return e.detail.result;
+    }
+    return this._selectCandidateDialog(candidates, signal);
+  }
+
+  /**
+   * @param {ApiEntryPointCandidate} candidate
+   * @return {string} The label of the candidate rendered in the selector dialog.
+   */
+  _candidateLabel(candidate) {
+    const { path: file, type, title, version } = candidate;
+    const info = [type, title, version].filter((item) => !!item);
+    if (!info.length) {
+      return file;
+    }
+    return `${file} (${info.join(', ')})`;
+  }
+
+  /**
+   * Renders the default dialog with the list of entry point candidates.
+   * @param {ApiEntryPointCandidate[]} candidates
+   * @param {AbortSignal=} signal When aborted the dialog is closed.
+   * @return {Promise<string|undefined>}
+   */
+  async _selectCandidateDialog(candidates, signal) {
     const { selectorTemplate } = this;
     const dialog = /** @type HTMLDialogElement */ (selectorTemplate.content.firstElementChild.cloneNode(true));
     const select = dialog.querySelector('select');
     const f = document.createDocumentFragment();
     f.appendChild(document.createElement('option'));
-    candidates.forEach((file) => {
+    candidates.forEach((candidate) => {
       const o = document.createElement('option');
-      o.innerText = file;
+      o.value = candidate.path;
+      o.innerText = this._candidateLabel(candidate);
       f.appendChild(o);
     });
     select.innerHTML = '';
@@ -352,8 +1059,20 @@ export class ElectronAmfService {
     select.addEventListener('change', (e) => {
       /** @type HTMLButtonElement */ (dialog.querySelector('#confirmBtn')).value = /** @type HTMLSelectElement */ (e.target).value;
     });
+    /**
+     * Closes the dialog when the job is aborted.
+     */
+    const abort = () => {
+      dialog.close('cancel');
+    };
+    if (signal) {
+      signal.addEventListener('abort', abort);
+    }
     return new Promise((resolve) => {
       dialog.addEventListener('close', (e) => {
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
         const node = /** @type HTMLDialogElement */ (e.target);
         node.parentNode.removeChild(node);
         const { returnValue } = node;
@@ -0,0 +1,33 @@
+/**
+ * Names of the DOM events handled and dispatched by the `ElectronAmfService`.
+ */
+export declare const EventTypes: {
+  /**
+   * Handled by the service. Downloads and processes an API asset.
+   */
+  processLink: string;
+  /**
+   * Handled by the service. Processes a file or a buffer.
+   */
+  processFile: string;
+  /**
+   * Handled by the service. Resolves unresolved AMF model with the editing pipeline.
+   */
+  resolveModel: string;
+  /**
+   * Dispatched by the service when the API main file cannot be determined.
+   */
+  selectEntrypoint: string;
+  /**
+   * Dispatched by the service when the `api-process-link` operation finishes.
+   */
+  dataReady: string;
+  /**
+   * Dispatched by the service when the `api-process-link` operation fails.
+   */
+  processError: string;
+  /**
+   * Dispatched by the service when the processing job progresses.
+   */
+  progress: string;
+};
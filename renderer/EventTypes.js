@@ -0,0 +1,33 @@
+/**
+ * Names of the DOM events handled and dispatched by the `ElectronAmfService`.
+ */
+export const EventTypes = {
+  /**
+   * Handled by the service. Downloads and processes an API asset.
+   */
+  processLink: 'api-process-link',
+  /**
+   * Handled by the service. Processes a file or a buffer.
+   */
+  processFile: 'api-process-file',
+  /**
+   * Handled by the service. Resolves unresolved AMF model with the editing pipeline.
+   */
+  resolveModel: 'api-resolve-model',
+  /**
+   * Dispatched by the service when the API main file cannot be determined.
+   */
+  selectEntrypoint: 'api-select-entrypoint',
+  /**
+   * Dispatched by the service when the `api-process-link` operation finishes.
+   */
+  dataReady: 'api-data-ready',
+  /**
+   * Dispatched by the service when the `api-process-link` operation fails.
+   */
+  processError: 'process-error',
+  /**
+   * Dispatched by the service when the processing job progresses.
+   */
+  progress: 'api-process-progress',
+};
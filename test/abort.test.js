@@ -0,0 +1,179 @@
+const { ElectronAmfService, AbortError, EventTypes } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+const { startServer, stopServer, trackTempFiles, existingFiles } = require('./helpers.js');
+
+describe('Aborting', () => {
+  /** @type ElectronAmfService */
+  let service;
+  beforeEach(() => {
+    service = new ElectronAmfService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('processBuffer()', () => {
+    it('rejects with the AbortError when the signal is aborted', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const controller = new AbortController();
+      controller.abort();
+      let error;
+      try {
+        await service.processBuffer(data, { signal: controller.signal });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, AbortError);
+      assert.equal(error.name, 'AbortError');
+    });
+
+    it('aborts the parsing and removes the temporary files', async () => {
+      const locations = trackTempFiles(service);
+      const data = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const controller = new AbortController();
+      const job = service.processBuffer(data, { signal: controller.signal }).catch((e) => e);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      controller.abort();
+      const error = await job;
+      assert.instanceOf(error, AbortError);
+      assert.deepEqual(service.jobs, [], 'removes the job');
+      assert.deepEqual(await existingFiles(locations), [], 'removes the temporary files');
+    });
+
+    it('removes the abort listener when the job is finished', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const controller = new AbortController();
+      const { signal } = controller;
+      const listeners = new Set();
+      const add = signal.addEventListener.bind(signal);
+      const remove = signal.removeEventListener.bind(signal);
+      signal.addEventListener = (type, listener, opts) => {
+        listeners.add(listener);
+        add(type, listener, opts);
+      };
+      signal.removeEventListener = (type, listener, opts) => {
+        listeners.delete(listener);
+        remove(type, listener, opts);
+      };
+      await service.processBuffer(data, { signal });
+      await service.processBuffer(Buffer.from('Not an API.'), { signal }).catch(() => {});
+      assert.equal(listeners.size, 0);
+    });
+
+    it('does not affect the next job', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const controller = new AbortController();
+      const job = service.processBuffer(data, { signal: controller.signal }).catch((e) => e);
+      controller.abort();
+      await job;
+      const result = await service.processBuffer(data);
+      assert.typeOf(result.model, 'string');
+    });
+  });
+
+  describe('Entry point selection', () => {
+    it('rejects while the selector is open', async () => {
+      const data = await fs.readFile(path.join('test', 'multiple-entry-points.zip'));
+      const locations = trackTempFiles(service);
+      const controller = new AbortController();
+      /** @type any */
+      let detail;
+      const handler = (e) => {
+        e.preventDefault();
+        detail = e.detail;
+        // the user never selects the file
+        e.detail.result = new Promise(() => {});
+        controller.abort();
+      };
+      document.body.addEventListener(EventTypes.selectEntrypoint, handler);
+      const error = await service.processBuffer(data, { signal: controller.signal }).catch((e) => e);
+      document.body.removeEventListener(EventTypes.selectEntrypoint, handler);
+      assert.instanceOf(error, AbortError);
+      assert.equal(detail.signal, controller.signal, 'has the signal on the event');
+      assert.deepEqual(service.jobs, [], 'removes the job');
+      assert.deepEqual(await existingFiles(locations), [], 'removes the temporary files');
+    });
+
+    it('passes the signal to the default dialog', async () => {
+      const data = await fs.readFile(path.join('test', 'multiple-entry-points.zip'));
+      const controller = new AbortController();
+      let closed = false;
+      service._selectCandidateDialog = (candidates, signal) => new Promise((resolve) => {
+        signal.addEventListener('abort', () => {
+          closed = true;
+          resolve(undefined);
+        });
+        controller.abort();
+      });
+      const error = await service.processBuffer(data, { signal: controller.signal }).catch((e) => e);
+      assert.instanceOf(error, AbortError);
+      assert.isTrue(closed, 'closes the dialog');
+    });
+  });
+
+  describe('processApiFile()', () => {
+    it('aborts reading the file', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const controller = new AbortController();
+      const job = service.processApiFile(new Blob([new Uint8Array(data)]), { signal: controller.signal });
+      controller.abort();
+      let error;
+      try {
+        await job;
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, AbortError);
+    });
+  });
+
+  describe('processApiLink()', () => {
+    /** @type import('./helpers.js').TestServer */
+    let server;
+    let url;
+    before(async () => {
+      // never responds
+      server = await startServer(() => {});
+      url = `${server.baseUri}/api.zip`;
+    });
+
+    after(async () => {
+      await stopServer(server.server);
+    });
+
+    it('aborts the download', async () => {
+      const controller = new AbortController();
+      const job = service.processApiLink(url, undefined, undefined, undefined, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 50);
+      let error;
+      try {
+        await job;
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, AbortError);
+      assert.isFalse(service.loading, 'is not loading');
+    });
+  });
+
+  describe('resolveAPiConsole()', () => {
+    it('kills the resolver', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const info = await service.processBuffer(data);
+      const controller = new AbortController();
+      const job = service.resolveAPiConsole(info.model, info.type.type, { signal: controller.signal });
+      controller.abort();
+      let error;
+      try {
+        await job;
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, AbortError);
+      assert.equal(service.resolverPool.workers, 0, 'kills the resolver process');
+    });
+  });
+});
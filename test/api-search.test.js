@@ -0,0 +1,231 @@
+const { assert } = require('chai');
+const path = require('path');
+const esmRequire = require('esm')(module);
+
+const { ApiSearch } = esmRequire('../lib/ApiSearch.js');
+
+describe('ApiSearch', () => {
+  describe('findApiFile()', () => {
+    it('finds the API file in nested folders', async () => {
+      const search = new ApiSearch(path.join('test', 'nested-folders'));
+      const result = await search.findApiFile();
+      assert.equal(result, path.join('src', 'api', 'v1', 'my-api.raml'));
+    });
+
+    it('searches the ignored folders when the ignore list is empty', async () => {
+      const search = new ApiSearch(path.join('test', 'nested-folders'), { ignore: [] });
+      const result = await search.findApiFile();
+      assert.equal(result, path.join('exchange_modules', 'org', 'lib', '1.0.0', 'api.raml'));
+    });
+
+    it('returns candidates when the main file cannot be determined', async () => {
+      const search = new ApiSearch(path.join('test', 'multiple-entry-points'));
+      const result = /** @type any[] */ (await search.findApiFile());
+      assert.deepEqual(result.map((item) => item.path), ['main.raml', 'other-api.raml']);
+    });
+
+    it('returns the RAML candidates metadata', async () => {
+      const search = new ApiSearch(path.join('test', 'multiple-entry-points'));
+      const [candidate] = /** @type any[] */ (await search.findApiFile());
+      assert.equal(candidate.type, 'RAML 1.0', 'has the type');
+      assert.equal(candidate.contentType, 'application/raml', 'has the content type');
+      assert.equal(candidate.title, 'Test api', 'has the title');
+      assert.equal(candidate.version, 'v2', 'has the version');
+      assert.isAbove(candidate.size, 0, 'has the size');
+      assert.isAbove(candidate.score, 0, 'has the score');
+    });
+
+    it('returns the OAS candidates metadata', async () => {
+      const search = new ApiSearch(path.join('test', 'oas-late-version'));
+      const result = /** @type any[] */ (await search.findApiFile());
+      const json = result.find((item) => item.path === 'my-api.json');
+      const yaml = result.find((item) => item.path === 'my-api.yaml');
+      assert.equal(json.type, 'OAS 2.0', 'has the JSON type');
+      assert.equal(json.title, 'Late version API', 'has the JSON title');
+      assert.equal(json.version, '1.0.0', 'has the JSON version');
+      assert.equal(yaml.type, 'OAS 3.0', 'has the YAML type');
+      assert.equal(yaml.title, 'Late version API', 'has the YAML title');
+      assert.equal(yaml.version, 'v1', 'has the YAML version');
+    });
+
+    it('returns the main file defined in the exchange.json file', async () => {
+      const search = new ApiSearch(path.join('test', 'exchange-asset'));
+      const result = await search.findApiFile();
+      assert.equal(result, path.join('src', 'main-api.raml'));
+    });
+
+    it('does not return RAML fragments as the main file', async () => {
+      const search = new ApiSearch(path.join('test', 'raml-fragments'));
+      const result = await search.findApiFile();
+      assert.equal(result, 'main-api.raml');
+    });
+
+    it('returns the overlay instead of the extended document', async () => {
+      const search = new ApiSearch(path.join('test', 'raml-overlay'));
+      const result = await search.findApiFile();
+      assert.equal(result, 'overlay.raml');
+    });
+
+    it('returns the popular name in the root folder', async () => {
+      const search = new ApiSearch(path.join('test', 'inception'));
+      const result = await search.findApiFile();
+      assert.equal(result, path.join('inner-folder', 'api.raml'));
+    });
+  });
+
+  describe('_decideMainFile()', () => {
+    it('sorts the candidates by the score when no file is an API file', async () => {
+      const search = new ApiSearch(path.join('test', 'raml-fragments'));
+      const result = /** @type any[] */ (await search._decideMainFile([path.join('types', 'user.raml'), 'library.raml']));
+      assert.deepEqual(result.map((item) => item.path), ['library.raml', path.join('types', 'user.raml')]);
+      assert.isAtLeast(result[0].score, result[1].score);
+    });
+  });
+
+  describe('_readCandidateInfo()', () => {
+    it('reads the extended document of an overlay', async () => {
+      const search = new ApiSearch(path.join('test', 'raml-overlay'));
+      const file = {
+        absolute: path.join('test', 'raml-overlay', 'overlay.raml'),
+        relative: 'overlay.raml',
+      };
+      const type = await search._readApiType(file.absolute);
+      const result = await search._readCandidateInfo(file, type);
+      assert.equal(result.fragment, 'Overlay', 'has the fragment');
+      assert.equal(result.extends, 'base-api.raml', 'has the extended document');
+    });
+  });
+
+  describe('_scoreCandidate()', () => {
+    it('scores API files higher than other files', () => {
+      const search = new ApiSearch('test');
+      const api = search._scoreCandidate({ path: 'a.raml', type: 'RAML 1.0', confidence: 'high', size: 1, score: 0 });
+      const other = search._scoreCandidate({ path: 'b.raml', size: 1, score: 0 });
+      assert.isAbove(api, other);
+    });
+
+    it('scores files closer to the root higher', () => {
+      const search = new ApiSearch('test');
+      const root = search._scoreCandidate({ path: 'a.raml', type: 'RAML 1.0', size: 1, score: 0 });
+      const nested = search._scoreCandidate({ path: path.join('a', 'b.raml'), type: 'RAML 1.0', size: 1, score: 0 });
+      assert.isAbove(root, nested);
+    });
+  });
+
+  describe('readAssetMetadata()', () => {
+    it('reads the asset metadata from the exchange.json file', async () => {
+      const search = new ApiSearch(path.join('test', 'exchange-asset'));
+      const result = await search.readAssetMetadata();
+      assert.deepEqual(result, {
+        groupId: '8a8a8a8a-1b2c-3d4e-5f6a-7b8c9d0e1f2a',
+        assetId: 'exchange-asset-api',
+        version: '1.0.2',
+        name: 'Exchange asset API',
+        classifier: 'raml',
+        apiVersion: 'v1',
+      });
+    });
+
+    it('returns undefined when no manifest', async () => {
+      const search = new ApiSearch(path.join('test', 'multiple-entry-points'));
+      const result = await search.readAssetMetadata();
+      assert.isUndefined(result);
+    });
+  });
+
+  describe('_readApiType()', () => {
+    it('reads RAML type from the header', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'single-file-api.raml'));
+      assert.equal(result.type, 'RAML 1.0', 'has the type');
+      assert.equal(result.contentType, 'application/raml', 'has the content type');
+      assert.equal(result.confidence, 'high', 'has the confidence');
+    });
+
+    it('reads the RAML fragment kind', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'raml-fragments', 'library.raml'));
+      assert.equal(result.type, 'RAML 1.0', 'has the type');
+      assert.equal(result.fragment, 'Library', 'has the fragment');
+    });
+
+    it('has no fragment kind for API documents', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'raml-fragments', 'main-api.raml'));
+      assert.isUndefined(result.fragment);
+    });
+
+    it('reads OAS 2.0 JSON type', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'oas-2.0-json', 'my-api.json'));
+      assert.equal(result.type, 'OAS 2.0', 'has the type');
+      assert.equal(result.contentType, 'application/json', 'has the content type');
+      assert.equal(result.confidence, 'high', 'has the confidence');
+    });
+
+    it('reads the JSON version defined after other keys', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'oas-late-version', 'my-api.json'));
+      assert.equal(result.type, 'OAS 2.0', 'has the type');
+      assert.equal(result.confidence, 'high', 'has the confidence');
+    });
+
+    it('reads the YAML version defined after other keys', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'oas-late-version', 'my-api.yaml'));
+      assert.equal(result.type, 'OAS 3.0', 'has the type');
+      assert.equal(result.contentType, 'application/yaml', 'has the content type');
+      assert.equal(result.confidence, 'high', 'has the confidence');
+    });
+
+    it('reads AsyncAPI type', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'asyncapi-20-yaml', 'my-api.yaml'));
+      assert.equal(result.type, 'ASYNC 2.0', 'has the type');
+      assert.equal(result.confidence, 'high', 'has the confidence');
+    });
+
+    it('reads JSON schema type', async () => {
+      const search = new ApiSearch('test');
+      const result = await search._readApiType(path.join('test', 'json-schema', 'user.json'));
+      assert.equal(result.type, 'JSON Schema', 'has the type');
+      assert.equal(result.contentType, 'application/schema+json', 'has the content type');
+    });
+
+    it('scans only the beginning of files larger than maxScanSize', async () => {
+      const search = new ApiSearch('test', { maxScanSize: 400 });
+      const result = await search._readApiType(path.join('test', 'oas-30-json', 'my-api.json'));
+      assert.equal(result.type, 'OAS 3.0', 'has the type');
+      assert.equal(result.confidence, 'medium', 'has the confidence');
+    });
+
+    it('throws when the version is not in the scanned part of a large file', async () => {
+      const search = new ApiSearch('test', { maxScanSize: 200 });
+      let error;
+      try {
+        await search._readApiType(path.join('test', 'oas-late-version', 'my-api.json'));
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+
+    it('fails for the late version in the header detection mode', async () => {
+      const search = new ApiSearch('test', { detectionMode: 'header' });
+      let error;
+      try {
+        await search._readApiType(path.join('test', 'oas-late-version', 'my-api.json'));
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error);
+    });
+
+    it('reads the type in the header detection mode', async () => {
+      const search = new ApiSearch('test', { detectionMode: 'header' });
+      const result = await search._readApiType(path.join('test', 'oas-2.0-json', 'my-api.json'));
+      assert.equal(result.type, 'OAS 2.0', 'has the type');
+      assert.equal(result.confidence, 'medium', 'has the confidence');
+    });
+  });
+});
@@ -0,0 +1,289 @@
+const { ElectronAmfService, ArchiveSecurityError, EntryPointNotFoundError } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const zlib = require('zlib');
+const os = require('os');
+const fs = require('fs-extra');
+const { trackTempFiles, existingFiles } = require('./helpers.js');
+
+describe('Archive security', () => {
+  const api = Buffer.from('#%RAML 1.0\ntitle: Archive security\n');
+
+  /**
+   * @param {Buffer} data
+   * @return {number} The CRC-32 checksum of the data.
+   */
+  function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+      crc ^= byte;
+      for (let i = 0; i < 8; i++) {
+        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Creates a zip archive with deflated entries.
+   * @param {any[]} entries The list of `{ name, data, mode, size }` entries. The `size` overrides the declared size.
+   * @return {Buffer}
+   */
+  function createZip(entries) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+    entries.forEach(({ name, data, mode = 0o100644, size }) => {
+      const fileName = Buffer.from(name);
+      const compressed = zlib.deflateRawSync(data);
+      const crc = crc32(data);
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(8, 8);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(compressed.length, 18);
+      header.writeUInt32LE(size === undefined ? data.length : size, 22);
+      header.writeUInt16LE(fileName.length, 26);
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE((3 << 8) | 20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt32LE(crc, 16);
+      record.writeUInt32LE(compressed.length, 20);
+      record.writeUInt32LE(size === undefined ? data.length : size, 24);
+      record.writeUInt16LE(fileName.length, 28);
+      record.writeUInt32LE((mode << 16) >>> 0, 38);
+      record.writeUInt32LE(offset, 42);
+      local.push(header, fileName, compressed);
+      central.push(record, fileName);
+      offset += header.length + fileName.length + compressed.length;
+    });
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...local, directory, end]);
+  }
+
+  /**
+   * Creates a tar archive.
+   * @param {any[]} entries The list of `{ name, data, type, linkPath }` entries.
+   * @return {Buffer}
+   */
+  function createTar(entries) {
+    const blocks = [];
+    entries.forEach(({ name, data = Buffer.alloc(0), type = '0', linkPath = '' }) => {
+      const header = Buffer.alloc(512);
+      header.write(name, 0, 100);
+      header.write('0000644\0', 100);
+      header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+      header.write('        ', 148);
+      header.write(type, 156);
+      header.write(linkPath, 157, 100);
+      header.write('ustar\x0000', 257);
+      const checksum = header.reduce((sum, byte) => sum + byte, 0);
+      header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+      blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    });
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+  }
+
+  /** @type ElectronAmfService */
+  let service;
+  beforeEach(() => {
+    service = new ElectronAmfService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  /**
+   * @param {Buffer} buffer
+   * @param {any=} opts
+   * @return {Promise<any>} The error the processing was rejected with.
+   */
+  async function processError(buffer, opts) {
+    try {
+      await service.processBuffer(buffer, opts);
+    } catch (e) {
+      return e;
+    }
+    return undefined;
+  }
+
+  describe('Path traversal', () => {
+    const name = `amf-service-zip-slip-${process.pid}.raml`;
+    const outside = path.join(os.tmpdir(), name);
+
+    afterEach(async () => {
+      await fs.remove(outside);
+    });
+
+    it('rejects a zip entry outside the extraction directory', async () => {
+      const buffer = createZip([
+        { name: 'api.raml', data: api },
+        { name: `../${name}`, data: api },
+      ]);
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'path-traversal');
+      assert.equal(error.entry, `../${name}`);
+      const exists = await fs.pathExists(outside);
+      assert.isFalse(exists, 'the file is not written');
+    });
+
+    it('rejects a zip entry with an absolute path', async () => {
+      const buffer = createZip([
+        { name: 'api.raml', data: api },
+        { name: outside, data: api },
+      ]);
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'path-traversal');
+      const exists = await fs.pathExists(outside);
+      assert.isFalse(exists, 'the file is not written');
+    });
+
+    it('rejects a tar entry outside the extraction directory', async () => {
+      const buffer = createTar([
+        { name: 'api.raml', data: api },
+        { name: `../${name}`, data: api },
+      ]);
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'path-traversal');
+      const exists = await fs.pathExists(outside);
+      assert.isFalse(exists, 'the file is not written');
+    });
+
+    it('removes the temporary files', async () => {
+      const locations = trackTempFiles(service);
+      await processError(createZip([{ name: `../${name}`, data: api }]));
+      assert.lengthOf(locations, 1, 'creates the temporary directory');
+      assert.deepEqual(await existingFiles(locations), []);
+    });
+  });
+
+  describe('Empty archives', () => {
+    it('rejects the empty zip archive', async () => {
+      const error = await processError(createZip([]));
+      assert.instanceOf(error, EntryPointNotFoundError);
+    });
+
+    it('rejects the tar archive with an empty folder', async () => {
+      const error = await processError(createTar([{ name: 'api/', type: '5' }]), { packaging: 'tar' });
+      assert.instanceOf(error, EntryPointNotFoundError);
+    });
+  });
+
+  describe('Links', () => {
+    it('rejects a zip symbolic link', async () => {
+      const buffer = createZip([
+        { name: 'link.raml', data: Buffer.from('/etc/passwd'), mode: 0o120777 },
+        { name: 'api.raml', data: api },
+      ]);
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'link');
+      assert.equal(error.entry, 'link.raml');
+    });
+
+    it('rejects a tar symbolic link', async () => {
+      const buffer = createTar([
+        { name: 'link.raml', type: '2', linkPath: '/etc/passwd' },
+        { name: 'api.raml', data: api },
+      ]);
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'link');
+      assert.equal(error.entry, 'link.raml');
+    });
+
+    it('rejects a tar hard link', async () => {
+      const buffer = createTar([
+        { name: 'api.raml', data: api },
+        { name: 'link.raml', type: '1', linkPath: 'api.raml' },
+      ]);
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'link');
+    });
+  });
+
+  describe('Limits', () => {
+    // A RAML file that compresses well.
+    const large = Buffer.concat([api, Buffer.from('\n'.repeat(200000))]);
+
+    it('rejects when the compression ratio exceeds the default limit', async () => {
+      const error = await processError(createZip([{ name: 'api.raml', data: large }]));
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'ratio');
+    });
+
+    it('processes the archive when the ratio limit is disabled', async () => {
+      const result = await service.processBuffer(createZip([{ name: 'api.raml', data: large }]), {
+        archiveLimits: { maxRatio: 0 },
+      });
+      assert.include(result.model, 'Archive security');
+    });
+
+    it('rejects when the number of entries exceeds the limit', async () => {
+      const buffer = createZip([
+        { name: 'api.raml', data: api },
+        { name: 'a.raml', data: api },
+        { name: 'b.raml', data: api },
+      ]);
+      const error = await processError(buffer, { archiveLimits: { maxEntries: 2 } });
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'entries');
+    });
+
+    it('rejects when the uncompressed size exceeds the limit', async () => {
+      const buffer = createZip([{ name: 'api.raml', data: large }]);
+      const error = await processError(buffer, { archiveLimits: { maxSize: 100000, maxRatio: 0 } });
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'size');
+    });
+
+    it('rejects a zip entry larger than declared', async () => {
+      const buffer = createZip([{ name: 'api.raml', data: large, size: api.length }]);
+      const error = await processError(buffer, { archiveLimits: { maxRatio: 0 } });
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'size');
+      assert.equal(error.entry, 'api.raml');
+    });
+
+    it('rejects when the tar size exceeds the limit', async () => {
+      const buffer = createTar([{ name: 'api.raml', data: large }]);
+      const error = await processError(buffer, { archiveLimits: { maxSize: 100000 } });
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'size');
+    });
+
+    it('stops decompressing the gzip data at the limit', async () => {
+      const buffer = zlib.gzipSync(createTar([{ name: 'api.raml', data: large }]));
+      const error = await processError(buffer, { archiveLimits: { maxSize: 1000, maxEntries: 1, maxRatio: 0 } });
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'size');
+    });
+
+    it('rejects the tar.gz archive when the ratio exceeds the limit', async () => {
+      const buffer = zlib.gzipSync(createTar([{ name: 'api.raml', data: large }]));
+      const error = await processError(buffer);
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'ratio');
+    });
+
+    it('processes the archives in the limits', async () => {
+      const result = await service.processBuffer(createTar([{ name: 'api.raml', data: api }]));
+      assert.include(result.model, 'Archive security');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { ElectronAmfService, DownloadFailedError, TimeoutError } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+const { startServer, stopServer } = require('./helpers.js');
+
+describe('Downloads', () => {
+  /** @type import('http').Server */
+  let server;
+  let baseUri;
+  let api;
+  before(async () => {
+    api = await fs.readFile(path.join('test', 'single-file-api.raml'));
+    ({ server, baseUri } = await startServer((req, res) => {
+      switch (req.url) {
+        case '/auth':
+          if (req.headers.authorization !== 'Bearer test-token') {
+            res.writeHead(401);
+            res.end();
+            return;
+          }
+          res.end(api);
+          break;
+        case '/redirect':
+          res.writeHead(302, { location: '/file' });
+          res.end();
+          break;
+        case '/file': res.end(api); break;
+        case '/slow': setTimeout(() => res.end(api), 2000); break;
+        default:
+          res.writeHead(404);
+          res.end();
+      }
+    }));
+  });
+
+  after(async () => {
+    await stopServer(server);
+  });
+
+  /** @type ElectronAmfService */
+  let service;
+  beforeEach(() => {
+    service = new ElectronAmfService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('headers', () => {
+    it('sends the request headers', async () => {
+      const result = await service.processApiLink(`${baseUri}/auth`, undefined, undefined, undefined, {
+        request: {
+          headers: { authorization: 'Bearer test-token' },
+        },
+      });
+      assert.typeOf(result.model, 'string');
+    });
+
+    it('rejects with the status when not authorized', async () => {
+      let error;
+      try {
+        await service.processApiLink(`${baseUri}/auth`);
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, DownloadFailedError);
+      assert.equal(error.status, 401);
+    });
+  });
+
+  describe('redirect', () => {
+    it('follows redirects by default', async () => {
+      const buffer = await service.downloadRamlData(`${baseUri}/redirect`);
+      assert.equal(buffer.toString(), api.toString());
+    });
+
+    it('rejects when the redirect policy is "error"', async () => {
+      let error;
+      try {
+        await service.downloadRamlData(`${baseUri}/redirect`, { redirect: 'error' });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, DownloadFailedError);
+    });
+  });
+
+  describe('timeout', () => {
+    it('rejects with the TimeoutError', async () => {
+      let error;
+      try {
+        await service.processApiLink(`${baseUri}/slow`, undefined, undefined, undefined, {
+          request: {
+            timeout: 100,
+          },
+        });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, TimeoutError);
+      assert.equal(error.stage, 'download');
+      assert.deepEqual(service.jobs, [], 'removes the job');
+    });
+
+    it('downloads the file in the timeout', async () => {
+      const buffer = await service.downloadRamlData(`${baseUri}/file`, { timeout: 5000 });
+      assert.equal(buffer.toString(), api.toString());
+    });
+  });
+
+  describe('fetch option', () => {
+    it('downloads the asset with the fetch function', async () => {
+      const calls = [];
+      await service.cleanup();
+      service = new ElectronAmfService({
+        fetch: (url, init) => {
+          calls.push([url, init]);
+          return fetch(url, init);
+        },
+      });
+      await service.downloadRamlData(`${baseUri}/file`, {
+        credentials: 'include',
+        headers: { 'x-test': 'true' },
+      });
+      assert.lengthOf(calls, 1, 'calls the function');
+      const [url, init] = calls[0];
+      assert.equal(url, `${baseUri}/file`);
+      assert.equal(init.credentials, 'include');
+      assert.deepEqual(init.headers, { 'x-test': 'true' });
+    });
+  });
+});
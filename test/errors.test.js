@@ -0,0 +1,215 @@
+const {
+  ElectronAmfService,
+  ErrorCodes,
+  AmfServiceError,
+  NotPreparedError,
+  EntryPointNotFoundError,
+  UnsupportedFormatError,
+  ParseFailedError,
+  TimeoutError,
+  IntegrityFailedError,
+  DownloadFailedError,
+  ArchiveSecurityError,
+  UnresolvedReferenceError,
+  InvalidOptionError,
+  FileReadFailedError,
+  WorkerCrashedError,
+  AbortError,
+} = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+const esmRequire = require('esm')(module);
+const { rejection, startServer, stopServer } = require('./helpers.js');
+
+const { AmfService } = esmRequire('../lib/AmfService.js');
+const { WorkerPool } = esmRequire('../lib/WorkerPool.js');
+
+describe('Errors', () => {
+  describe('Error classes', () => {
+    /** @type any[][] */ ([
+      [NotPreparedError, ErrorCodes.notPrepared, ['test']],
+      [EntryPointNotFoundError, ErrorCodes.entryPointNotFound, ['test']],
+      [UnsupportedFormatError, ErrorCodes.unsupportedFormat, ['test']],
+      [ParseFailedError, ErrorCodes.parseFailed, ['test']],
+      [TimeoutError, ErrorCodes.timeout, ['parse', 10]],
+      [IntegrityFailedError, ErrorCodes.integrityFailed, []],
+      [DownloadFailedError, ErrorCodes.downloadFailed, ['test', 404]],
+      [ArchiveSecurityError, ErrorCodes.unsafeArchive, ['test', 'link', 'link.raml']],
+      [UnresolvedReferenceError, ErrorCodes.unresolvedReference, ['test', []]],
+      [InvalidOptionError, ErrorCodes.invalidOption, ['test', 'jobId']],
+      [FileReadFailedError, ErrorCodes.fileReadFailed, []],
+      [WorkerCrashedError, ErrorCodes.workerCrashed, ['test', 1]],
+      [AbortError, ErrorCodes.cancelled, []],
+    ]).forEach(([ErrorClass, code, args]) => {
+      it(`${ErrorClass.name} has the ${code} code`, () => {
+        const error = new ErrorClass(...args);
+        assert.instanceOf(error, AmfServiceError);
+        assert.instanceOf(error, Error);
+        assert.equal(error.code, code);
+        assert.equal(error.name, ErrorClass.name);
+      });
+    });
+  });
+
+  describe('AmfService', () => {
+    /** @type WorkerPool */
+    let pool;
+    before(() => {
+      pool = AmfService.createParserPool();
+    });
+
+    after(async () => {
+      await pool.terminate();
+    });
+
+    it('throws NotPreparedError when resolving before prepare()', async () => {
+      const service = new AmfService(pool);
+      service.setSource(path.join('test', 'single-file-api.raml'));
+      const error = await rejection(service.resolve());
+      assert.instanceOf(error, NotPreparedError);
+      assert.equal(error.code, 'NOT_PREPARED');
+    });
+
+    it('throws NotPreparedError when parsing before resolve()', async () => {
+      const service = new AmfService(pool);
+      service.setSource(path.resolve('test', 'multiple-entry-points'));
+      await service.prepare();
+      const error = await rejection(service.parse());
+      assert.instanceOf(error, NotPreparedError);
+    });
+
+    it('throws EntryPointNotFoundError when the main file does not exist', async () => {
+      const service = new AmfService(pool);
+      service.setSource(path.resolve('test', 'multiple-entry-points'));
+      await service.prepare();
+      const error = await rejection(service.resolve('missing.raml'));
+      assert.instanceOf(error, EntryPointNotFoundError);
+      assert.equal(error.code, 'ENTRY_POINT_NOT_FOUND');
+    });
+
+    it('removes the temporary files when the main file does not exist', async () => {
+      const service = new AmfService(pool);
+      const data = await fs.readFile(path.join('test', 'multiple-entry-points.zip'));
+      service.setSource(data);
+      await service.prepare();
+      const location = service.tmpObj.path;
+      const error = await rejection(service.resolve('nope.raml'));
+      assert.instanceOf(error, EntryPointNotFoundError);
+      assert.isFalse(await fs.pathExists(location), 'removes the temporary directory');
+    });
+  });
+
+  describe('ElectronAmfService', () => {
+    /** @type ElectronAmfService */
+    let service;
+    beforeEach(() => {
+      service = new ElectronAmfService();
+    });
+
+    afterEach(async () => {
+      await service.cleanup();
+    });
+
+    it('throws UnsupportedFormatError when the file is not an API', async () => {
+      const error = await rejection(service.processBuffer(Buffer.from('Not an API.')));
+      assert.instanceOf(error, UnsupportedFormatError);
+      assert.equal(error.code, 'UNSUPPORTED_FORMAT');
+    });
+
+    it('throws ParseFailedError when the API does not pass the validation gate', async () => {
+      const data = await fs.readFile(path.join('test', 'invalid-api.raml'));
+      const error = await rejection(service.processBuffer(data, { failOnSeverity: 'Violation' }));
+      assert.instanceOf(error, ParseFailedError);
+      assert.equal(error.code, 'PARSE_FAILED');
+      assert.typeOf(error.details, 'string', 'has the AMF message');
+      assert.typeOf(error.location, 'object', 'has the location');
+      assert.isFalse(path.isAbsolute(error.location.file), 'the location is relative');
+      assert.typeOf(error.location.line, 'number', 'has the line');
+      assert.typeOf(error.validation, 'object', 'has the report');
+    });
+
+    it('throws TimeoutError when parsing takes too long', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const error = await rejection(service.processBuffer(data, { timeout: 1 }));
+      assert.instanceOf(error, TimeoutError);
+      assert.equal(error.code, 'TIMEOUT');
+    });
+
+    it('throws IntegrityFailedError when the checksum does not match', () => {
+      assert.throws(() => {
+        service._checkIntegrity(Buffer.from('test'), 'invalid');
+      }, IntegrityFailedError);
+    });
+
+    describe('downloads', () => {
+      /** @type import('http').Server */
+      let server;
+      let baseUri;
+      before(async () => {
+        ({ server, baseUri } = await startServer((req, res) => {
+          res.writeHead(404);
+          res.end('Not found');
+        }));
+      });
+
+      after(async () => {
+        await stopServer(server);
+      });
+
+      it('throws DownloadFailedError with the status code', async () => {
+        const error = await rejection(service.downloadRamlData(`${baseUri}/api.zip`));
+        assert.instanceOf(error, DownloadFailedError);
+        assert.equal(error.code, 'DOWNLOAD_FAILED');
+        assert.equal(error.status, 404);
+      });
+
+      it('throws DownloadFailedError when the request fails', async () => {
+        const error = await rejection(service.downloadRamlData('http://localhost:1/api.zip'));
+        assert.instanceOf(error, DownloadFailedError);
+        assert.isUndefined(error.status);
+      });
+    });
+  });
+
+  describe('WorkerPool', () => {
+    /** @type WorkerPool */
+    let pool;
+    beforeEach(() => {
+      pool = new WorkerPool(path.join(__dirname, 'worker', 'test-worker.js'));
+    });
+
+    afterEach(async () => {
+      await pool.terminate();
+    });
+
+    it('creates the error class from the serialized error', async () => {
+      const value = { code: 'PARSE_FAILED', message: 'test', details: 'AMF error', location: { file: 'api.raml' } };
+      const error = await rejection(pool.run({ action: 'error', value }));
+      assert.instanceOf(error, ParseFailedError);
+      assert.equal(error.message, 'test');
+      assert.equal(error.details, 'AMF error');
+      assert.deepEqual(error.location, { file: 'api.raml' });
+    });
+
+    it('throws WorkerCrashedError when the worker exits', async () => {
+      const error = await rejection(pool.run({ action: 'crash' }));
+      assert.instanceOf(error, WorkerCrashedError);
+      assert.equal(error.code, 'WORKER_CRASHED');
+      assert.typeOf(error.exitCode, 'number', 'has the exit code');
+    });
+
+    it('throws AbortError when the pool is terminated', async () => {
+      const job = rejection(pool.run({ action: 'hang' }));
+      await pool.terminate();
+      const error = await job;
+      assert.instanceOf(error, AbortError);
+    });
+
+    it('creates the Error from the error message', async () => {
+      const error = await rejection(pool.run({ action: 'error', value: 'test' }));
+      assert.notInstanceOf(error, AmfServiceError);
+      assert.equal(error.message, 'test');
+    });
+  });
+});
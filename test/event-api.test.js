@@ -0,0 +1,127 @@
+const { ElectronAmfService, EventTypes } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+
+describe('Events API', () => {
+  /**
+   * @param {string} type
+   * @param {any} detail
+   * @return {CustomEvent}
+   */
+  function dispatch(type, detail) {
+    const e = new CustomEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      detail,
+    });
+    document.body.dispatchEvent(e);
+    return e;
+  }
+
+  describe('listen()', () => {
+    let service;
+    beforeEach(() => {
+      service = new ElectronAmfService();
+      service.listen(document.body);
+    });
+
+    afterEach(async () => {
+      service.unlisten();
+      await service.cleanup();
+    });
+
+    it('handles the api-process-file event', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const e = dispatch(EventTypes.processFile, { file: data });
+      assert.isTrue(e.defaultPrevented, 'the event is cancelled');
+      const result = await e.detail.result;
+      assert.typeOf(result.model, 'string', 'returns the model');
+      assert.equal(result.type.type, 'RAML 1.0', 'returns the type');
+    });
+
+    it('handles the api-resolve-model event', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const info = await service.processBuffer(data);
+      const e = dispatch(EventTypes.resolveModel, { model: info.model, type: info.type.type });
+      assert.isTrue(e.defaultPrevented, 'the event is cancelled');
+      const result = await e.detail.result;
+      assert.typeOf(result, 'string', 'returns the resolved model');
+    });
+
+    it('dispatches the process-error event when api-process-link fails', async () => {
+      service.downloadRamlData = async () => {
+        throw new Error('test error');
+      };
+      const errorEvent = new Promise((resolve) => {
+        document.body.addEventListener(EventTypes.processError, resolve, { once: true });
+      });
+      const e = dispatch(EventTypes.processLink, { url: 'https://domain.com/api.zip' });
+      assert.isTrue(e.defaultPrevented, 'the event is cancelled');
+      try {
+        await e.detail.result;
+      } catch (_) {
+        // ...
+      }
+      const ev = /** @type CustomEvent */ (await errorEvent);
+      assert.equal(ev.detail.message, 'test error', 'has the message');
+      assert.equal(ev.detail.source, 'amf-service', 'has the source');
+    });
+
+    it('dispatches the api-data-ready event when api-process-link finishes', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.zip'));
+      service.downloadRamlData = async () => data;
+      const readyEvent = new Promise((resolve) => {
+        document.body.addEventListener(EventTypes.dataReady, resolve, { once: true });
+      });
+      dispatch(EventTypes.processLink, { url: 'https://domain.com/api.zip' });
+      const ev = /** @type CustomEvent */ (await readyEvent);
+      assert.typeOf(ev.detail.api, 'string', 'has the model');
+      assert.typeOf(ev.detail.type, 'object', 'has the type');
+    });
+  });
+
+  describe('unlisten()', () => {
+    it('removes the listeners', () => {
+      const service = new ElectronAmfService();
+      service.listen(document.body);
+      service.unlisten();
+      const e = dispatch(EventTypes.processFile, { file: Buffer.from('') });
+      assert.isFalse(e.defaultPrevented);
+    });
+  });
+
+  describe('notifyApiCandidates()', () => {
+    it('returns the result of the api-select-entrypoint event', async () => {
+      const service = new ElectronAmfService();
+      const handler = (e) => {
+        e.preventDefault();
+        e.detail.result = Promise.resolve(e.detail.candidates[1]);
+      };
+      document.body.addEventListener(EventTypes.selectEntrypoint, handler);
+      const result = await service.notifyApiCandidates([
+        { path: 'a.raml', size: 1, score: 1 },
+        { path: 'b.raml', size: 1, score: 0 },
+      ]);
+      document.body.removeEventListener(EventTypes.selectEntrypoint, handler);
+      assert.equal(result, 'b.raml');
+    });
+
+    it('has the candidates metadata on the event', async () => {
+      const service = new ElectronAmfService();
+      const candidates = [{ path: 'a.raml', type: 'RAML 1.0', size: 1, score: 1 }];
+      /** @type any */
+      let detail;
+      const handler = (e) => {
+        e.preventDefault();
+        detail = e.detail;
+        e.detail.result = Promise.resolve();
+      };
+      document.body.addEventListener(EventTypes.selectEntrypoint, handler);
+      await service.notifyApiCandidates(candidates);
+      document.body.removeEventListener(EventTypes.selectEntrypoint, handler);
+      assert.deepEqual(detail.candidates, ['a.raml'], 'has the paths');
+      assert.deepEqual(detail.entryPoints, candidates, 'has the metadata');
+    });
+  });
+});
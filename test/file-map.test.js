@@ -0,0 +1,96 @@
+const { ElectronAmfService, ArchiveSecurityError, UnsupportedFormatError } = require('../');
+const { assert } = require('chai');
+const { rejection, trackTempFiles, existingFiles } = require('./helpers.js');
+
+describe('File map sources', () => {
+  const files = {
+    'api.raml': '#%RAML 1.0\ntitle: File map\nuses:\n  lib: types/user.raml\n/users:\n  get:\n    responses:\n      200:\n        body:\n          application/json:\n            type: lib.User\n',
+    'types/user.raml': '#%RAML 1.0 Library\ntypes:\n  User:\n    properties:\n      fileMapProperty: string\n',
+  };
+
+  const oas = 'openapi: "3.0.0"\ninfo:\n  title: String API\n  version: "1.0"\npaths: {}\n';
+
+  /** @type ElectronAmfService */
+  let service;
+  beforeEach(() => {
+    service = new ElectronAmfService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('processApiFiles()', () => {
+    it('parses the API with the main file', async () => {
+      const result = await service.processApiFiles(files, { mainFile: 'api.raml', validate: true });
+      assert.isTrue(result.validation.conforms, 'the library is resolved');
+      assert.include(result.model, 'fileMapProperty');
+    });
+
+    it('finds the main file', async () => {
+      const result = await service.processApiFiles(files);
+      assert.equal(result.type.type, 'RAML 1.0');
+      assert.equal(result.kind, 'Document');
+    });
+
+    it('parses the files in memory', async () => {
+      const locations = trackTempFiles(service);
+      const result = await service.processApiFiles(files, {
+        mainFile: 'api.raml',
+        inMemory: true,
+      });
+      assert.include(result.model, 'fileMapProperty');
+      assert.deepEqual(locations, [], 'does not create the temporary files');
+    });
+
+    it('accepts the buffer contents', async () => {
+      const result = await service.processApiFiles({ 'api.raml': Buffer.from(files['api.raml']), 'types/user.raml': files['types/user.raml'] }, {
+        mainFile: 'api.raml',
+      });
+      assert.include(result.model, 'fileMapProperty');
+    });
+
+    it('removes the temporary files', async () => {
+      const locations = trackTempFiles(service);
+      await service.processApiFiles(files, { mainFile: 'api.raml' });
+      assert.lengthOf(locations, 1, 'creates the temporary directory');
+      assert.deepEqual(await existingFiles(locations), []);
+    });
+
+    it('rejects a file outside the working directory', async () => {
+      const locations = trackTempFiles(service);
+      const error = await rejection(service.processApiFiles({ ...files, '../other.raml': '#%RAML 1.0' }));
+      assert.instanceOf(error, ArchiveSecurityError);
+      assert.equal(error.reason, 'path-traversal');
+      assert.deepEqual(await existingFiles(locations), [], 'removes the temporary files');
+    });
+  });
+
+  describe('processApiString()', () => {
+    it('parses the YAML spec with the declared type', async () => {
+      const result = await service.processApiString(oas, 'OAS 3.0');
+      assert.equal(result.type.type, 'OAS 3.0');
+      assert.equal(result.type.contentType, 'application/yaml');
+      assert.include(result.model, 'String API');
+    });
+
+    it('parses the JSON spec with the declared type', async () => {
+      const api = JSON.stringify({ swagger: '2.0', info: { title: 'JSON String API', version: '1.0' }, paths: {} });
+      const result = await service.processApiString(api, 'OAS 2.0', { inMemory: true });
+      assert.equal(result.type.contentType, 'application/json');
+      assert.include(result.model, 'JSON String API');
+    });
+
+    it('reports the validation locations with the main file name', async () => {
+      const api = '#%RAML 1.0\ntitle: String API\n/users:\n  get:\n    responses:\n      200:\n        body:\n          application/json:\n            type: Unknown\n';
+      const result = await service.processApiString(api, 'RAML 1.0', { mainFile: 'editor.raml', validate: true });
+      assert.isFalse(result.validation.conforms);
+      assert.equal(result.validation.results[0].location.file, 'editor.raml');
+    });
+
+    it('rejects an unsupported type', async () => {
+      const error = await rejection(service.processApiString(oas, 'OAS 4.0'));
+      assert.instanceOf(error, UnsupportedFormatError);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const http = require('http');
+const fs = require('fs-extra');
+
+/** @typedef {{ server: http.Server, baseUri: string }} TestServer */
+
+/**
+ * @param {Promise<any>} promise
+ * @return {Promise<any>} The error the promise was rejected with.
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  return undefined;
+}
+
+/**
+ * Starts the HTTP server on a random port.
+ * @param {http.RequestListener} handler The request handler.
+ * @return {Promise<TestServer>} The server and its base URI.
+ */
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, () => resolve()));
+  const { port } = /** @type any */ (server.address());
+  return { server, baseUri: `http://localhost:${port}` };
+}
+
+/**
+ * Closes the server and the connections waiting for a response.
+ * @param {http.Server} server
+ * @return {Promise<void>}
+ */
+async function stopServer(server) {
+  // The function is missing in the Node typings of the repository.
+  /** @type any */ (server).closeAllConnections();
+  await new Promise((resolve) => server.close(() => resolve()));
+}
+
+/**
+ * Records the locations of the temporary files and directories created by the processing jobs of the service.
+ * @param {any} service The `ElectronAmfService` instance.
+ * @return {string[]} The list filled with the locations when the jobs create them.
+ */
+function trackTempFiles(service) {
+  const locations = [];
+  const createJob = service._createJob.bind(service);
+  service._createJob = (id) => {
+    const job = createJob(id);
+    let tmpObj;
+    Object.defineProperty(job, 'tmpObj', {
+      get: () => tmpObj,
+      set: (value) => {
+        tmpObj = value;
+        if (value) {
+          locations.push(value.path);
+        }
+      },
+    });
+    return job;
+  };
+  return locations;
+}
+
+/**
+ * @param {string[]} locations The locations of the temporary files.
+ * @return {Promise<string[]>} The locations that still exist.
+ */
+async function existingFiles(locations) {
+  const exists = await Promise.all(locations.map((location) => fs.pathExists(location)));
+  return locations.filter((location, index) => exists[index]);
+}
+
+module.exports = {
+  rejection,
+  startServer,
+  stopServer,
+  trackTempFiles,
+  existingFiles,
+};
@@ -0,0 +1,123 @@
+const { ElectronAmfService, IntegrityFailedError } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const esmRequire = require('esm')(module);
+const { startServer, stopServer } = require('./helpers.js');
+
+const { parseIntegrity, matchIntegrity, Digests } = esmRequire('../lib/Integrity.js');
+
+describe('Integrity', () => {
+  let api;
+  let sha512;
+  let sha256;
+  let sha1;
+  let md5;
+  before(async () => {
+    api = await fs.readFile(path.join('test', 'single-file-api.raml'));
+    sha512 = crypto.createHash('sha512').update(api).digest('base64');
+    sha256 = crypto.createHash('sha256').update(api).digest('base64');
+    sha1 = crypto.createHash('sha1').update(api).digest('hex');
+    md5 = crypto.createHash('md5').update(api).digest('hex');
+  });
+
+  describe('parseIntegrity()', () => {
+    it('parses the SRI string', () => {
+      const result = parseIntegrity('sha256-abc= sha512-def');
+      assert.deepEqual(result, [
+        { algorithm: 'sha256', encoding: 'base64', value: 'abc' },
+        { algorithm: 'sha512', encoding: 'base64', value: 'def' },
+      ]);
+    });
+
+    it('recognizes the hex checksum by the length', () => {
+      assert.equal(parseIntegrity('a'.repeat(32))[0].algorithm, 'md5');
+      assert.equal(parseIntegrity('a'.repeat(40))[0].algorithm, 'sha1');
+      assert.equal(parseIntegrity('a'.repeat(64))[0].algorithm, 'sha256');
+    });
+  });
+
+  describe('matchIntegrity()', () => {
+    /**
+     * @param {Buffer} data
+     * @return {any}
+     */
+    function digestsOf(data) {
+      const digests = new Digests(['md5', 'sha1', 'sha256', 'sha512']);
+      digests.update(data);
+      return digests.digest();
+    }
+
+    it('matches the SRI string', () => {
+      assert.isTrue(matchIntegrity(digestsOf(api), `sha512-${sha512}`));
+    });
+
+    it('matches the checksums', () => {
+      assert.isTrue(matchIntegrity(digestsOf(api), sha1), 'sha1');
+      assert.isTrue(matchIntegrity(digestsOf(api), md5), 'md5');
+    });
+
+    it('tests only the strongest algorithm', () => {
+      assert.isFalse(matchIntegrity(digestsOf(api), `sha256-${sha256} sha512-invalid`));
+    });
+
+    it('matches any hash of the strongest algorithm', () => {
+      assert.isTrue(matchIntegrity(digestsOf(api), `sha512-invalid sha512-${sha512}`));
+    });
+  });
+
+  describe('processApiLink()', () => {
+    /** @type import('http').Server */
+    let server;
+    let baseUri;
+    before(async () => {
+      ({ server, baseUri } = await startServer((req, res) => {
+        res.end(api);
+      }));
+    });
+
+    after(async () => {
+      await stopServer(server);
+    });
+
+    /** @type ElectronAmfService */
+    let service;
+    beforeEach(() => {
+      service = new ElectronAmfService();
+    });
+
+    afterEach(async () => {
+      await service.cleanup();
+    });
+
+    it('returns the digests of the asset', async () => {
+      const result = await service.processApiLink(`${baseUri}/api.raml`, undefined, `sha512-${sha512}`);
+      assert.equal(result.digests.sha1, sha1);
+      assert.equal(result.digests.md5, md5);
+      assert.equal(result.digests.integrity, `sha512-${sha512}`);
+      assert.equal(result.digests.sha256, Buffer.from(sha256, 'base64').toString('hex'));
+    });
+
+    it('accepts the Exchange sha1 checksum', async () => {
+      const result = await service.processApiLink(`${baseUri}/api.raml`, undefined, sha1);
+      assert.typeOf(result.model, 'string');
+    });
+
+    it('rejects when the digest does not match', async () => {
+      let error;
+      try {
+        await service.processApiLink(`${baseUri}/api.raml`, undefined, `sha256-${sha512}`);
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, IntegrityFailedError);
+    });
+
+    it('computes the digests when the download is not streamed', async () => {
+      service.downloadRamlData = async () => api;
+      const result = await service.processApiLink(`${baseUri}/api.raml`, undefined, `sha256-${sha256}`);
+      assert.equal(result.digests.integrity, `sha512-${sha512}`);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { ElectronAmfService } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const esmRequire = require('esm')(module);
+const { trackTempFiles } = require('./helpers.js');
+
+const { MemoryFileSystem, memoryRoot } = esmRequire('../lib/MemoryFileSystem.js');
+
+describe('In-memory processing', () => {
+  describe('MemoryFileSystem', () => {
+    /** @type MemoryFileSystem */
+    let memory;
+    beforeEach(async () => {
+      memory = new MemoryFileSystem();
+      await memory.writeFile('api.raml', '#%RAML 1.0');
+      await memory.writeFile(path.join('types', 'person.raml'), '#%RAML 1.0 DataType');
+      await memory.ensureDir('empty');
+    });
+
+    it('uses the default root', () => {
+      assert.equal(memory.root, memoryRoot);
+    });
+
+    it('reads the file', async () => {
+      const content = await memory.readFile(path.join(memoryRoot, 'api.raml'), 'utf8');
+      assert.equal(content, '#%RAML 1.0');
+      const buffer = await memory.readFile('api.raml');
+      assert.instanceOf(buffer, Buffer);
+    });
+
+    it('rejects when the file does not exist', async () => {
+      let error;
+      try {
+        await memory.readFile('other.raml');
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.code, 'ENOENT');
+    });
+
+    it('lists the directory', async () => {
+      const names = await memory.readdir(memoryRoot);
+      assert.deepEqual(names, ['api.raml', 'empty', 'types']);
+      const items = await memory.readdir(memoryRoot, { withFileTypes: true });
+      assert.deepEqual(items.map((item) => item.isDirectory()), [false, true, true]);
+    });
+
+    it('reads the stats', async () => {
+      const file = await memory.stat('api.raml');
+      assert.isTrue(file.isFile());
+      assert.equal(file.size, 10);
+      const dir = await memory.stat('types');
+      assert.isTrue(dir.isDirectory());
+    });
+
+    it('tests whether the path exists', async () => {
+      assert.isTrue(await memory.pathExists('types'));
+      assert.isTrue(await memory.pathExists('empty'));
+      assert.isFalse(await memory.pathExists('other'));
+    });
+
+    it('copies the directory content', async () => {
+      await memory.copy('types', memoryRoot);
+      assert.isTrue(await memory.pathExists('person.raml'));
+      assert.isTrue(await memory.pathExists(path.join('types', 'person.raml')));
+    });
+
+    it('removes the directory', async () => {
+      await memory.remove('types');
+      assert.isFalse(await memory.pathExists('types'));
+      assert.equal(memory.size, 1);
+    });
+
+    it('updates the directory listing', async () => {
+      await memory.remove(path.join('types', 'person.raml'));
+      assert.deepEqual(await memory.readdir('types'), [], 'removes the file from the listing');
+      await memory.emptyDir(memoryRoot);
+      assert.deepEqual(await memory.readdir(memoryRoot), [], 'removes the directory content');
+      assert.isFalse(await memory.pathExists('types'), 'removes the directory');
+      await memory.writeFile(path.join('nested', 'api.raml'), '#%RAML 1.0');
+      assert.deepEqual(await memory.readdir(memoryRoot), ['nested'], 'adds the parent directory');
+      assert.deepEqual(await memory.readdir('nested'), ['api.raml'], 'adds the file');
+    });
+
+    it('reads the part of the file', async () => {
+      const fd = await memory.open('api.raml');
+      const buffer = Buffer.alloc(4);
+      const { bytesRead } = await memory.read(fd, buffer, 0, 4, 0);
+      await memory.close();
+      assert.equal(bytesRead, 4);
+      assert.equal(buffer.toString(), '#%RA');
+    });
+
+    it('writes the file with a stream', async () => {
+      const stream = memory.createWriteStream('stream.raml');
+      await new Promise((resolve) => stream.end(Buffer.from('test'), () => resolve()));
+      const content = await memory.readFile('stream.raml', 'utf8');
+      assert.equal(content, 'test');
+    });
+
+    it('serializes the files', () => {
+      const result = memory.toJSON();
+      assert.deepEqual(Object.keys(result), [
+        path.join(memoryRoot, 'api.raml'),
+        path.join(memoryRoot, 'types', 'person.raml'),
+      ]);
+    });
+  });
+
+  describe('ElectronAmfService', () => {
+    /** @type ElectronAmfService */
+    let service;
+    beforeEach(() => {
+      service = new ElectronAmfService();
+    });
+
+    afterEach(async () => {
+      await service.cleanup();
+    });
+
+    /**
+     * Processes the buffer in memory and lists the temporary files created by the job.
+     * @param {Buffer} buffer
+     * @param {any=} opts
+     * @return {Promise<any[]>} The result and the temporary files created by the job.
+     */
+    async function processInMemory(buffer, opts={}) {
+      const locations = trackTempFiles(service);
+      const result = await service.processBuffer(buffer, {
+        ...opts,
+        inMemory: true,
+      });
+      return [result, locations];
+    }
+
+    it('processes the zip file without the temporary files', async () => {
+      const buffer = await fs.readFile(path.join('test', 'multiple-entry-points.zip'));
+      const [result, files] = await processInMemory(buffer, { mainFile: 'other-api.raml' });
+      assert.include(result.model, 'https://api.domain.com/');
+      assert.deepEqual(files, []);
+    });
+
+    it('processes the tar.gz file', async () => {
+      const buffer = await fs.readFile(path.join('test', 'multiple-entry-points.tar.gz'));
+      const [result] = await processInMemory(buffer, { mainFile: 'main.raml' });
+      assert.include(result.model, 'https://main.api.domain.com/');
+    });
+
+    it('processes the API file without the temporary files', async () => {
+      const buffer = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const [result, files] = await processInMemory(buffer);
+      assert.equal(result.type.type, 'RAML 1.0');
+      assert.deepEqual(files, []);
+    });
+
+    it('resolves the references in the archive', async () => {
+      const buffer = await fs.readFile(path.join('test', 'nested-archives.zip'));
+      const [result] = await processInMemory(buffer, { expandNestedArchives: true, validate: true });
+      assert.isTrue(result.validation.conforms, 'the library is resolved');
+      assert.include(result.model, 'nestedLibraryProperty');
+    });
+
+    it('reports the locations relative to the archive', async () => {
+      const buffer = await fs.readFile(path.join('test', 'nested-archives.zip'));
+      const [result] = await processInMemory(buffer, { validate: true });
+      assert.isFalse(result.validation.conforms, 'the library is not resolved');
+      const [first] = result.validation.results;
+      assert.equal(first.location.file, 'api.raml');
+    });
+
+    it('uses a custom profile from the archive', async () => {
+      const buffer = await fs.readFile(path.join('test', 'validation-profile.zip'));
+      const [result] = await processInMemory(buffer, { validate: true, validationProfile: 'profile.yaml' });
+      assert.equal(result.validation.profile, 'Strict');
+    });
+
+    it('does not read the local files outside of the memory', async () => {
+      const file = path.join(os.tmpdir(), `amf-service-memory-${process.pid}.raml`);
+      await fs.writeFile(file, '#%RAML 1.0 DataType\ntype: object\nproperties:\n  diskOnlyProperty: string\n');
+      try {
+        const api = `#%RAML 1.0\ntitle: Memory\ntypes:\n  Disk: !include ${path.relative(memoryRoot, file)}\n`;
+        const [result] = await processInMemory(Buffer.from(api), { validate: true });
+        assert.notInclude(result.model, 'diskOnlyProperty');
+        assert.isFalse(result.validation.conforms);
+      } finally {
+        await fs.remove(file);
+      }
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const { ElectronAmfService, ModelCache, ArchiveSecurityError } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const esmRequire = require('esm')(module);
+const { startServer, stopServer } = require('./helpers.js');
+
+const { hashSource, createCacheKey } = esmRequire('../lib/ModelCache.js');
+
+describe('Model cache', () => {
+  const directory = path.join(os.tmpdir(), `amf-service-model-cache-${process.pid}`);
+
+  afterEach(async () => {
+    await fs.remove(directory);
+  });
+
+  describe('hashSource()', () => {
+    it('hashes the buffer and the string the same way', () => {
+      assert.equal(hashSource(Buffer.from('api')), hashSource('api'));
+    });
+
+    it('hashes the file map regardless of the order of the files', () => {
+      const first = hashSource({ 'api.raml': 'a', 'types.raml': 'b' });
+      const second = hashSource({ 'types.raml': 'b', 'api.raml': Buffer.from('a') });
+      assert.equal(first, second);
+    });
+
+    it('hashes the file paths', () => {
+      assert.notEqual(hashSource({ 'api.raml': 'a' }), hashSource({ 'main.raml': 'a' }));
+    });
+  });
+
+  describe('createCacheKey()', () => {
+    it('starts with the source hash', () => {
+      const key = createCacheKey('api', { validate: true });
+      assert.isTrue(key.startsWith(`${hashSource('api')}-`));
+    });
+
+    it('creates different keys for different options', () => {
+      assert.notEqual(createCacheKey('api', { validate: true }), createCacheKey('api', { validate: false }));
+    });
+  });
+
+  describe('ModelCache', () => {
+    it('stores the values in memory', async () => {
+      const cache = new ModelCache();
+      await cache.set('a', { model: 'test' });
+      assert.deepEqual(await cache.get('a'), { model: 'test' });
+      assert.isUndefined(await cache.get('b'));
+      assert.equal(cache.size, 16);
+    });
+
+    it('removes the least recently used entries', async () => {
+      const cache = new ModelCache({ maxSize: 20 });
+      await cache.set('a', 'aaaaaa');
+      await cache.set('b', 'bbbbbb');
+      await cache.get('a');
+      await cache.set('c', 'cccccc');
+      assert.deepEqual(await cache.keys(), ['a', 'c']);
+      assert.equal(cache.size, 16);
+    });
+
+    it('does not store the values larger than the limit', async () => {
+      const cache = new ModelCache({ maxSize: 4 });
+      await cache.set('a', 'aaaaaa');
+      assert.deepEqual(await cache.keys(), []);
+    });
+
+    it('replaces the value', async () => {
+      const cache = new ModelCache();
+      await cache.set('a', 'aaaaaa');
+      await cache.set('a', 'bb');
+      assert.equal(await cache.get('a'), 'bb');
+      assert.equal(cache.size, 4);
+    });
+
+    it('removes the entries', async () => {
+      const cache = new ModelCache({ directory });
+      await cache.set('a', 'aaaaaa');
+      await cache.set('b', 'bbbbbb');
+      await cache.delete('a');
+      assert.deepEqual(await cache.keys(), ['b']);
+      await cache.clear();
+      assert.deepEqual(await cache.keys(), []);
+      assert.deepEqual(await fs.readdir(directory), []);
+      assert.equal(cache.size, 0);
+    });
+
+    it('reads the entries stored in the directory', async () => {
+      const first = new ModelCache({ directory });
+      await first.set('a', { model: 'test' });
+      const second = new ModelCache({ directory });
+      assert.deepEqual(await second.get('a'), { model: 'test' });
+      assert.equal(second.size, 16);
+    });
+
+    it('restores the order of the stored entries', async () => {
+      const first = new ModelCache({ directory });
+      await first.set('a', 'aaaaaa');
+      await first.set('b', 'bbbbbb');
+      await fs.utimes(path.join(directory, 'a.json'), new Date(), new Date());
+      await fs.utimes(path.join(directory, 'b.json'), new Date(Date.now() - 60000), new Date(Date.now() - 60000));
+      const second = new ModelCache({ directory, maxSize: 10 });
+      assert.deepEqual(await second.keys(), ['a']);
+      assert.deepEqual(await fs.readdir(directory), ['a.json']);
+    });
+
+    it('removes the corrupted entry', async () => {
+      const cache = new ModelCache({ directory });
+      await cache.set('a', 'aaaaaa');
+      await fs.writeFile(path.join(directory, 'a.json'), '{');
+      assert.isUndefined(await cache.get('a'));
+      assert.deepEqual(await cache.keys(), []);
+    });
+  });
+
+  describe('ElectronAmfService', () => {
+    /** @type ElectronAmfService */
+    let service;
+    /** @type ModelCache */
+    let cache;
+    let buffer;
+    beforeEach(async () => {
+      buffer = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      cache = new ModelCache({ directory });
+      service = new ElectronAmfService({ cache });
+    });
+
+    afterEach(async () => {
+      await service.cleanup();
+    });
+
+    /**
+     * @param {any=} opts
+     * @return {Promise<any[]>} The result and the processing stages.
+     */
+    async function processBuffer(opts={}) {
+      const stages = [];
+      const result = await service.processBuffer(buffer, {
+        ...opts,
+        onProgress: (progress) => stages.push(progress.stage),
+      });
+      return [result, stages];
+    }
+
+    it('reads the parsed API from the cache', async () => {
+      const [first] = await processBuffer({ validate: true });
+      const [second, stages] = await processBuffer({ validate: true });
+      assert.deepEqual(stages, [], 'does not process the API');
+      assert.equal(second.model, first.model);
+      assert.deepEqual(second.validation, first.validation);
+      assert.isUndefined(second.memory);
+    });
+
+    it('parses the API with different options', async () => {
+      await processBuffer();
+      const [result, stages] = await processBuffer({ validate: true });
+      assert.include(stages, 'parse');
+      assert.ok(result.validation);
+      assert.lengthOf(await cache.keys(), 2);
+    });
+
+    it('does not return the API parsed with other archive limits', async () => {
+      const data = await fs.readFile(path.join('test', 'multiple-entry-points.zip'));
+      await service.processBuffer(data, { mainFile: 'main.raml' });
+      let error;
+      try {
+        await service.processBuffer(data, { mainFile: 'main.raml', archiveLimits: { maxEntries: 1 } });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, ArchiveSecurityError);
+    });
+
+    it('uses the same key for the default archive limits', async () => {
+      await processBuffer();
+      const [, stages] = await processBuffer({ archiveLimits: {} });
+      assert.notInclude(stages, 'parse');
+    });
+
+    it('does not use the cache when disabled', async () => {
+      await processBuffer({ cache: false });
+      assert.deepEqual(await cache.keys(), []);
+      await processBuffer();
+      const [, stages] = await processBuffer({ cache: false });
+      assert.include(stages, 'parse');
+    });
+
+    it('caches the file maps', async () => {
+      const files = { 'api.raml': buffer };
+      await service.processApiFiles(files);
+      const stages = [];
+      const result = await service.processApiFiles({ ...files }, { onProgress: (progress) => stages.push(progress.stage) });
+      assert.deepEqual(stages, []);
+      assert.equal(result.type.type, 'RAML 1.0');
+    });
+
+    it('invalidates the source', async () => {
+      await processBuffer();
+      await processBuffer({ validate: true });
+      await service.processApiString('#%RAML 1.0\ntitle: Other', 'RAML 1.0');
+      await service.invalidateCache(buffer);
+      assert.lengthOf(await cache.keys(), 1, 'keeps the other source');
+      const [, stages] = await processBuffer();
+      assert.include(stages, 'parse');
+    });
+
+    it('clears the cache', async () => {
+      await processBuffer();
+      await service.clearCache();
+      assert.deepEqual(await cache.keys(), []);
+    });
+
+    it('reads the resolved model from the cache', async () => {
+      const [info] = await processBuffer();
+      const first = await service.resolveAPiConsole(info.model, info.type.type);
+      const stages = [];
+      const second = await service.resolveAPiConsole(info.model, info.type.type, {
+        onProgress: (progress) => stages.push(progress.stage),
+      });
+      assert.deepEqual(stages, [], 'does not resolve the model');
+      assert.equal(second, first);
+    });
+
+    it('reads the downloaded API from the cache', async () => {
+      const { server, baseUri } = await startServer((req, res) => res.end(buffer));
+      try {
+        const url = `${baseUri}/api.raml`;
+        await service.processApiLink(url);
+        const stages = [];
+        const result = await service.processApiLink(url, undefined, undefined, undefined, {
+          onProgress: (progress) => stages.push(progress.stage),
+        });
+        assert.deepEqual(stages.filter((stage) => stage !== 'download'), [], 'does not process the API');
+        assert.ok(result.digests, 'has the digests of the download');
+      } finally {
+        await stopServer(server);
+      }
+    });
+  });
+});
@@ -0,0 +1,240 @@
+const { ElectronAmfService, EventTypes, UnsupportedFormatError } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { startServer, stopServer, trackTempFiles, existingFiles } = require('./helpers.js');
+
+describe('Packaging', () => {
+  /** @type import('http').Server */
+  let server;
+  let baseUri;
+  let files;
+  before(async () => {
+    files = {
+      zip: await fs.readFile(path.join('test', 'multiple-entry-points.zip')),
+      tgz: await fs.readFile(path.join('test', 'multiple-entry-points.tar.gz')),
+      raml: await fs.readFile(path.join('test', 'single-file-api.raml')),
+    };
+    ({ server, baseUri } = await startServer((req, res) => {
+      switch (req.url) {
+        case '/zip': res.end(files.zip); break;
+        case '/tgz': res.end(files.tgz); break;
+        case '/raml': res.end(files.raml); break;
+        case '/disposition':
+          res.writeHead(200, {
+            'content-type': 'application/octet-stream',
+            'content-disposition': 'attachment; filename="api.tar.gz"',
+          });
+          res.end(files.tgz);
+          break;
+        case '/content-type':
+          res.writeHead(200, { 'content-type': 'application/gzip' });
+          res.end(files.tgz);
+          break;
+        case '/text-zip':
+          res.writeHead(200, {
+            'content-type': 'text/plain',
+            'content-disposition': 'attachment; filename="api-1.0.0"',
+          });
+          res.end(files.zip);
+          break;
+        default:
+          res.writeHead(404);
+          res.end();
+      }
+    }));
+  });
+
+  after(async () => {
+    await stopServer(server);
+  });
+
+  /** @type ElectronAmfService */
+  let service;
+  let selections;
+  /**
+   * Selects the `main.raml` entry point.
+   * @param {CustomEvent} e
+   */
+  function selectHandler(e) {
+    selections += 1;
+    e.preventDefault();
+    e.detail.result = 'main.raml';
+  }
+
+  beforeEach(() => {
+    selections = 0;
+    service = new ElectronAmfService();
+    document.body.addEventListener(EventTypes.selectEntrypoint, selectHandler);
+  });
+
+  afterEach(async () => {
+    document.body.removeEventListener(EventTypes.selectEntrypoint, selectHandler);
+    await service.cleanup();
+  });
+
+  describe('processApiLink()', () => {
+    it('uses the main file', async () => {
+      const result = await service.processApiLink(`${baseUri}/zip`, 'other-api.raml', undefined, 'zip');
+      assert.equal(selections, 0, 'does not ask for the entry point');
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('asks for the entry point without the main file', async () => {
+      const result = await service.processApiLink(`${baseUri}/zip`, undefined, undefined, 'zip');
+      assert.equal(selections, 1, 'asks for the entry point');
+      assert.include(result.model, 'https://main.api.domain.com/');
+    });
+
+    it('processes the tar.gz packaging', async () => {
+      const result = await service.processApiLink(`${baseUri}/tgz`, 'other-api.raml', undefined, 'tar.gz');
+      assert.equal(selections, 0, 'does not ask for the entry point');
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('processes a single file packaging', async () => {
+      const result = await service.processApiLink(`${baseUri}/raml`, undefined, undefined, 'raml');
+      assert.equal(result.type.type, 'RAML 1.0');
+    });
+
+    it('reads the packaging from the content-disposition header', async () => {
+      const result = await service.processApiLink(`${baseUri}/disposition`, 'other-api.raml');
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('reads the packaging from the content-type header', async () => {
+      const result = await service.processApiLink(`${baseUri}/content-type`, 'other-api.raml');
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('detects the zip file with an unknown name and content type', async () => {
+      const result = await service.processApiLink(`${baseUri}/text-zip`, 'other-api.raml');
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+  });
+
+  describe('processBuffer()', () => {
+    it('processes the tar packaging', async () => {
+      const data = zlib.gunzipSync(files.tgz);
+      const result = await service.processBuffer(data, { packaging: 'tar', mainFile: 'main.raml' });
+      assert.include(result.model, 'https://main.api.domain.com/');
+    });
+
+    it('detects the tar.gz archive by the magic bytes', async () => {
+      const result = await service.processBuffer(files.tgz, { mainFile: 'other-api.raml' });
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('detects the archive with the file packaging', async () => {
+      const result = await service.processBuffer(files.zip, { packaging: 'file', mainFile: 'other-api.raml' });
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('processes the API file with the file packaging', async () => {
+      const result = await service.processBuffer(files.raml, { packaging: 'file' });
+      assert.equal(result.type.type, 'RAML 1.0');
+    });
+
+    it('detects the tar archive by the magic bytes', async () => {
+      const data = zlib.gunzipSync(files.tgz);
+      const result = await service.processBuffer(data, { mainFile: 'other-api.raml' });
+      assert.include(result.model, 'https://api.domain.com/');
+    });
+
+    it('rejects when the gzip data is not a tar archive', async () => {
+      const data = zlib.gzipSync(files.raml);
+      let error;
+      try {
+        await service.processBuffer(data);
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, UnsupportedFormatError);
+    });
+  });
+
+  describe('Nested archives', () => {
+    let nested;
+    before(async () => {
+      nested = await fs.readFile(path.join('test', 'nested-archives.zip'));
+    });
+
+    it('extracts the archives in the exchange_modules folder', async () => {
+      const result = await service.processBuffer(nested, { expandNestedArchives: true, validate: true });
+      assert.isTrue(result.validation.conforms, 'the library is resolved');
+      assert.include(result.model, 'nestedLibraryProperty');
+    });
+
+    it('does not extract the nested archives by default', async () => {
+      const result = await service.processBuffer(nested, { validate: true });
+      assert.isFalse(result.validation.conforms, 'the library is not resolved');
+    });
+
+    it('removes the temporary files', async () => {
+      const locations = trackTempFiles(service);
+      await service.processBuffer(nested, { expandNestedArchives: true });
+      assert.lengthOf(locations, 1, 'creates the temporary directory');
+      assert.deepEqual(await existingFiles(locations), []);
+    });
+  });
+
+  describe('_normalizePackaging()', () => {
+    [
+      ['zip', 'zip'],
+      ['ZIP', 'zip'],
+      ['tar', 'tar'],
+      ['tar.gz', 'tar.gz'],
+      ['tgz', 'tar.gz'],
+      ['raml', 'file'],
+      ['file', 'file'],
+      ['api', undefined],
+      [undefined, undefined],
+    ].forEach(([value, expected]) => {
+      it(`returns ${expected} for ${value}`, () => {
+        assert.equal(service._normalizePackaging(value), expected);
+      });
+    });
+  });
+
+  describe('_readPackaging()', () => {
+    it('reads the packaging from the file name', () => {
+      assert.equal(service._readPackaging({ fileName: 'api.zip' }), 'zip');
+      assert.equal(service._readPackaging({ fileName: 'api.tgz' }), 'tar.gz');
+      assert.equal(service._readPackaging({ fileName: 'api.tar' }), 'tar');
+      assert.equal(service._readPackaging({ fileName: 'api.raml', contentType: 'application/zip' }), 'file');
+      assert.equal(service._readPackaging({ fileName: 'api-1.0.0', contentType: 'application/zip' }), 'zip');
+      assert.isUndefined(service._readPackaging({ fileName: 'api-1.0.0' }));
+    });
+
+    it('reads the packaging from the content type', () => {
+      assert.equal(service._readPackaging({ contentType: 'application/zip' }), 'zip');
+      assert.equal(service._readPackaging({ contentType: 'application/x-gzip' }), 'tar.gz');
+      assert.equal(service._readPackaging({ contentType: 'application/json; charset=utf-8' }), 'file');
+      assert.isUndefined(service._readPackaging({ contentType: 'application/octet-stream' }));
+      assert.isUndefined(service._readPackaging({ contentType: 'binary/octet-stream' }));
+      assert.equal(service._readPackaging({ contentType: 'application/x-zip' }), 'zip');
+      assert.isUndefined(service._readPackaging({ contentType: 'text/plain' }));
+      assert.isUndefined(service._readPackaging({}));
+    });
+  });
+
+  describe('_readFileName()', () => {
+    it('reads the quoted file name', () => {
+      assert.equal(service._readFileName('attachment; filename="api.zip"'), 'api.zip');
+    });
+
+    it('reads the file name', () => {
+      assert.equal(service._readFileName('attachment; filename=api.zip'), 'api.zip');
+    });
+
+    it('reads the encoded file name', () => {
+      assert.equal(service._readFileName(`attachment; filename="api.zip"; filename*=UTF-8''my%20api.zip`), 'my api.zip');
+    });
+
+    it('returns undefined without the file name', () => {
+      assert.isUndefined(service._readFileName('inline'));
+      assert.isUndefined(service._readFileName(undefined));
+    });
+  });
+});
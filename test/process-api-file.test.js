@@ -1,4 +1,4 @@
-const { ElectronAmfService } = require('../');
+const { ElectronAmfService, InvalidOptionError, UnsupportedFormatError } = require('../');
 const { assert } = require('chai');
 const path = require('path');
 const fs = require('fs-extra');
@@ -8,6 +8,14 @@ describe('File data processing', () => {
     [
       ['Single RAML file', 'single-file-api.raml'],
       ['OAS 2.0', 'oas-2.0-json.zip'],
+      ['OAS 3.0 YAML', 'oas-30-yaml.zip'],
+      ['OAS 3.0 JSON', 'oas-30-json.zip'],
+      ['Single OAS 3.0 JSON file', 'oas-30-json/my-api.json'],
+      ['OAS with version after other keys', 'oas-late-version/my-api.json'],
+      ['AsyncAPI 2.0', 'asyncapi-20-yaml/my-api.yaml'],
+      ['API in nested folders', 'nested-folders.zip'],
+      ['RAML with fragments', 'raml-fragments.zip'],
+      ['RAML overlay', 'raml-overlay.zip'],
       ['Single RAML file in zip', 'single-file-api.zip'],
       // ['Multiple RAML files in zip', 'multiple-raml-files.zip'],
       ['Folder in the zip', 'inception.zip'],
@@ -32,6 +40,14 @@ describe('File data processing', () => {
     [
       ['Single RAML file', 'single-file-api.raml'],
       ['OAS 2.0', 'oas-2.0-json.zip'],
+      ['OAS 3.0 YAML', 'oas-30-yaml.zip'],
+      ['OAS 3.0 JSON', 'oas-30-json.zip'],
+      ['Single OAS 3.0 JSON file', 'oas-30-json/my-api.json'],
+      ['OAS with version after other keys', 'oas-late-version/my-api.json'],
+      ['AsyncAPI 2.0', 'asyncapi-20-yaml/my-api.yaml'],
+      ['API in nested folders', 'nested-folders.zip'],
+      ['RAML with fragments', 'raml-fragments.zip'],
+      ['RAML overlay', 'raml-overlay.zip'],
       ['Single RAML file in zip', 'single-file-api.zip'],
       // ['Multiple RAML files in zip', 'multiple-raml-files.zip'],
       ['Folder in the zip', 'inception.zip'],
@@ -51,6 +67,424 @@ describe('File data processing', () => {
     });
   });
 
+  describe('Exchange asset', () => {
+    it('parses the main file defined in the exchange.json file', async () => {
+      const data = await fs.readFile(path.join('test', 'exchange-asset.zip'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data);
+      await service.cleanup();
+      assert.include(result.model, 'Exchange asset API', 'parses the main file');
+      assert.equal(result.asset.assetId, 'exchange-asset-api', 'has the asset id');
+      assert.equal(result.asset.groupId, '8a8a8a8a-1b2c-3d4e-5f6a-7b8c9d0e1f2a', 'has the group id');
+      assert.equal(result.asset.version, '1.0.2', 'has the version');
+      assert.equal(result.asset.name, 'Exchange asset API', 'has the name');
+    });
+
+    it('has no asset metadata for a single file', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data);
+      await service.cleanup();
+      assert.isUndefined(result.asset);
+    });
+  });
+
+  describe('OAS 3.0', () => {
+    [
+      ['YAML', 'oas-30-yaml.zip', 'application/yaml'],
+      ['JSON', 'oas-30-json.zip', 'application/json'],
+    ].forEach(([label, file, contentType]) => {
+      it(`detects the ${label} API type`, async () => {
+        const data = await fs.readFile(path.join('test', file));
+        const service = new ElectronAmfService();
+        const result = await service.processBuffer(data);
+        await service.cleanup();
+        assert.equal(result.type.type, 'OAS 3.0', 'has the API type');
+        assert.equal(result.type.contentType, contentType, 'has the content type');
+      });
+    });
+
+    it('validates the API', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data, { validate: true });
+      await service.cleanup();
+      assert.isTrue(result.validation.conforms, 'the API conforms');
+      assert.equal(result.validation.profile, 'OAS 3.0', 'has the profile');
+    });
+
+    it('resolves the model', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const service = new ElectronAmfService();
+      const info = await service.processBuffer(data);
+      const result = await service.resolveAPiConsole(info.model, info.type.type);
+      await service.cleanup();
+      assert.typeOf(result, 'string', 'returns the resolved model');
+      const model = JSON.parse(result);
+      assert.ok(model, 'the model is a valid JSON');
+    });
+  });
+
+  describe('Parser process', () => {
+    it('reuses the parser process', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      await service.processBuffer(data);
+      await service.processBuffer(data);
+      assert.equal(service.parserPool.workers, 1);
+      await service.cleanup();
+      assert.equal(service.parserPool.workers, 0, 'cleanup() kills the process');
+    });
+
+    it('uses the pool configuration', async () => {
+      const service = new ElectronAmfService({ pool: { size: 2, idleTimeout: 1000 } });
+      assert.equal(service.parserPool.size, 2);
+      assert.equal(service.parserPool.idleTimeout, 1000);
+      assert.equal(service.resolverPool.size, 2);
+      await service.cleanup();
+    });
+  });
+
+  describe('Parallel jobs', () => {
+    it('processes APIs in parallel', async () => {
+      const raml = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const oas = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const service = new ElectronAmfService({ pool: { size: 2 } });
+      const results = await Promise.all([
+        service.processBuffer(raml),
+        service.processBuffer(oas),
+      ]);
+      await service.cleanup();
+      assert.equal(results[0].type.type, 'RAML 1.0');
+      assert.equal(results[1].type.type, 'OAS 3.0');
+    });
+
+    it('lists the running jobs', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      const job = service.processBuffer(data, { jobId: 'test-job' });
+      assert.deepEqual(service.jobs, ['test-job'], 'has the running job');
+      assert.isTrue(service.loading, 'is loading');
+      await job;
+      assert.deepEqual(service.jobs, [], 'removes the finished job');
+      assert.isFalse(service.loading, 'is not loading');
+      await service.cleanup();
+    });
+
+    it('dispatches the loading events with the job id', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      const ids = [];
+      const handler = (e) => ids.push(e.detail.pid);
+      document.body.addEventListener('arcprocessloadingstart', handler);
+      await Promise.all([
+        service.processBuffer(data, { jobId: 'job-1' }),
+        service.processBuffer(data, { jobId: 'job-2' }),
+      ]);
+      document.body.removeEventListener('arcprocessloadingstart', handler);
+      await service.cleanup();
+      assert.deepEqual(ids, ['job-1', 'job-2']);
+    });
+
+    it('cancels a job without affecting other jobs', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-30-json.zip'));
+      const service = new ElectronAmfService({ pool: { size: 2 } });
+      const cancelled = service.processBuffer(data, { jobId: 'cancelled' }).catch((e) => e);
+      const other = service.processBuffer(data, { jobId: 'other' });
+      await service.cancel('cancelled');
+      const error = await cancelled;
+      const result = await other;
+      await service.cleanup();
+      assert.equal(error.message, 'The job was cancelled.', 'the cancelled job is rejected');
+      assert.typeOf(result.model, 'string', 'the other job is processed');
+    });
+
+    it('returns the last job from the deprecated service property', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      const initial = service.service;
+      assert.ok(initial, 'has the service without a job');
+      await service.processBuffer(data, { jobId: 'last-job' });
+      await service.cleanup();
+      assert.equal(service.service.id, 'last-job');
+    });
+
+    it('dispatches the loading events from the deprecated loading setter', async () => {
+      const service = new ElectronAmfService();
+      const events = [];
+      const handler = (e) => events.push(e.type);
+      document.body.addEventListener('arcprocessloadingstart', handler);
+      document.body.addEventListener('arcprocessloadingstop', handler);
+      service.loading = true;
+      const loading = service.loading;
+      service.loading = false;
+      document.body.removeEventListener('arcprocessloadingstart', handler);
+      document.body.removeEventListener('arcprocessloadingstop', handler);
+      assert.isTrue(loading, 'is loading');
+      assert.isFalse(service.loading, 'is not loading');
+      assert.deepEqual(events, ['arcprocessloadingstart', 'arcprocessloadingstop']);
+    });
+
+    it('rejects when the job id is already running', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      const job = service.processBuffer(data, { jobId: 'test-job' });
+      let error;
+      try {
+        await service.processBuffer(data, { jobId: 'test-job' });
+      } catch (e) {
+        error = e;
+      }
+      await job;
+      await service.cleanup();
+      assert.instanceOf(error, InvalidOptionError);
+      assert.equal(error.option, 'jobId');
+      assert.equal(error.message, 'The job test-job is already running.');
+    });
+  });
+
+  describe('Document kind', () => {
+    [
+      ['API', 'single-file-api.raml', 'Document'],
+      ['OAS API', 'oas-30-yaml.zip', 'Document'],
+      ['RAML library', 'raml-fragments/library.raml', 'Module'],
+      ['RAML data type', 'raml-fragments/types/user.raml', 'Fragment'],
+      ['RAML overlay', 'raml-overlay.zip', 'Overlay'],
+      ['JSON schema', 'json-schema/user.json', 'Fragment'],
+    ].forEach(([label, file, kind]) => {
+      it(`parses a ${label} as ${kind}`, async () => {
+        const data = await fs.readFile(path.join('test', file));
+        const service = new ElectronAmfService();
+        const result = await service.processBuffer(data);
+        await service.cleanup();
+        assert.equal(result.kind, kind);
+      });
+    });
+
+    it('detects the JSON schema type', async () => {
+      const data = await fs.readFile(path.join('test', 'json-schema', 'user.json'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data);
+      await service.cleanup();
+      assert.equal(result.type.type, 'JSON Schema');
+      assert.equal(result.type.contentType, 'application/schema+json');
+    });
+
+    it('resolves a JSON schema model', async () => {
+      const data = await fs.readFile(path.join('test', 'json-schema', 'user.json'));
+      const service = new ElectronAmfService();
+      const info = await service.processBuffer(data);
+      const result = await service.resolveAPiConsole(info.model, info.type.type);
+      await service.cleanup();
+      assert.typeOf(result, 'string', 'returns the resolved model');
+      assert.include(result, 'User', 'has the schema title');
+    });
+  });
+
+  describe('API validation', () => {
+    it('sets the validation report', async () => {
+      const data = await fs.readFile(path.join('test', 'invalid-api.raml'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data, { validate: true });
+      await service.cleanup();
+      const { validation } = result;
+      assert.typeOf(validation, 'object', 'has the report');
+      assert.isFalse(validation.conforms, 'the API does not conform');
+      assert.equal(validation.profile, 'RAML 1.0', 'has the profile');
+      const [item] = validation.results;
+      assert.equal(item.level, 'Violation', 'has the level');
+      assert.typeOf(item.message, 'string', 'has the message');
+      assert.typeOf(item.validationId, 'string', 'has the validation id');
+      assert.equal(item.location.line, 11, 'has the line');
+      assert.equal(item.location.column, 23, 'has the column');
+      assert.typeOf(item.location.file, 'string', 'has the file');
+      assert.notInclude(item.location.file, 'file://', 'the file is relative');
+    });
+
+    it('has no report when not validating', async () => {
+      const data = await fs.readFile(path.join('test', 'invalid-api.raml'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data);
+      await service.cleanup();
+      assert.isUndefined(result.validation);
+    });
+  });
+
+  describe('Validation profile', () => {
+    it('uses a built-in profile', async () => {
+      const data = await fs.readFile(path.join('test', 'invalid-api.raml'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data, { validate: true, validationProfile: 'AMF' });
+      await service.cleanup();
+      assert.equal(result.validation.profile, 'AMF Graph');
+    });
+
+    it('uses a custom profile from the zip file', async () => {
+      const data = await fs.readFile(path.join('test', 'validation-profile.zip'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data, { validate: true, validationProfile: 'profile.yaml' });
+      await service.cleanup();
+      const { validation } = result;
+      assert.equal(validation.profile, 'Strict', 'has the custom profile');
+      assert.isFalse(validation.conforms, 'the API does not conform');
+      assert.equal(validation.results[0].message, 'Operations must have a description');
+    });
+
+    it('throws when the custom profile does not exist', async () => {
+      const data = await fs.readFile(path.join('test', 'validation-profile.zip'));
+      const service = new ElectronAmfService();
+      let error;
+      try {
+        await service.processBuffer(data, { validate: true, validationProfile: 'other.yaml' });
+      } catch (e) {
+        error = e;
+      }
+      await service.cleanup();
+      assert.instanceOf(error, InvalidOptionError);
+      assert.equal(error.option, 'validationProfile');
+      assert.include(error.message, 'other.yaml');
+    });
+  });
+
+  describe('Folder in the archive', () => {
+    /** @type ElectronAmfService */
+    let service;
+    beforeEach(() => {
+      service = new ElectronAmfService();
+    });
+
+    afterEach(async () => {
+      await service.cleanup();
+    });
+
+    ['wrapped-api.zip', 'wrapped-api.tar.gz'].forEach((name) => {
+      it(`selects the only API file in the folder of ${name}`, async () => {
+        const data = await fs.readFile(path.join('test', name));
+        let candidates;
+        service.notifyApiCandidates = async (items) => {
+          candidates = items;
+          return undefined;
+        };
+        const result = await service.processBuffer(data);
+        assert.isUndefined(candidates, 'does not ask for the entry point');
+        assert.include(result.model, 'Wrapped API', 'parses the API file');
+      });
+    });
+
+    it('finds the candidates once', async () => {
+      const data = await fs.readFile(path.join('test', 'multiple-entry-points.tar.gz'));
+      let candidates;
+      service.notifyApiCandidates = async (items) => {
+        candidates = items.map((item) => item.path);
+        return 'main.raml';
+      };
+      await service.processBuffer(data);
+      assert.sameMembers(candidates, ['main.raml', 'other-api.raml']);
+    });
+  });
+
+  describe('Search options', () => {
+    /** @type ElectronAmfService */
+    let service;
+    beforeEach(() => {
+      service = new ElectronAmfService();
+    });
+
+    afterEach(async () => {
+      await service.cleanup();
+    });
+
+    it('uses the detection mode', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-late-version', 'my-api.json'));
+      let error;
+      try {
+        await service.processBuffer(data, { detectionMode: 'header' });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, UnsupportedFormatError);
+    });
+
+    it('uses the maximum scan size', async () => {
+      const data = await fs.readFile(path.join('test', 'oas-late-version', 'my-api.json'));
+      let error;
+      try {
+        await service.processBuffer(data, { maxScanSize: 200 });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, UnsupportedFormatError);
+    });
+
+    it('ignores the files', async () => {
+      const data = await fs.readFile(path.join('test', 'multiple-entry-points.zip'));
+      const result = await service.processBuffer(data, { ignore: ['main.raml'] });
+      assert.include(result.model, 'https://api.domain.com/', 'processes the only candidate');
+    });
+  });
+
+  describe('Fail on severity', () => {
+    it('rejects when a result is at the severity level', async () => {
+      const data = await fs.readFile(path.join('test', 'invalid-api.raml'));
+      const service = new ElectronAmfService();
+      let error;
+      try {
+        await service.processBuffer(data, { failOnSeverity: 'Violation' });
+      } catch (e) {
+        error = e;
+      }
+      await service.cleanup();
+      assert.ok(error, 'throws an error');
+      assert.typeOf(error.validation, 'object', 'the error has the report');
+    });
+
+    it('rejects when a result is above the severity level', async () => {
+      const data = await fs.readFile(path.join('test', 'invalid-api.raml'));
+      const service = new ElectronAmfService();
+      let error;
+      try {
+        await service.processBuffer(data, { failOnSeverity: 'Warning' });
+      } catch (e) {
+        error = e;
+      }
+      await service.cleanup();
+      assert.ok(error, 'throws an error');
+    });
+
+    it('passes when the API conforms', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      const result = await service.processBuffer(data, { failOnSeverity: 'Violation' });
+      await service.cleanup();
+      assert.isTrue(result.validation.conforms);
+    });
+
+    it('reads the severity level regardless of the case', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      // @ts-ignore
+      const result = await service.processBuffer(data, { failOnSeverity: 'violation' });
+      await service.cleanup();
+      assert.isTrue(result.validation.conforms);
+    });
+
+    it('rejects an unknown severity level', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const service = new ElectronAmfService();
+      let error;
+      try {
+        // @ts-ignore
+        await service.processBuffer(data, { failOnSeverity: 'Error' });
+      } catch (e) {
+        error = e;
+      }
+      await service.cleanup();
+      assert.instanceOf(error, InvalidOptionError);
+      assert.equal(error.option, 'failOnSeverity');
+      assert.deepEqual(service.jobs, [], 'finishes the job');
+    });
+  });
+
   describe.skip('selecting the entry point', () => {
     it('dialog result processes the API', async () => {
       const file = path.join('test', 'multiple-raml-files.zip');
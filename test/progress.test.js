@@ -0,0 +1,96 @@
+const { ElectronAmfService, EventTypes } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+const { startServer, stopServer } = require('./helpers.js');
+
+describe('Progress', () => {
+  /** @type ElectronAmfService */
+  let service;
+  beforeEach(() => {
+    service = new ElectronAmfService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('processBuffer()', () => {
+    it('reports the processing stages', async () => {
+      const data = await fs.readFile(path.join('test', 'nested-folders.zip'));
+      const stages = [];
+      await service.processBuffer(data, { onProgress: (progress) => stages.push(progress.stage) });
+      const unique = stages.filter((item, index) => stages.indexOf(item) === index);
+      assert.deepEqual(unique, ['unzip', 'search', 'parse']);
+    });
+
+    it('reports the number of unzipped entries', async () => {
+      const data = await fs.readFile(path.join('test', 'nested-folders.zip'));
+      const items = [];
+      await service.processBuffer(data, { onProgress: (progress) => items.push(progress) });
+      const unzip = items.filter((item) => item.stage === 'unzip');
+      assert.deepEqual(unzip[0], { id: unzip[0].id, stage: 'unzip', loaded: 0, total: 12 }, 'reports the start');
+      assert.deepEqual(unzip[unzip.length - 1].loaded, 12, 'reports the end');
+    });
+
+    it('reports the validation', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const stages = [];
+      await service.processBuffer(data, { validate: true, onProgress: (progress) => stages.push(progress.stage) });
+      assert.deepEqual(stages, ['parse', 'validate']);
+    });
+
+    it('dispatches the progress event with the loading id', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const ids = [];
+      const handler = (e) => ids.push(e.detail.id);
+      const startHandler = (e) => ids.push(e.detail.pid);
+      document.body.addEventListener(EventTypes.progress, handler);
+      document.body.addEventListener('arcprocessloadingstart', startHandler);
+      await service.processBuffer(data, { jobId: 'test-job' });
+      document.body.removeEventListener(EventTypes.progress, handler);
+      document.body.removeEventListener('arcprocessloadingstart', startHandler);
+      assert.deepEqual(ids, ['test-job', 'test-job']);
+    });
+  });
+
+  describe('processApiLink()', () => {
+    /** @type import('http').Server */
+    let server;
+    let url;
+    let data;
+    before(async () => {
+      data = await fs.readFile(path.join('test', 'single-file-api.zip'));
+      let baseUri;
+      ({ server, baseUri } = await startServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'application/zip', 'content-length': data.length });
+        res.end(data);
+      }));
+      url = `${baseUri}/api.zip`;
+    });
+
+    after(async () => {
+      await stopServer(server);
+    });
+
+    it('reports the downloaded bytes', async () => {
+      const items = [];
+      await service.processApiLink(url, undefined, undefined, undefined, { onProgress: (progress) => items.push(progress) });
+      const download = items.filter((item) => item.stage === 'download');
+      const last = download[download.length - 1];
+      assert.equal(last.loaded, data.length, 'has the loaded size');
+      assert.equal(last.total, data.length, 'has the total size');
+      assert.deepEqual(items.map((item) => item.stage).slice(-2), ['search', 'parse'], 'reports the next stages');
+    });
+  });
+
+  describe('resolveAPiConsole()', () => {
+    it('reports the resolve stage', async () => {
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const info = await service.processBuffer(data);
+      const stages = [];
+      await service.resolveAPiConsole(info.model, info.type.type, { onProgress: (progress) => stages.push(progress.stage) });
+      assert.deepEqual(stages, ['resolve']);
+    });
+  });
+});
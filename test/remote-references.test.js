@@ -0,0 +1,142 @@
+const { ElectronAmfService, UnresolvedReferenceError, ErrorCodes } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { startServer, stopServer } = require('./helpers.js');
+
+describe('Remote references', () => {
+  const type = '#%RAML 1.0 DataType\ntype: object\nproperties:\n  remoteProperty: string\n';
+
+  /** @type import('http').Server */
+  let server;
+  let baseUri;
+  let requests;
+  before(async () => {
+    ({ server, baseUri } = await startServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/types/user.raml') {
+        res.end(type);
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    }));
+  });
+
+  after(async () => {
+    await stopServer(server);
+  });
+
+  /** @type ElectronAmfService */
+  let service;
+  beforeEach(() => {
+    requests = [];
+    service = new ElectronAmfService();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  /**
+   * @param {string=} [file='types/user.raml'] The path of the referenced file.
+   * @return {string} The API that includes a remote type.
+   */
+  function createApi(file='types/user.raml') {
+    return `#%RAML 1.0\ntitle: Remote references\ntypes:\n  User: !include ${baseUri}/${file}\n`;
+  }
+
+  /**
+   * @param {any} opts
+   * @return {Promise<any>} The error the processing was rejected with.
+   */
+  async function processError(opts) {
+    try {
+      await service.processApiString(createApi(), 'RAML 1.0', opts);
+    } catch (e) {
+      return e;
+    }
+    return undefined;
+  }
+
+  it('downloads the references without the policy', async () => {
+    const result = await service.processApiString(createApi(), 'RAML 1.0');
+    assert.include(result.model, 'remoteProperty');
+    assert.deepEqual(requests, ['/types/user.raml']);
+  });
+
+  it('rejects the forbidden references', async () => {
+    const error = await processError({ remoteReferences: { forbid: true } });
+    assert.instanceOf(error, UnresolvedReferenceError);
+    assert.equal(error.code, ErrorCodes.unresolvedReference);
+    assert.deepEqual(error.references.map((item) => [item.url, item.reason]), [
+      [`${baseUri}/types/user.raml`, 'forbidden'],
+    ]);
+    assert.deepEqual(requests, [], 'does not download the reference');
+  });
+
+  it('rejects the references of the hosts not allowed', async () => {
+    const error = await processError({ remoteReferences: { allowedHosts: ['example.com', '*.localhost'] } });
+    assert.instanceOf(error, UnresolvedReferenceError);
+    assert.equal(error.references[0].reason, 'host-not-allowed');
+    assert.deepEqual(requests, [], 'does not download the reference');
+  });
+
+  it('downloads the references of the allowed hosts', async () => {
+    const result = await service.processApiString(createApi(), 'RAML 1.0', {
+      remoteReferences: { allowedHosts: ['LOCALHOST'] },
+    });
+    assert.include(result.model, 'remoteProperty');
+  });
+
+  it('rejects when the download fails', async () => {
+    let error;
+    try {
+      await service.processApiString(createApi('missing.raml'), 'RAML 1.0', { remoteReferences: {} });
+    } catch (e) {
+      error = e;
+    }
+    assert.instanceOf(error, UnresolvedReferenceError);
+    assert.equal(error.references[0].reason, 'fetch-failed');
+    assert.include(error.references[0].message, '404');
+  });
+
+  it('reads the references from the cache map', async () => {
+    const result = await service.processApiString(createApi(), 'RAML 1.0', {
+      remoteReferences: {
+        forbid: true,
+        cache: { [`${baseUri}/types/user.raml`]: type },
+      },
+    });
+    assert.include(result.model, 'remoteProperty');
+    assert.deepEqual(requests, [], 'does not download the reference');
+  });
+
+  it('reads the references from the cache directory', async () => {
+    const cacheDir = path.join(os.tmpdir(), `amf-service-cache-${process.pid}`);
+    await fs.outputFile(path.join(cacheDir, 'localhost', 'types', 'user.raml'), type);
+    try {
+      const result = await service.processApiString(createApi(), 'RAML 1.0', {
+        remoteReferences: { forbid: true, cacheDir },
+      });
+      assert.include(result.model, 'remoteProperty');
+      assert.deepEqual(requests, [], 'does not download the reference');
+    } finally {
+      await fs.remove(cacheDir);
+    }
+  });
+
+  it('uses the service policy', async () => {
+    await service.cleanup();
+    service = new ElectronAmfService({ remoteReferences: { forbid: true } });
+    let error;
+    try {
+      await service.processApiString(createApi(), 'RAML 1.0', { inMemory: true });
+    } catch (e) {
+      error = e;
+    }
+    assert.instanceOf(error, UnresolvedReferenceError);
+    assert.deepEqual(requests, [], 'does not download the reference');
+  });
+});
@@ -0,0 +1,107 @@
+const { ElectronAmfService, TimeoutError } = require('../');
+const { assert } = require('chai');
+const path = require('path');
+const fs = require('fs-extra');
+
+describe('Timeouts', () => {
+  /** @type ElectronAmfService */
+  let service;
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('parsing', () => {
+    it('rejects with the TimeoutError', async () => {
+      service = new ElectronAmfService();
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      let error;
+      try {
+        await service.processBuffer(data, { timeout: 1 });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, TimeoutError);
+      assert.equal(error.stage, 'parse', 'has the stage');
+      assert.equal(service.parserPool.workers, 0, 'kills the parser');
+    });
+
+    it('uses the service parse timeout', async () => {
+      service = new ElectronAmfService({ parseTimeout: 1 });
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      let error;
+      try {
+        await service.processBuffer(data);
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, TimeoutError);
+    });
+
+    it('parses when the timeout is disabled', async () => {
+      service = new ElectronAmfService({ parseTimeout: 1 });
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const result = await service.processBuffer(data, { timeout: 0 });
+      assert.typeOf(result.model, 'string');
+    });
+  });
+
+  describe('resolving', () => {
+    it('rejects with the TimeoutError', async () => {
+      service = new ElectronAmfService();
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const info = await service.processBuffer(data);
+      let error;
+      try {
+        await service.resolveAPiConsole(info.model, info.type.type, { timeout: 1 });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, TimeoutError);
+      assert.equal(error.stage, 'resolve', 'has the stage');
+      assert.equal(service.resolverPool.workers, 0, 'kills the resolver');
+    });
+
+    it('uses the service resolve timeout', async () => {
+      service = new ElectronAmfService({ resolveTimeout: 1 });
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const info = await service.processBuffer(data);
+      let error;
+      try {
+        await service.resolveAPiConsole(info.model, info.type.type);
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, TimeoutError);
+    });
+  });
+
+  describe('memory usage', () => {
+    it('has the parser memory usage on the result', async () => {
+      service = new ElectronAmfService();
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const result = await service.processBuffer(data);
+      assert.typeOf(result.memory.heapUsed, 'number');
+    });
+
+    it('returns the memory usage of the processes', async () => {
+      service = new ElectronAmfService();
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const info = await service.processBuffer(data);
+      await service.resolveAPiConsole(info.model, info.type.type);
+      const result = service.memoryUsage();
+      assert.lengthOf(result.parser, 1, 'has the parser process');
+      assert.lengthOf(result.resolver, 1, 'has the resolver process');
+      assert.typeOf(result.resolver[0].memory.rss, 'number', 'has the resolver memory');
+    });
+
+    it('limits the memory of the processes', async () => {
+      service = new ElectronAmfService({ pool: { maxOldSpaceSize: 1024 } });
+      assert.include(service.parserPool.execArgv, '--max-old-space-size=1024');
+      assert.include(service.resolverPool.execArgv, '--max-old-space-size=1024');
+      const data = await fs.readFile(path.join('test', 'single-file-api.raml'));
+      const result = await service.processBuffer(data);
+      assert.typeOf(result.model, 'string');
+    });
+  });
+});
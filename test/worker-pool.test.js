@@ -0,0 +1,188 @@
+const { assert } = require('chai');
+const path = require('path');
+const esmRequire = require('esm')(module);
+
+const { WorkerPool } = esmRequire('../lib/WorkerPool.js');
+const { TimeoutError } = esmRequire('../lib/Errors.js');
+
+const script = path.join(__dirname, 'worker', 'test-worker.js');
+
+describe('WorkerPool', () => {
+  /** @type any */
+  let pool;
+
+  afterEach(async () => {
+    await pool.terminate();
+  });
+
+  describe('run()', () => {
+    it('resolves with the worker response', async () => {
+      pool = new WorkerPool(script);
+      const result = await pool.run({ value: 'test' });
+      assert.equal(result.value, 'test');
+    });
+
+    it('reuses the worker process', async () => {
+      pool = new WorkerPool(script);
+      const r1 = await pool.run({ value: 1 });
+      const r2 = await pool.run({ value: 2 });
+      assert.equal(r1.pid, r2.pid);
+      assert.equal(pool.workers, 1);
+    });
+
+    it('queues jobs when all workers are busy', async () => {
+      pool = new WorkerPool(script, { size: 2 });
+      const jobs = [1, 2, 3].map((value) => pool.run({ value, delay: 50 }));
+      assert.equal(pool.workers, 2, 'has 2 workers');
+      assert.equal(pool.pending, 1, 'has a queued job');
+      const results = await Promise.all(jobs);
+      assert.deepEqual(results.map((item) => item.value), [1, 2, 3]);
+      assert.equal(new Set(results.map((item) => item.pid)).size, 2, 'uses 2 processes');
+    });
+
+    it('rejects when the worker responds with an error', async () => {
+      pool = new WorkerPool(script);
+      let error;
+      try {
+        await pool.run({ action: 'error', value: 'Parse error' });
+      } catch (e) {
+        error = e;
+      }
+      assert.equal(error.message, 'Parse error');
+    });
+
+    it('rejects when the job times out', async () => {
+      pool = new WorkerPool(script);
+      let error;
+      try {
+        await pool.run({ action: 'hang' }, { timeout: 100, stage: 'test' });
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, TimeoutError);
+      assert.equal(error.stage, 'test', 'has the stage');
+      assert.equal(error.timeout, 100, 'has the timeout');
+      assert.equal(pool.workers, 0, 'kills the worker');
+    });
+  });
+
+  describe('crash recovery', () => {
+    it('rejects the job when the worker crashes', async () => {
+      pool = new WorkerPool(script);
+      let error;
+      try {
+        await pool.run({ action: 'crash' });
+      } catch (e) {
+        error = e;
+      }
+      assert.include(error.message, 'exited unexpectedly');
+    });
+
+    it('respawns the crashed worker', async () => {
+      pool = new WorkerPool(script);
+      const first = await pool.run({ value: 1 });
+      await pool.run({ action: 'crash' }).catch(() => {});
+      assert.equal(pool.workers, 1, 'has the new worker');
+      const result = await pool.run({ value: 2 });
+      assert.notEqual(result.pid, first.pid);
+    });
+
+    it('runs the queued jobs after a crash', async () => {
+      pool = new WorkerPool(script);
+      const crash = pool.run({ action: 'crash' }).catch(() => {});
+      const job = pool.run({ value: 'queued' });
+      await crash;
+      const result = await job;
+      assert.equal(result.value, 'queued');
+    });
+  });
+
+  describe('idle timeout', () => {
+    it('kills the idle worker', async () => {
+      pool = new WorkerPool(script, { idleTimeout: 50 });
+      await pool.run({ value: 1 });
+      assert.equal(pool.workers, 1);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(pool.workers, 0);
+    });
+
+    it('kills the idle worker that replaced the crashed worker', async () => {
+      pool = new WorkerPool(script, { idleTimeout: 50 });
+      await pool.run({ action: 'crash' }).catch(() => {});
+      assert.equal(pool.workers, 1, 'has the new worker');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(pool.workers, 0);
+    });
+
+    it('keeps the workers when the timeout is 0', async () => {
+      pool = new WorkerPool(script, { idleTimeout: 0 });
+      await pool.run({ value: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(pool.workers, 1);
+    });
+  });
+
+  describe('memoryUsage()', () => {
+    it('returns the memory reported by the workers', async () => {
+      pool = new WorkerPool(script);
+      const result = await pool.run({ value: 1 });
+      const [info] = pool.memoryUsage();
+      assert.equal(info.pid, result.pid, 'has the pid');
+      assert.isFalse(info.busy, 'is not busy');
+      assert.typeOf(info.memory.heapUsed, 'number', 'has the memory usage');
+    });
+  });
+
+  describe('maxOldSpaceSize', () => {
+    it('sets the execArgv', () => {
+      pool = new WorkerPool(script, { maxOldSpaceSize: 2048 });
+      assert.deepEqual(pool.execArgv, ['--max-old-space-size=2048']);
+    });
+  });
+
+  describe('cancel()', () => {
+    it('kills the worker running the job', async () => {
+      pool = new WorkerPool(script);
+      const job = pool.run({ action: 'hang' }, { id: 'test' }).catch((e) => e);
+      const result = pool.cancel('test');
+      const error = await job;
+      assert.isTrue(result, 'returns true');
+      assert.equal(error.message, 'The job was cancelled.');
+      assert.equal(pool.workers, 0, 'kills the worker');
+    });
+
+    it('removes the queued job', async () => {
+      pool = new WorkerPool(script);
+      const running = pool.run({ value: 1, delay: 50 }, { id: 'running' });
+      const queued = pool.run({ value: 2 }, { id: 'queued' }).catch((e) => e);
+      pool.cancel('queued');
+      const error = await queued;
+      const result = await running;
+      assert.equal(error.message, 'The job was cancelled.');
+      assert.equal(result.value, 1, 'the running job is processed');
+    });
+
+    it('returns false when the job does not exist', () => {
+      pool = new WorkerPool(script);
+      assert.isFalse(pool.cancel('other'));
+    });
+  });
+
+  describe('terminate()', () => {
+    it('kills the workers', async () => {
+      pool = new WorkerPool(script);
+      await pool.run({ value: 1 });
+      await pool.terminate();
+      assert.equal(pool.workers, 0);
+    });
+
+    it('rejects the running and queued jobs', async () => {
+      pool = new WorkerPool(script);
+      const jobs = [pool.run({ action: 'hang' }), pool.run({ value: 1 })].map((job) => job.catch((e) => e));
+      await pool.terminate();
+      const [r1, r2] = await Promise.all(jobs);
+      assert.typeOf(r1, 'error');
+      assert.typeOf(r2, 'error');
+    });
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * A worker script used to test the worker pool.
+ */
+process.on('message', (data) => {
+  const { action, value, delay=0 } = data;
+  switch (action) {
+    case 'crash': process.exit(1); break;
+    case 'hang': break;
+    case 'error': process.send({ error: value }); break;
+    default:
+      setTimeout(() => process.send({ pid: process.pid, value, memory: process.memoryUsage() }), delay);
+  }
+});
@@ -1,18 +1,109 @@
+import { ChildProcess } from 'child_process';
+import { Writable } from 'stream';
+
 export declare interface AmfServiceProcessingOptions {
   /**
    * When true it treats the source as a zip data. Files are unzipped to a temporary location before processing.
+   * The same as setting the `packaging` to `zip`.
    */
   zip?: boolean;
+  /**
+   * The packaging of the source. Archives are extracted to a temporary location before processing.
+   * When not set zip, gzip compressed tar, and tar files are detected by the magic bytes
+   * and any other source is processed as a single API file. The `file` packaging is a hint:
+   * a source with the archive magic bytes is still extracted.
+   */
+  packaging?: ApiPackaging;
+  /**
+   * When set the zip and tar archives found in the `exchange_modules` folder of the extracted
+   * archive are extracted to the folder of the archive.
+   */
+  expandNestedArchives?: boolean;
+  /**
+   * The limits of the extracted archives. The missing values are set to the defaults.
+   */
+  archiveLimits?: ArchiveLimits;
+  /**
+   * When set the buffer and archive sources are kept in memory instead of a temporary directory.
+   * The parser reads the API files through a resource loader backed by the in-memory files
+   * and it does not read any other local file. File and directory sources are read from the disk.
+   */
+  inMemory?: boolean;
+  /**
+   * The declared API type, like `RAML 1.0`, `RAML 0.8`, `OAS 2.0`, `OAS 3.0`, `ASYNC 2.0`, or `JSON Schema`.
+   * When set the API type is not detected from the API main file.
+   */
+  apiType?: string;
+  /**
+   * The API type detection mode, `header` or `document`. Default to `document`.
+   * See `ApiSearchOptions.detectionMode`.
+   */
+  detectionMode?: 'header' | 'document';
+  /**
+   * The maximum number of bytes read from a file in the `document` detection mode. Default to 5 MB.
+   */
+  maxScanSize?: number;
+  /**
+   * Names of files and folders to ignore when searching for the API main file.
+   * It replaces the default list: `__MACOSX`, `exchange.json`, `.DS_Store`, `node_modules`, `.git`, and `exchange_modules`.
+   */
+  ignore?: string[];
+  /**
+   * The policy of the remote (HTTP) references, like `$ref` and `!include` of a URL.
+   * Without the option the remote references are downloaded and the failed references are only
+   * reported in the validation report. With the option the parse is rejected with the `UnresolvedReferenceError`
+   * when a remote reference is not resolved.
+   */
+  remoteReferences?: RemoteReferencesOptions;
+  /**
+   * When `false` the service's model cache is not used for this job: the cached result is not read
+   * and the result is not stored in the cache.
+   */
+  cache?: boolean;
   /**
    * When true it validates the API when parsing.
    * 
-   * Validation is made in the `parse` phase and results (as string) are stored in the `validationResult` property of the service.
+   * Validation is made in the `parse` phase and the report is set on the `validation` property of the parse result.
    */
   validate?: boolean;
   /**
    * The main file to use, if known
    */
   mainFile?: string;
+  /**
+   * The validation profile to use when validating the API.
+   * It is either the name of AMF's built-in profile (`AMF`, `RAML`, `RAML08`, `OAS`, `OAS20`, `OAS30`, `ASYNC`, `ASYNC20`)
+   * or a path to a custom validation profile file, relative to the API root folder.
+   * 
+   * When not set the profile is selected by the API type.
+   */
+  validationProfile?: string;
+  /**
+   * When set the API is validated and the parse fails when the validation report has a result
+   * with this or higher severity level.
+   * The error thrown has the `validation` property with the report.
+   */
+  failOnSeverity?: 'Violation' | 'Warning' | 'Info';
+  /**
+   * The id of the processing job. It is used to cancel the job.
+   * Generated when not set.
+   */
+  jobId?: string;
+  /**
+   * When aborted the processing stops, the temporary files are removed, and the
+   * processing promise is rejected with the `AbortError`.
+   */
+  signal?: AbortSignal;
+  /**
+   * Called with the processing progress.
+   */
+  onProgress?: ApiProgressCallback;
+  /**
+   * The parse timeout, in milliseconds. When the parser does not finish in this time the parser
+   * process is killed and the promise is rejected with the `TimeoutError`.
+   * Set to `0` to disable the timeout. Default to `180000` or the service's `parseTimeout`.
+   */
+  timeout?: number;
 }
 
 export declare interface ApiSearchCandidate {
@@ -26,15 +117,147 @@ export declare interface ApiSearchCandidate {
   relative: string;
 }
 
+/**
+ * An API main file candidate, reported when the main file cannot be determined.
+ */
+export declare interface ApiEntryPointCandidate {
+  /**
+   * Path to the file, relative to the API root folder.
+   */
+  path: string;
+  /**
+   * The detected API type, if the file is an API file.
+   */
+  type?: string;
+  /**
+   * File media type, if the file is an API file.
+   */
+  contentType?: string;
+  /**
+   * How certain the API type detection is.
+   */
+  confidence?: 'high' | 'medium' | 'low';
+  /**
+   * The API title, if defined in the file.
+   */
+  title?: string;
+  /**
+   * The API version, if defined in the file.
+   */
+  version?: string;
+  /**
+   * The RAML fragment kind, like `Overlay`, `Extension`, or `Library`.
+   */
+  fragment?: string;
+  /**
+   * The path to the document extended by a RAML overlay or extension,
+   * relative to the API root folder.
+   */
+  extends?: string;
+  /**
+   * File size in bytes.
+   */
+  size: number;
+  /**
+   * The ranking score. The higher the score the better the candidate.
+   */
+  score: number;
+}
+
+/**
+ * The API title and version read from the API file.
+ */
+export declare interface ApiFileInfo {
+  title?: string;
+  version?: string;
+  /**
+   * The value of the `extends` key of RAML overlays and extensions.
+   */
+  extends?: string;
+}
+
 export declare interface ApiSearchTypeResult {
   /**
-   * API type
+   * API type, like `RAML 1.0` or `OAS 3.0`.
+   * JSON schema files have the `JSON Schema` type and are parsed as a RAML data type fragment.
    */
   type: string;
   /**
    * File media type
    */
   contentType: string;
+  /**
+   * How certain the detection is.
+   * 
+   * - `high` - the type is defined in the RAML header or in the root of the JSON/YAML document
+   * - `medium` - the type was found in the beginning of the file
+   * - `low` - the type was found in the document but not in its root
+   */
+  confidence?: 'high' | 'medium' | 'low';
+  /**
+   * The RAML 1.0 fragment kind read from the file header, like `Library`, `DataType`,
+   * `Overlay`, or `Extension`. Not set for API documents.
+   */
+  fragment?: string;
+}
+
+export declare interface ApiSearchOptions {
+  /**
+   * The API type detection mode.
+   * 
+   * - `header` - reads only the beginning of the file. Fast but fails when JSON and YAML APIs define the version further in the document.
+   * - `document` - reads the JSON and YAML documents to find the `swagger`, `openapi`, or `asyncapi` keys.
+   * 
+   * Default to `document`.
+   */
+  detectionMode?: 'header' | 'document';
+  /**
+   * The maximum number of bytes read from a file in the `document` detection mode.
+   * Larger files are scanned only up to this size. Default to 5 MB.
+   */
+  maxScanSize?: number;
+  /**
+   * Names of files and folders to ignore when searching for the API main file.
+   * Default to `__MACOSX`, `exchange.json`, `.DS_Store`, `node_modules`, `.git`, and `exchange_modules`.
+   */
+  ignore?: string[];
+  /**
+   * The file system of the working directory. Default to the `fs-extra` module.
+   */
+  fs?: ApiFileSystem;
+}
+
+/**
+ * A file or a directory listed by the `ApiFileSystem`.
+ */
+export declare interface ApiFileSystemEntry {
+  name?: string;
+  size?: number;
+  isFile(): boolean;
+  isDirectory(): boolean;
+}
+
+/**
+ * The subset of the `fs-extra` functions used to read and write the files of the working directory.
+ * It is implemented by the `fs-extra` module and the `MemoryFileSystem`.
+ */
+export declare interface ApiFileSystem {
+  pathExists(location: string): Promise<boolean>;
+  stat(location: string): Promise<ApiFileSystemEntry>;
+  readdir(location: string): Promise<string[]>;
+  readdir(location: string, opts: { withFileTypes: true }): Promise<ApiFileSystemEntry[]>;
+  readFile(location: string): Promise<Buffer>;
+  readFile(location: string, encoding: BufferEncoding): Promise<string>;
+  readJson(location: string): Promise<any>;
+  writeFile(location: string, data: Buffer|string): Promise<void>;
+  createWriteStream(location: string): Writable;
+  ensureDir(location: string): Promise<void>;
+  remove(location: string): Promise<void>;
+  emptyDir(location: string): Promise<void>;
+  copy(source: string, destination: string): Promise<void>;
+  open(location: string, flags: string): Promise<any>;
+  read(fd: any, buffer: Buffer, offset: number, length: number, position: number): Promise<{ bytesRead: number, buffer: Buffer }>;
+  close(fd: any): Promise<void>;
 }
 
 export declare interface ApiParseResult {
@@ -46,4 +269,660 @@ export declare interface ApiParseResult {
    * Api type info
    */
   type: ApiSearchTypeResult;
+  /**
+   * The kind of the parsed document.
+   * 
+   * - `Document` - an API document
+   * - `Module` - a RAML library
+   * - `Fragment` - a RAML fragment, like a data type, or a JSON schema
+   * - `Extension` - a RAML extension
+   * - `Overlay` - a RAML overlay
+   */
+  kind: ApiDocumentKind;
+  /**
+   * The validation report. Only set when the `validate` option was set.
+   */
+  validation?: ApiValidationReport;
+  /**
+   * The asset metadata read from the asset manifest (`exchange.json`), when available.
+   */
+  asset?: ApiAssetMetadata;
+  /**
+   * The memory usage of the parser process after parsing the API.
+   */
+  memory?: NodeJS.MemoryUsage;
+  /**
+   * The digests of the downloaded asset. Only set by the `processApiLink()` function.
+   */
+  digests?: ApiDigests;
+}
+
+/**
+ * The hex encoded digests of the downloaded asset.
+ */
+export declare interface ApiDigests {
+  md5?: string;
+  sha1?: string;
+  sha256?: string;
+  sha384?: string;
+  sha512?: string;
+  /**
+   * The SRI integrity string of the asset with the SHA-512 digest, like `sha512-<base64 digest>`.
+   */
+  integrity?: string;
+}
+
+/**
+ * An expected digest read from the integrity value.
+ */
+export declare interface IntegrityMetadata {
+  /**
+   * The hash algorithm.
+   */
+  algorithm: string;
+  /**
+   * The encoding of the digest. SRI strings are base64 encoded and checksums are hex encoded.
+   */
+  encoding: 'hex' | 'base64';
+  /**
+   * The expected digest.
+   */
+  value: string;
+}
+
+export declare type ApiDocumentKind = 'Document' | 'Module' | 'Fragment' | 'Extension' | 'Overlay';
+
+/**
+ * Exchange asset metadata read from the `exchange.json` file.
+ */
+export declare interface ApiAssetMetadata {
+  groupId?: string;
+  assetId?: string;
+  version?: string;
+  name?: string;
+  classifier?: string;
+  apiVersion?: string;
+}
+
+export declare interface ApiValidationReport {
+  /**
+   * Whether the API conforms to the validation profile.
+   */
+  conforms: boolean;
+  /**
+   * The name of the validation profile used to validate the API.
+   */
+  profile: string;
+  /**
+   * The list of validation results.
+   */
+  results: ApiValidationResult[];
+}
+
+export declare interface ApiValidationResult {
+  /**
+   * The severity of the result: `Violation`, `Warning`, or `Info`.
+   */
+  level: string;
+  /**
+   * The validation message.
+   */
+  message: string;
+  /**
+   * The id of the validation that produced the result.
+   */
+  validationId: string;
+  /**
+   * The id of the AMF node the result applies to.
+   */
+  targetNode: string;
+  /**
+   * The property of the target node the result applies to, if any.
+   */
+  targetProperty?: string;
+  /**
+   * The location in the source files, when known.
+   */
+  location?: ApiSourceLocation;
+}
+
+export declare interface ApiSourceLocation {
+  /**
+   * The path to the file, relative to the API root folder.
+   */
+  file: string;
+  /**
+   * The line number, starting from 1.
+   */
+  line?: number;
+  /**
+   * The column number, starting from 0.
+   */
+  column?: number;
+  /**
+   * The line number where the range ends.
+   */
+  endLine?: number;
+  /**
+   * The column number where the range ends.
+   */
+  endColumn?: number;
+}
+
+/**
+ * The packaging of the API source.
+ *
+ * - `zip` - a zip archive
+ * - `tar` - a tar archive
+ * - `tar.gz` - a gzip compressed tar archive
+ * - `file` - a single API file
+ */
+export declare type ApiPackaging = 'zip' | 'tar' | 'tar.gz' | 'file';
+
+/**
+ * The contents of the API files by the path relative to the API root folder, like `types/user.raml`.
+ */
+export declare type ApiFileMap = Record<string, string | Buffer>;
+
+/**
+ * The policy of the remote references. The cached references are always used first.
+ */
+export declare interface RemoteReferencesOptions {
+  /**
+   * When set the remote references are never downloaded. Only the cached references are resolved.
+   */
+  forbid?: boolean;
+  /**
+   * The hosts the remote references can be downloaded from. The `*.example.com` entry allows the subdomains
+   * of `example.com`. When not set all hosts are allowed.
+   */
+  allowedHosts?: string[];
+  /**
+   * The directory with the cached references. The file of a reference is the URL host and path,
+   * like `<cacheDir>/example.com/types/user.raml` for `https://example.com/types/user.raml`.
+   */
+  cacheDir?: string;
+  /**
+   * The contents of the cached references by the URL.
+   */
+  cache?: Record<string, string>;
+}
+
+/**
+ * The reason the remote reference was not resolved.
+ *
+ * - `forbidden` - the policy forbids the remote references
+ * - `host-not-allowed` - the host is not in the `allowedHosts` list
+ * - `fetch-failed` - the download failed
+ */
+export declare type UnresolvedReferenceReason = 'forbidden' | 'host-not-allowed' | 'fetch-failed';
+
+/**
+ * The remote reference not resolved by the parser.
+ */
+export declare interface UnresolvedReference {
+  /**
+   * The URL of the reference.
+   */
+  url: string;
+  /**
+   * The reason the reference was not resolved.
+   */
+  reason: UnresolvedReferenceReason;
+  /**
+   * The error message.
+   */
+  message: string;
+}
+
+/**
+ * The limits of the extracted archives. An archive exceeding a limit is rejected with the `ArchiveSecurityError`.
+ * The limits apply to all archives of the source, including the nested archives. Set a limit to `0` to disable it.
+ */
+export declare interface ArchiveLimits {
+  /**
+   * The maximum total uncompressed size, in bytes. Default to 512 MB.
+   */
+  maxSize?: number;
+  /**
+   * The maximum number of the archive entries. Default to `10000`.
+   */
+  maxEntries?: number;
+  /**
+   * The maximum ratio of the uncompressed size to the archive size. Default to `100`.
+   */
+  maxRatio?: number;
+}
+
+/**
+ * The reason the archive was rejected.
+ *
+ * - `path-traversal` - an entry would be written outside the extraction directory
+ * - `link` - an entry is a symbolic or a hard link
+ * - `size` - the uncompressed size exceeds the `maxSize` limit or an entry is larger than declared
+ * - `entries` - the number of entries exceeds the `maxEntries` limit
+ * - `ratio` - the compression ratio exceeds the `maxRatio` limit
+ */
+export declare type ArchiveSecurityReason = 'path-traversal' | 'link' | 'size' | 'entries' | 'ratio';
+
+/**
+ * The type of the tar archive entry.
+ */
+export declare type TarEntryType = 'File' | 'Directory' | 'SymbolicLink' | 'Link' | 'Other';
+
+/**
+ * An entry of the tar archive.
+ */
+export declare interface TarEntry {
+  /**
+   * The path of the entry in the archive.
+   */
+  path: string;
+  /**
+   * The type of the entry.
+   */
+  type: TarEntryType;
+  /**
+   * The size of the entry data, in bytes.
+   */
+  size: number;
+  /**
+   * The file content. Only set for the `File` entries.
+   */
+  data?: Buffer;
+  /**
+   * The target of the link entries.
+   */
+  linkPath?: string;
+}
+
+/**
+ * Writes the archive entry to the disk.
+ */
+export declare type ArchiveEntryExtractor = (entry: any) => Promise<void>;
+
+/**
+ * The information about the downloaded asset read from the response headers.
+ */
+export declare interface ApiDownloadInfo {
+  /**
+   * The value of the `content-type` response header, if any.
+   */
+  contentType?: string;
+  /**
+   * The file name read from the `content-disposition` response header, if any.
+   */
+  fileName?: string;
+}
+
+/**
+ * The error information sent by the parser and resolver child processes.
+ */
+export declare interface SerializedServiceError {
+  /**
+   * The error code, one of the `ErrorCodes` values.
+   */
+  code: string;
+  /**
+   * The error message.
+   */
+  message: string;
+  /**
+   * The error message reported by AMF.
+   */
+  details?: string;
+  /**
+   * The location in the API source the error refers to.
+   */
+  location?: ApiSourceLocation;
+}
+
+/**
+ * The validation profile configuration passed to the parser child process.
+ */
+export declare interface ParserValidationProfile {
+  /**
+   * The name of AMF's built-in profile.
+   */
+  validationProfile?: string;
+  /**
+   * The absolute location of the custom validation profile file.
+   */
+  validationProfileFile?: string;
+}
+
+/**
+ * The result of the parser child process.
+ */
+export declare interface ParserProcessResult {
+  /**
+   * The generated AMF model.
+   */
+  api: string;
+  /**
+   * The kind of the parsed document.
+   */
+  kind: ApiDocumentKind;
+  /**
+   * The validation report, when requested.
+   */
+  validation?: ApiValidationReport;
+  /**
+   * The memory usage of the parser process.
+   */
+  memory?: NodeJS.MemoryUsage;
+  /**
+   * The remote references not resolved because of the remote references policy or a failed download.
+   * Only reported when the job has the `remoteReferences` option.
+   */
+  unresolvedReferences?: UnresolvedReference[];
+}
+
+export declare interface WorkerPoolOptions {
+  /**
+   * The maximum number of worker processes. Default to `1`.
+   */
+  size?: number;
+  /**
+   * The time, in milliseconds, after which an idle worker process is killed.
+   * When set to `0` the workers are kept until the pool is terminated.
+   * Default to `60000`.
+   */
+  idleTimeout?: number;
+  /**
+   * The `execArgv` passed to the worker processes.
+   */
+  execArgv?: string[];
+  /**
+   * When set it limits the V8's old memory section of the worker processes, in megabytes.
+   * It sets the `--max-old-space-size` flag.
+   */
+  maxOldSpaceSize?: number;
+}
+
+export declare interface WorkerPoolRunOptions {
+  /**
+   * The id of the job, used to cancel the job.
+   */
+  id?: string;
+  /**
+   * The time, in milliseconds, after which the job is rejected and its worker is killed.
+   */
+  timeout?: number;
+  /**
+   * The name of the processing stage reported by the `TimeoutError`.
+   */
+  stage?: string;
+  /**
+   * When aborted the job is cancelled and rejected with the `AbortError`.
+   */
+  signal?: AbortSignal;
+  /**
+   * Called with the `progress` property of the worker's progress messages.
+   */
+  onProgress?: (progress: any) => void;
+}
+
+export declare interface PoolJob extends WorkerPoolRunOptions {
+  /**
+   * The message sent to the worker.
+   */
+  message: any;
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+  /**
+   * The job's timeout timer.
+   */
+  timer?: any;
+  /**
+   * The listener of the signal's `abort` event.
+   */
+  abortHandler?: () => void;
+}
+
+export declare interface PoolWorker {
+  /**
+   * The worker process.
+   */
+  proc: ChildProcess;
+  /**
+   * The job the worker is processing.
+   */
+  job?: PoolJob;
+  /**
+   * The idle timeout timer.
+   */
+  idleTimer?: any;
+  /**
+   * The memory usage reported with the last job's response.
+   */
+  memory?: NodeJS.MemoryUsage;
+}
+
+export declare interface PoolWorkerInfo {
+  /**
+   * The id of the worker process.
+   */
+  pid: number;
+  /**
+   * Whether the worker is processing a job.
+   */
+  busy: boolean;
+  /**
+   * The memory usage reported with the last job's response. Not set when the worker has not finished any job.
+   */
+  memory?: NodeJS.MemoryUsage;
+}
+
+export declare interface ElectronAmfServiceOptions {
+  /**
+   * The configuration of the parser and the resolver process pools.
+   */
+  pool?: WorkerPoolOptions;
+  /**
+   * The default parse timeout, in milliseconds. Set to `0` to disable the timeout. Default to `180000`.
+   */
+  parseTimeout?: number;
+  /**
+   * The default resolve timeout, in milliseconds. Set to `0` to disable the timeout. Default to `180000`.
+   */
+  resolveTimeout?: number;
+  /**
+   * The `fetch` implementation used to download the assets. Default to the global `fetch`.
+   * Set it to use a different network stack, like a proxy-aware `fetch`.
+   */
+  fetch?: typeof fetch;
+  /**
+   * The default remote references policy of the processing jobs.
+   */
+  remoteReferences?: RemoteReferencesOptions;
+  /**
+   * The cache of the parsed and resolved models, like the `ModelCache`.
+   * When not set the models are not cached.
+   */
+  cache?: ApiModelCache;
+}
+
+/**
+ * The cache of the parsed and resolved models used by the `ElectronAmfService`.
+ * The values are serializable to JSON.
+ */
+export declare interface ApiModelCache {
+  /**
+   * @returns The cached value or undefined when not cached.
+   */
+  get(key: string): Promise<any|undefined>;
+  /**
+   * Stores the value in the cache.
+   */
+  set(key: string, value: any): Promise<void>;
+  /**
+   * Removes the entry from the cache.
+   */
+  delete(key: string): Promise<void>;
+  /**
+   * Removes all entries from the cache.
+   */
+  clear(): Promise<void>;
+  /**
+   * @returns The keys of the cached entries.
+   */
+  keys(): Promise<string[]>;
+}
+
+export declare interface ModelCacheOptions {
+  /**
+   * The directory of the cache files. When not set the entries are kept in memory.
+   */
+  directory?: string;
+  /**
+   * The size limit of the cache, in bytes. Default to 100 MB.
+   */
+  maxSize?: number;
+}
+
+export declare interface ModelCacheEntry {
+  /**
+   * The size of the serialized value, in bytes.
+   */
+  size: number;
+  /**
+   * The serialized value. Only set when the entries are kept in memory.
+   */
+  data?: string;
+}
+
+export declare interface ServiceMemoryUsage {
+  /**
+   * The memory usage of the parser processes.
+   */
+  parser: PoolWorkerInfo[];
+  /**
+   * The memory usage of the resolver processes.
+   */
+  resolver: PoolWorkerInfo[];
+}
+
+/**
+ * The configuration of the request downloading the API asset.
+ */
+export declare interface ApiRequestOptions {
+  /**
+   * The request headers, like the `authorization` header with the Exchange access token.
+   */
+  headers?: HeadersInit;
+  /**
+   * The credentials mode of the request. Default to `same-origin`.
+   */
+  credentials?: RequestCredentials;
+  /**
+   * The redirect policy of the request. Default to `follow`.
+   * With `error` the download fails when the server responds with a redirect.
+   */
+  redirect?: RequestRedirect;
+  /**
+   * The download timeout, in milliseconds. When the download does not finish in this time
+   * the request is aborted and the promise is rejected with the `TimeoutError`.
+   * By default the download has no timeout.
+   */
+  timeout?: number;
+}
+
+export declare interface ApiDownloadOptions extends ApiRequestOptions {
+  /**
+   * When aborted the download stops and the promise is rejected with the `AbortError`.
+   */
+  signal?: AbortSignal;
+  /**
+   * Called with the number of downloaded bytes and the size of the file, when known.
+   */
+  onProgress?: ApiDownloadProgressCallback;
+  /**
+   * Called with the content type and the file name of the asset when the response is received.
+   */
+  onResponse?: ApiDownloadResponseCallback;
+  /**
+   * Called with each chunk of the downloaded data, for example to compute the digests while downloading.
+   */
+  onChunk?: ApiDownloadChunkCallback;
+}
+
+export declare interface ApiLinkProcessingOptions extends AmfServiceProcessingOptions {
+  /**
+   * The configuration of the request downloading the asset.
+   */
+  request?: ApiRequestOptions;
+}
+
+export declare interface ApiResolveOptions {
+  /**
+   * When aborted the resolver process is killed and the promise is rejected with the `AbortError`.
+   */
+  signal?: AbortSignal;
+  /**
+   * The resolve timeout, in milliseconds. When the resolver does not finish in this time the resolver
+   * process is killed and the promise is rejected with the `TimeoutError`.
+   * Set to `0` to disable the timeout. Default to `180000` or the service's `resolveTimeout`.
+   */
+  timeout?: number;
+  /**
+   * Called when the resolving starts.
+   */
+  onProgress?: ApiProgressCallback;
+  /**
+   * When `false` the service's model cache is not used to resolve the model.
+   */
+  cache?: boolean;
+}
+
+/**
+ * The processing stage.
+ * 
+ * - `download` - downloading the asset
+ * - `unzip` - extracting the zip or tar archive
+ * - `search` - searching for the API main file
+ * - `parse` - parsing the API
+ * - `validate` - validating the API
+ * - `resolve` - resolving the model for API Console
+ */
+export declare type ApiProcessingStage = 'download' | 'unzip' | 'search' | 'parse' | 'validate' | 'resolve';
+
+/**
+ * Called with the processing progress.
+ */
+export declare type ApiProgressCallback = (progress: ApiProcessingProgress) => void;
+
+/**
+ * Called with the number of downloaded bytes and the size of the file, when known.
+ */
+export declare type ApiDownloadProgressCallback = (loaded: number, total?: number) => void;
+
+/**
+ * Called with the chunk of the downloaded data.
+ */
+export declare type ApiDownloadChunkCallback = (chunk: Uint8Array) => void;
+
+/**
+ * Called with the information about the downloaded asset.
+ */
+export declare type ApiDownloadResponseCallback = (info: ApiDownloadInfo) => void;
+
+export declare interface ApiProcessingProgress {
+  /**
+   * The id of the job. The same as the `pid` of the loading events.
+   */
+  id: string;
+  /**
+   * The processing stage.
+   */
+  stage: ApiProcessingStage;
+  /**
+   * The number of processed items of the stage: downloaded bytes or extracted zip entries.
+   */
+  loaded?: number;
+  /**
+   * The number of all items of the stage: the size of the downloaded file or the number of zip entries.
+   * Not set when unknown.
+   */
+  total?: number;
 }